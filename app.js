@@ -8,6 +8,47 @@
 import { WebGLFishCursor } from "./index.js";
 import GameService from "./game-service.js";
 import { GameUI } from "./game-ui.js";
+import { DEFAULT_CONFIG } from "./fish-cursor-config.js";
+import SoundEngine from "./sound-engine.js";
+import SessionMetrics, { getScreenRegion } from "./session-metrics.js";
+import PointerHeatmap from "./pointer-heatmap.js";
+import SharedClock from "./shared-clock.js";
+import SwitchScanner from "./switch-scanner.js";
+import DirectionalInput, {
+  evaluateDirectional,
+  isValidDirectional,
+} from "./directional-input.js";
+import { generateSeed, normalizeSeed } from "./prng.js";
+import {
+  getPlayAreaBounds,
+  getViewportSize,
+  isValidViewport,
+  normalizePoint,
+} from "./coordinate-space.js";
+
+// A claim the host hasn't answered in this time is dropped and the star
+// restored (e.g. host disconnected)
+const CLAIM_TIMEOUT_MS = 4000;
+// How often clock-driven state is checked (star lifetimes, round goals)
+const TICK_MS = 250;
+// A round completed longer ago than this shows without the fish spin
+const CELEBRATION_REPLAY_MS = 5000;
+// A turn that started longer ago than this changes hands without the
+// handover animation (late joiners, reconnects)
+const HANDOVER_REPLAY_MS = 3000;
+
+// Longer gaps between heatmap samples (background tab, stalled timer)
+// count as this much, so one late tick can't paint a hot spot
+const HEATMAP_MAX_SAMPLE_MS = 1000;
+
+// Clock sync: quick pings until a few replies are in, then a slow refresh
+// to follow drift
+const CLOCK_SYNC_FAST_MS = 2000;
+const CLOCK_SYNC_FAST_SAMPLES = 3;
+const CLOCK_SYNC_MS = 30000;
+
+// Rejected claims stay in Firebase briefly so the claimant can see them
+const CLAIM_REJECT_TTL_MS = 1500;
 
 /**
  * FishGame - Main game controller class
@@ -24,26 +65,130 @@ class FishGame {
     this._realIsHost = hasSessionInfo ? sessionInfo?.user === "host" : true;
     this._isSwapped = false;
 
+    // Shared session clock: the real host's clock is the reference; the
+    // other client estimates its offset (see _startClockSync). Every synced
+    // timestamp is in this time.
+    this._clock = new SharedClock({ isReference: this._realIsHost });
+
     console.log("[FishGame] Initialized. Real IsHost:", this._realIsHost);
 
     // 2. Core Logic Service
     // ------------------------------------------------------------------------
-    this._gameService = new GameService();
+    this._gameService = new GameService({
+      maxGridSize: DEFAULT_CONFIG.STAR_GRID_MAX,
+      starTypes: DEFAULT_CONFIG.STAR_TYPES,
+      starGeometry: {
+        collisionRadius: DEFAULT_CONFIG.STAR_COLLISION_RADIUS,
+        floatRadius: DEFAULT_CONFIG.STAR_FLOAT_RADIUS,
+        magnetMaxPull: DEFAULT_CONFIG.MAGNET_MAX_PULL,
+      },
+      magnetStrength: DEFAULT_CONFIG.MAGNET_STRENGTH,
+      inputFilters: DEFAULT_CONFIG.INPUT_FILTERS,
+      scanIntervalMs: DEFAULT_CONFIG.SCAN_INTERVAL_MS,
+      now: () => this._clock.now(),
+    });
 
     // 3. UI Manager
     // ------------------------------------------------------------------------
     this._ui = new GameUI();
 
-    // 4. State
+    // 4. Audio
+    // ------------------------------------------------------------------------
+    this._soundEngine = new SoundEngine();
+
+    // 5. Session Metrics
+    // ------------------------------------------------------------------------
+    this._metrics = new SessionMetrics();
+
+    // 6. Switch Scanning
+    // ------------------------------------------------------------------------
+    this._scanner = new SwitchScanner({
+      keys: DEFAULT_CONFIG.SCAN_KEYS,
+      onStep: (index) => this._onScanStep(index),
+      onSelect: (index) => this._onScanSelect(index),
+      clock: () => this._clock.now(),
+    });
+
+    // 7. Keyboard / Gamepad
+    // ------------------------------------------------------------------------
+    this._directional = new DirectionalInput({
+      deadzone: DEFAULT_CONFIG.DIRECTIONAL_DEADZONE,
+      onChange: (direction) => this._onDirectionalChange(direction),
+    });
+
+    // 8. Pointer Heatmap
+    // ------------------------------------------------------------------------
+    this._heatmap = new PointerHeatmap({
+      cols: DEFAULT_CONFIG.HEATMAP_COLS,
+      rows: DEFAULT_CONFIG.HEATMAP_ROWS,
+      bounds: getPlayAreaBounds(DEFAULT_CONFIG.STAR_UI_LEFT_RATIO),
+    });
+    // Whether the real host sees the heatmap overlay (local, never synced)
+    this.showHeatmap = false;
+    this._lastHeatmapSampleAt = null;
+
+    // 9. State
     // ------------------------------------------------------------------------
     this.currentCursor = null;
-    this.gridSize = 4;
+    this.gridRows = 4;
+    this.gridCols = 4;
     this.score = 0;
     this.isMultiplayerMode = false;
     this.firebaseStars = [];
+    this.collectMode = DEFAULT_CONFIG.STAR_COLLECT_MODE;
+    this.dwellTime = DEFAULT_CONFIG.STAR_DWELL_TIME_MS;
+    this.placementMode = "grid";
+    // Type of the next star the host places (local to the host's screen)
+    this.placementStarType = "normal";
+    // Whether the real host sees the other party's pointer ghost (local to
+    // the host's screen, never synced)
+    this.showPointerGhost = DEFAULT_CONFIG.POINTER_GHOST_ENABLED;
+    this.seed = null;
+    this.generation = 0;
+    this.motionMode = "still";
+    this.targetSpeed = 0.1;
+    this.magnetStrength = this._gameService.magnetStrength;
+    this.coControlWeight = this._gameService.coControlWeight;
+    // Filter profile per real identity; applied to the pointer that
+    // identity currently drives (see _applyInputFilters)
+    this.inputFilters = { ...this._gameService.inputFilters };
+    this.scanInterval = this._gameService.scanIntervalMs;
+    // Last switch selection `{ row, col, by, at }`, fed to InputManager as
+    // a synthetic pointer while scanning is on
+    this._scanSelect = null;
+    // Keyboard/gamepad movement record of each real identity
+    // `{ x, y, vx, vy, at }`, fed to InputManager every frame while held
+    this._directionalRecords = {};
+    this.starLifetime = DEFAULT_CONFIG.STAR_LIFETIME_MS;
+    this.timeoutAction = "relocate";
+    this.round = this._gameService.round;
+    // Turn-taking state `{ rule, holder, number, startedAt }`, null = off
+    this.turn = this._gameService.turn;
+    this.soundMuted = this._soundEngine.muted;
+    this.soundVolume = this._soundEngine.volume;
+
+    // Viewport size of each real identity ("host"/"participant"), used to
+    // normalize incoming cursor pixels from that client's screen
+    this.viewports = {};
+
+    // Collection claims sent by this client, awaiting the host's verdict
+    // (starId -> { at, timer })
+    this._pendingClaims = new Map();
+    // Latest claims snapshot (starId -> claim record)
+    this._claims = {};
+    // Claims the host has already ruled on ("starId:at"), kept while the
+    // star or the claim record is still around
+    this._handledClaims = new Set();
+    // Whether the first claims snapshot has arrived (claims already in it
+    // predate this host session and are stale)
+    this._claimsLoaded = false;
+    // Round number whose celebration has been shown
+    this._celebratedRound = null;
 
     // Sync flags
     this._firebaseStarsSyncInitialized = false;
+    // Score event IDs already cued (null until the first snapshot)
+    this._cuedScoreEvents = null;
 
     console.log("[FishGame] Controller ready.");
   }
@@ -56,6 +201,11 @@ class FishGame {
     return this._isSwapped ? !this._realIsHost : this._realIsHost;
   }
 
+  /** Real (unswapped) identity of this client: "host" or "participant" */
+  get realRole() {
+    return this._realIsHost ? "host" : "participant";
+  }
+
   // ==========================================================================
   // INITIALIZATION
   // ==========================================================================
@@ -66,6 +216,8 @@ class FishGame {
     this._setupEventListeners();
     this._setupFirebaseSubscriptions();
     this._setupSidebarIcons();
+    this._startTicker();
+    this._startClockSync();
 
     // Initialize UI components
     this._ui.init(this.score);
@@ -75,10 +227,26 @@ class FishGame {
     this.currentCursor = new WebGLFishCursor({
       isMultiplayerMode: this.isMultiplayerMode,
       isHost: this.isHost,
-      onStarCollected: (starId) => this.onStarCollected(starId),
+      soundEngine: this._soundEngine,
+      seed: this.seed,
+      clock: () => this._clock.now(),
+      onFrame: () => this._feedDirectionalPointers(),
+      onStarCollected: (starId, fishPos) =>
+        this.onStarCollected(starId, fishPos),
     });
 
-    this.currentCursor.setStarGrid(this.gridSize);
+    this.currentCursor.setStarGrid(this.gridRows, this.gridCols);
+    this.currentCursor.setCollectMode(this.collectMode);
+    this.currentCursor.setDwellTime(this.dwellTime);
+    this.currentCursor.setStarLifetime(this.starLifetime);
+    this.currentCursor.setMagnetStrength(this.magnetStrength);
+    this.currentCursor.setCoControlWeight(this.coControlWeight);
+    this.currentCursor.setTurnHolder(this.turn?.holder ?? null);
+    this._applyInputFilters();
+    this._applyPointerGhost();
+    this.currentCursor.setScanHighlight(
+      this._gameService.getScanCell(this._scanner.getIndex()),
+    );
 
     if (this.isMultiplayerMode) {
       this.currentCursor.syncStarsFromFirebase(this.firebaseStars);
@@ -89,10 +257,29 @@ class FishGame {
     if (!this.isHost) return;
 
     const defaults = {
-      gridSize: 4,
       score: 0,
       gameMode: "single-player",
       isSwapped: false,
+      collectMode: DEFAULT_CONFIG.STAR_COLLECT_MODE,
+      dwellTime: DEFAULT_CONFIG.STAR_DWELL_TIME_MS,
+      placementMode: "grid",
+      seed: generateSeed(),
+      generation: 0,
+      motionMode: "still",
+      targetSpeed: 0.1,
+      magnetStrength: DEFAULT_CONFIG.MAGNET_STRENGTH,
+      coControlWeight: this._gameService.validateCoControlWeight(
+        DEFAULT_CONFIG.CO_CONTROL_WEIGHT,
+      ),
+      inputFilters: this._gameService.validateInputFilters(
+        DEFAULT_CONFIG.INPUT_FILTERS,
+      ),
+      scanInterval: this._gameService.scanIntervalMs,
+      starLifetime: DEFAULT_CONFIG.STAR_LIFETIME_MS,
+      timeoutAction: "relocate",
+      round: this._gameService.createRound(1, null),
+      soundMuted: false,
+      soundVolume: this.soundVolume,
     };
 
     Object.entries(defaults).forEach(([key, val]) => {
@@ -106,6 +293,26 @@ class FishGame {
         { onlyOnce: true },
       );
     });
+
+    // Rows/columns default to the legacy square `gridSize`, if one was set
+    SquidlyAPI.firebaseOnValue(
+      "gridSize",
+      (legacySize) => {
+        const size = this._gameService.validateGridSize(legacySize ?? 4);
+        ["gridRows", "gridCols"].forEach((key) => {
+          SquidlyAPI.firebaseOnValue(
+            key,
+            (snapshot) => {
+              if (snapshot === null || snapshot === undefined) {
+                SquidlyAPI.firebaseSet(key, size);
+              }
+            },
+            { onlyOnce: true },
+          );
+        });
+      },
+      { onlyOnce: true },
+    );
   }
 
   // ==========================================================================
@@ -113,18 +320,38 @@ class FishGame {
   // ==========================================================================
 
   _setupEventListeners() {
-    // Local mouse
+    // Local viewport - published so other clients can normalize our cursor
+    this._publishViewport();
+
+    // Switch presses (Space/Enter) from this client's keyboard
+    this._scanner.setTargetCount(this._gameService.getScanCellCount());
+    this._scanner.attach(window);
+
+    // Arrow keys/WASD and gamepads on this client
+    this._directional.attach(window);
+
+    window.addEventListener("resize", () => {
+      clearTimeout(this._viewportTimer);
+      this._viewportTimer = setTimeout(() => this._publishViewport(), 200);
+    });
 
     // Squidly API
     SquidlyAPI.addCursorListener((data) => {
-      let isParticipant = data.user.includes("participant");
+      const senderIsParticipant = data.user.includes("participant");
+
+      // A switch user's pointer comes from their selections instead
+      if (this._isScanControlled(senderIsParticipant)) return;
+
+      const sourceViewport = this._getViewportFor(
+        senderIsParticipant ? "participant" : "host",
+      );
 
       // Swap logic
-      if (this._isSwapped) {
-        isParticipant = !isParticipant;
-      }
+      const isParticipant = this._isSwapped
+        ? !senderIsParticipant
+        : senderIsParticipant;
 
-      this.updatePointerPosition(data.x, data.y, isParticipant);
+      this.updatePointerPosition(data.x, data.y, isParticipant, sourceViewport);
     });
 
     SquidlyAPI.addSessionInfoListener((info) => {
@@ -144,21 +371,264 @@ class FishGame {
   }
 
   _setupSidebarIcons() {
+    const stepGrid = (key, current, delta) => {
+      const next = this._gameService.stepGridSize(current, delta);
+      if (next !== null) SquidlyAPI.firebaseSet(key, next);
+    };
+
     this._ui.setupGridControls({
-      onGridIncrease: () => {
-        const newSize = Math.min(4, this.gridSize + 1);
-        if (newSize !== this.gridSize)
-          SquidlyAPI.firebaseSet("gridSize", newSize);
-      },
-      onGridDecrease: () => {
-        const newSize = Math.max(1, this.gridSize - 1);
-        if (newSize !== this.gridSize)
-          SquidlyAPI.firebaseSet("gridSize", newSize);
-      },
+      onRowsIncrease: () => stepGrid("gridRows", this.gridRows, 1),
+      onRowsDecrease: () => stepGrid("gridRows", this.gridRows, -1),
+      onColsIncrease: () => stepGrid("gridCols", this.gridCols, 1),
+      onColsDecrease: () => stepGrid("gridCols", this.gridCols, -1),
     });
 
     // Initial Swap Button Check
     this._updateSwapButton();
+
+    this._updateCollectControls();
+    this._updateSoundControls();
+    this._updatePlacementControls();
+    this._updateSeedControls();
+    this._updateMotionControls();
+    this._updateLifetimeControls();
+    this._updateMagnetControls();
+    this._updateCoControlControls();
+    this._updateInputFilterControls();
+    this._updateScanControls();
+    this._updateTurnControls();
+    this._updatePointerGhostControls();
+    this._updateHeatmapControls();
+    this._updateRoundControls();
+
+    // Reports are for the therapist running the session
+    if (this.realRole === "host") {
+      this._ui.setupReportControls({
+        onOpenReport: () => this._openSessionReport(),
+        onExportCsv: () => this._exportSessionCsv(),
+      });
+    }
+  }
+
+  _updateSeedControls() {
+    if (this.realRole !== "host") return;
+
+    this._ui.updateSeedControls(this.seed, () => this._promptReplaySeed());
+  }
+
+  /**
+   * Real host enters a seed: the star sequence restarts from generation 1 of
+   * that seed, reproducing the session it came from.
+   */
+  _promptReplaySeed() {
+    if (this.realRole !== "host") return;
+    const input = this._ui.promptSeed(this.seed);
+    if (input === null) return;
+
+    const seed = normalizeSeed(input);
+    if (!seed) {
+      console.warn(`[FishGame] Invalid seed: ${input}`);
+      return;
+    }
+
+    this._applySeed(seed);
+    this.generation = 0;
+    SquidlyAPI.firebaseSet("seed", seed);
+    SquidlyAPI.firebaseSet("generation", 0);
+
+    if (!this.isMultiplayerMode) this._generateRandomStarsToFirebase();
+  }
+
+  _applySeed(seed) {
+    this.seed = this._gameService.setSeed(seed) ?? this.seed;
+    if (this.currentCursor) this.currentCursor.setSeed(this.seed);
+    this._updateSeedControls();
+  }
+
+  _updateMotionControls() {
+    if (this.realRole !== "host") return;
+
+    this._ui.updateMotionControls(this.motionMode, this.targetSpeed, {
+      onMotionModeCycle: () => {
+        SquidlyAPI.firebaseSet(
+          "motionMode",
+          this._gameService.getNextMotionMode(this.motionMode),
+        );
+      },
+      onTargetSpeedCycle: () => {
+        SquidlyAPI.firebaseSet(
+          "targetSpeed",
+          this._gameService.getNextTargetSpeed(this.targetSpeed),
+        );
+      },
+    });
+  }
+
+  _updateLifetimeControls() {
+    if (this.realRole !== "host") return;
+
+    this._ui.updateLifetimeControls(this.starLifetime, this.timeoutAction, {
+      onLifetimeCycle: () => {
+        SquidlyAPI.firebaseSet(
+          "starLifetime",
+          this._gameService.getNextStarLifetime(this.starLifetime),
+        );
+      },
+      onTimeoutActionToggle: () => {
+        const next =
+          this.timeoutAction === "relocate" ? "disappear" : "relocate";
+        SquidlyAPI.firebaseSet("timeoutAction", next);
+      },
+    });
+  }
+
+  _updateMagnetControls() {
+    if (this.realRole !== "host") return;
+
+    this._ui.updateMagnetControls(this.magnetStrength, () => {
+      SquidlyAPI.firebaseSet(
+        "magnetStrength",
+        this._gameService.getNextMagnetStrength(this.magnetStrength),
+      );
+    });
+  }
+
+  _updateCoControlControls() {
+    if (this.realRole !== "host") return;
+
+    this._ui.updateCoControlControls(this.coControlWeight, () => {
+      SquidlyAPI.firebaseSet(
+        "coControlWeight",
+        this._gameService.getNextCoControlWeight(this.coControlWeight),
+      );
+    });
+  }
+
+  _updatePointerGhostControls() {
+    if (this.realRole !== "host") return;
+
+    this._ui.updatePointerGhostControls(this.showPointerGhost, () => {
+      this.showPointerGhost = !this.showPointerGhost;
+      this._applyPointerGhost();
+      this._updatePointerGhostControls();
+    });
+  }
+
+  /**
+   * Shows the other party's raw pointer on the real host's screen while
+   * the ghost is on. Pointers are stored by effective role, so after a
+   * swap the other party's pointer is "host".
+   */
+  _applyPointerGhost() {
+    if (!this.currentCursor) return;
+
+    const show = this.showPointerGhost && this.realRole === "host";
+    this.currentCursor.setPointerGhost(
+      show ? (this.isHost ? "participant" : "host") : null,
+    );
+  }
+
+  _updateInputFilterControls() {
+    if (this.realRole !== "host") return;
+
+    const cycle = (identity) => {
+      SquidlyAPI.firebaseSet(
+        `inputFilters/${identity}`,
+        this._gameService.getNextInputFilter(this.inputFilters[identity]),
+      );
+    };
+
+    this._ui.updateInputFilterControls(this.inputFilters, {
+      onHostFilterCycle: () => cycle("host"),
+      onParticipantFilterCycle: () => cycle("participant"),
+    });
+  }
+
+  /**
+   * Gives each pointer the filter of the identity driving it. Profiles
+   * belong to the real sender's input device, so a swap moves them to the
+   * other pointer ID along with the input.
+   */
+  _applyInputFilters() {
+    if (!this.currentCursor) return;
+
+    const { host, participant } = this.inputFilters;
+    this.currentCursor.setPointerFilter(
+      "participant",
+      this._isSwapped ? host : participant,
+    );
+    this.currentCursor.setPointerFilter(
+      "host",
+      this._isSwapped ? participant : host,
+    );
+  }
+
+  /**
+   * Host gives every current star a fresh path for the current motion mode
+   * and speed (or stops them in "still" mode).
+   */
+  _repathFirebaseStars() {
+    if (!this.isHost || this.firebaseStars.length === 0) return;
+
+    const stars = this._withPaths(this.firebaseStars);
+    this._gameService.setStars(stars);
+    this.firebaseStars = stars;
+    this._setFirebaseStars(stars);
+  }
+
+  /**
+   * Attaches motion paths to new stars.
+   * @param {Array} stars - Stars to update
+   * @param {function(): number} [rng] - Shared random source (generation)
+   * @returns {Array} Stars with paths for the current motion mode
+   */
+  _withPaths(stars, rng) {
+    return this._gameService.withPaths(stars, {
+      rng,
+      uiLeftRatio: DEFAULT_CONFIG.STAR_UI_LEFT_RATIO,
+    });
+  }
+
+  _updatePlacementControls() {
+    if (this.realRole !== "host") return;
+
+    this._ui.updatePlacementControls(this.placementMode, () => {
+      const next = this.placementMode === "free" ? "grid" : "free";
+      SquidlyAPI.firebaseSet("placementMode", next);
+    });
+  }
+
+  _updateSoundControls() {
+    if (!this._realIsHost) return;
+
+    this._ui.updateSoundControls(this.soundMuted, this.soundVolume, {
+      onMuteToggle: () => {
+        SquidlyAPI.firebaseSet("soundMuted", !this.soundMuted);
+      },
+      onVolumeCycle: () => {
+        SquidlyAPI.firebaseSet(
+          "soundVolume",
+          this._gameService.getNextVolume(this.soundVolume),
+        );
+      },
+    });
+  }
+
+  _updateCollectControls() {
+    if (!this._realIsHost) return;
+
+    this._ui.updateCollectControls(this.collectMode, this.dwellTime, {
+      onCollectModeToggle: () => {
+        const next = this.collectMode === "dwell" ? "touch" : "dwell";
+        SquidlyAPI.firebaseSet("collectMode", next);
+      },
+      onDwellTimeCycle: () => {
+        SquidlyAPI.firebaseSet(
+          "dwellTime",
+          this._gameService.getNextDwellTime(this.dwellTime),
+        );
+      },
+    });
   }
 
   // ==========================================================================
@@ -166,41 +636,110 @@ class FishGame {
   // ==========================================================================
 
   _setupFirebaseSubscriptions() {
-    // 1. Grid Size
-    SquidlyAPI.firebaseOnValue("gridSize", (value) => {
-      const validated = this._gameService.validateGridSize(value);
-      if (this.gridSize !== validated) {
-        this.gridSize = this._gameService.setGridSize(validated);
-
-        if (this.currentCursor) this.currentCursor.setStarGrid(validated);
-
-        this._updateStarGridUI();
+    // 1. Grid Rows / Columns
+    SquidlyAPI.firebaseOnValue("gridRows", (value) => {
+      if (value == null) return;
+      this._setGridDimensions(value, this.gridCols);
+    });
 
-        if (this.isHost) {
-          this._setFirebaseStars([]);
-        }
-      }
+    SquidlyAPI.firebaseOnValue("gridCols", (value) => {
+      if (value == null) return;
+      this._setGridDimensions(this.gridRows, value);
     });
 
-    // 2. Score
+    // 2. Score (base score + one event per collected star)
     SquidlyAPI.firebaseOnValue("score", (value) => {
       const score = Number(value);
       if (Number.isFinite(score) && score >= 0) {
-        this._gameService.setScore(score);
-        this.score = score;
-        this._ui.updateScore(score);
+        this.score = this._gameService.setBaseScore(score);
+        this._ui.updateScore(this.score);
       }
     });
 
+    SquidlyAPI.firebaseOnValue("scoreEvents", (value) => {
+      this.score = this._gameService.setScoreEvents(value);
+      this._ui.updateScore(this.score);
+      this._cueNewScoreEvents();
+      this._metrics.syncScoreEvents(
+        this._gameService.scoreEvents,
+        this._getMetricsContext(),
+      );
+      this._checkRoundProgress();
+      this._updateRoundDisplay();
+      this._checkTurn();
+    });
+
     // 3. Stars
     this._initializeFirebaseStarsSync();
 
+    // 3b. Viewports (per real identity)
+    SquidlyAPI.firebaseOnValue("viewports", (value) => {
+      this.viewports = value && typeof value === "object" ? value : {};
+    });
+
     // 4. Game Mode
     SquidlyAPI.firebaseOnValue("gameMode", (value) => {
       this._setGameMode(value);
     });
 
-    // 5. Swap State
+    // 5. Collection Mode
+    SquidlyAPI.firebaseOnValue("collectMode", (value) => {
+      const mode = this._gameService.validateCollectMode(value);
+      if (this.collectMode === mode) return;
+
+      this.collectMode = this._gameService.setCollectMode(mode);
+      if (this.currentCursor) this.currentCursor.setCollectMode(mode);
+      this._updateCollectControls();
+    });
+
+    // 6. Dwell Time
+    SquidlyAPI.firebaseOnValue("dwellTime", (value) => {
+      if (value == null) return;
+      const dwellTime = this._gameService.validateDwellTime(value);
+      if (this.dwellTime === dwellTime) return;
+
+      this.dwellTime = this._gameService.setDwellTime(dwellTime);
+      if (this.currentCursor) this.currentCursor.setDwellTime(dwellTime);
+      this._updateCollectControls();
+    });
+
+    // 7. Sound Mute
+    SquidlyAPI.firebaseOnValue("soundMuted", (value) => {
+      const muted = value === true;
+      if (this.soundMuted === muted) return;
+
+      this.soundMuted = muted;
+      this._soundEngine.setMuted(muted);
+      this._updateSoundControls();
+    });
+
+    // 8. Sound Volume
+    SquidlyAPI.firebaseOnValue("soundVolume", (value) => {
+      if (value == null) return;
+      const volume = this._gameService.validateVolume(value);
+      if (this.soundVolume === volume) return;
+
+      this.soundVolume = volume;
+      this._soundEngine.setVolume(volume);
+      this._updateSoundControls();
+    });
+
+    // 9. Collection Claims
+    SquidlyAPI.firebaseOnValue("claims", (value) => {
+      this._onClaimsUpdate(value);
+    });
+
+    // 10. Placement Mode
+    SquidlyAPI.firebaseOnValue("placementMode", (value) => {
+      const mode = this._gameService.validatePlacementMode(value);
+      if (this.placementMode === mode) return;
+
+      this.placementMode = this._gameService.setPlacementMode(mode);
+      this._updatePlacementControls();
+      this._updateStarGridUI();
+    });
+
+    // 11. Swap State
     SquidlyAPI.firebaseOnValue("isSwapped", (value) => {
       const isSwapped = value === true;
 
@@ -213,11 +752,175 @@ class FishGame {
         if (this.currentCursor) {
           this.currentCursor.setIsHost(this.isHost);
         }
+        this._applyInputFilters();
+        this._applyPointerGhost();
 
         // Re-evaluate UI that depends on role
         this._updateStarGridUI();
       }
     });
+
+    // 12. Seed
+    SquidlyAPI.firebaseOnValue("seed", (value) => {
+      const seed = normalizeSeed(value);
+      if (seed && seed !== this.seed) this._applySeed(seed);
+    });
+
+    // 13. Generation
+    SquidlyAPI.firebaseOnValue("generation", (value) => {
+      const generation = Number(value);
+      if (Number.isInteger(generation) && generation >= 0) {
+        this.generation = generation;
+      }
+    });
+
+    // 14. Motion Mode (moving targets)
+    SquidlyAPI.firebaseOnValue("motionMode", (value) => {
+      const mode = this._gameService.validateMotionMode(value);
+      if (this.motionMode === mode) return;
+
+      this.motionMode = this._gameService.setMotionMode(mode);
+      this._updateMotionControls();
+      this._repathFirebaseStars();
+    });
+
+    // 15. Moving-Target Speed
+    SquidlyAPI.firebaseOnValue("targetSpeed", (value) => {
+      const speed = this._gameService.validateTargetSpeed(value);
+      if (this.targetSpeed === speed) return;
+
+      this.targetSpeed = this._gameService.setTargetSpeed(speed);
+      this._updateMotionControls();
+      this._repathFirebaseStars();
+    });
+
+    // 16. Star Lifetime
+    SquidlyAPI.firebaseOnValue("starLifetime", (value) => {
+      const ms = this._gameService.validateStarLifetime(value);
+      if (this.starLifetime === ms) return;
+
+      this.starLifetime = this._gameService.setStarLifetime(ms);
+      if (this.currentCursor) this.currentCursor.setStarLifetime(ms);
+      this._updateLifetimeControls();
+    });
+
+    // 17. Timeout Action
+    SquidlyAPI.firebaseOnValue("timeoutAction", (value) => {
+      const action = this._gameService.validateTimeoutAction(value);
+      if (this.timeoutAction === action) return;
+
+      this.timeoutAction = this._gameService.setTimeoutAction(action);
+      this._updateLifetimeControls();
+    });
+
+    // 18. Round
+    SquidlyAPI.firebaseOnValue("round", (value) => {
+      this._onRoundUpdate(value);
+    });
+
+    // 19. Magnet Assist
+    SquidlyAPI.firebaseOnValue("magnetStrength", (value) => {
+      const strength = this._gameService.validateMagnetStrength(value);
+      if (this.magnetStrength === strength) return;
+
+      this.magnetStrength = this._gameService.setMagnetStrength(strength);
+      if (this.currentCursor) this.currentCursor.setMagnetStrength(strength);
+      this._updateMagnetControls();
+    });
+
+    // 20. Input Filters
+    SquidlyAPI.firebaseOnValue("inputFilters", (value) => {
+      const filters = this._gameService.setInputFilters(value);
+      if (
+        this.inputFilters.host === filters.host &&
+        this.inputFilters.participant === filters.participant
+      ) {
+        return;
+      }
+
+      this.inputFilters = filters;
+      this._applyInputFilters();
+      this._updateInputFilterControls();
+    });
+
+    // 21. Switch Scanning Rate
+    SquidlyAPI.firebaseOnValue("scanInterval", (value) => {
+      const ms = this._gameService.validateScanInterval(value);
+      if (this.scanInterval === ms) return;
+
+      this.scanInterval = this._gameService.setScanInterval(ms);
+      this._scanner.setInterval(ms);
+      this._updateScanControls();
+
+      // Turning scanning off hands the pointer back to the real cursor
+      if (ms === 0 && this.isHost) SquidlyAPI.firebaseSet("scanSelect", null);
+    });
+
+    // 22. Switch Selection
+    SquidlyAPI.firebaseOnValue("scanSelect", (value) => {
+      this._scanSelect = this._gameService.validateScanSelect(value);
+      this._feedScanPointer();
+    });
+
+    // 23. Keyboard / Gamepad Movement
+    SquidlyAPI.firebaseOnValue("directional", (value) => {
+      const records = {};
+      ["host", "participant"].forEach((identity) => {
+        if (isValidDirectional(value?.[identity])) {
+          records[identity] = value[identity];
+        }
+      });
+      this._directionalRecords = records;
+    });
+
+    // 24. Turn-Taking
+    SquidlyAPI.firebaseOnValue("turn", (value) => {
+      this._onTurnUpdate(value);
+    });
+
+    // 25. Co-Control Weight
+    SquidlyAPI.firebaseOnValue("coControlWeight", (value) => {
+      const weight = this._gameService.validateCoControlWeight(value);
+      if (this.coControlWeight === weight) return;
+
+      this.coControlWeight = this._gameService.setCoControlWeight(weight);
+      if (this.currentCursor) this.currentCursor.setCoControlWeight(weight);
+      this._updateCoControlControls();
+    });
+
+    // 26. Clock Sync
+    SquidlyAPI.firebaseOnValue("clockSync", (value) => {
+      this._onClockSync(value);
+    });
+
+    // 27. Switch Scanning Start
+    SquidlyAPI.firebaseOnValue("scanStartedAt", (value) => {
+      this._scanner.setStartTime(value ?? 0);
+    });
+  }
+
+  _setGridDimensions(rows, cols) {
+    const next = this._gameService.setGridDimensions(rows, cols);
+    if (this.gridRows === next.rows && this.gridCols === next.cols) return;
+
+    this.gridRows = next.rows;
+    this.gridCols = next.cols;
+
+    if (this.currentCursor) {
+      this.currentCursor.setStarGrid(next.rows, next.cols);
+    }
+
+    this._scanner.setTargetCount(this._gameService.getScanCellCount());
+    this._scanSelect = this._gameService.validateScanSelect(this._scanSelect);
+
+    this._updateStarGridUI();
+
+    // Grid stars belong to the old grid; free stars keep their place
+    if (this.isHost) {
+      this._setFirebaseStars(
+        this.firebaseStars.filter((s) => this._gameService.isFreeStar(s)),
+      );
+    }
   }
 
   _initializeFirebaseStarsSync() {
@@ -230,30 +933,29 @@ class FishGame {
   }
 
   _onFirebaseStarsUpdate(starsData) {
-    // Parse comma-separated string "row_col,row_col,..." back into array
-    // Handle null, undefined, and empty string cases
-    if (starsData == null || starsData === "") {
-      this.firebaseStars = [];
-    } else if (typeof starsData === "string") {
-      // Split and filter out empty entries (handles edge case of trailing commas)
-      this.firebaseStars = starsData
-        .split(",")
-        .filter((s) => s.length > 0)
-        .map((s) => {
-          const [row, col] = s.split("_").map(Number);
-          // Generate deterministic ID from position (needed for collectStar filtering)
-          return { id: `star_${row}_${col}`, row, col };
-        })
-        .filter((s) => !isNaN(s.row) && !isNaN(s.col));
-    } else {
-      // Legacy: handle array format during migration
-      this.firebaseStars = Array.isArray(starsData) ? starsData : [];
+    // Per-star records { [starId]: { row, col } }, or a legacy
+    // "row_col,row_col" string / { id, row, col } array
+    const { stars, format } = this._gameService.parseStarsData(starsData);
+    this.firebaseStars = stars;
+
+    // Migrate legacy formats: host rewrites them as per-star records
+    if (this.isHost && (format === "string" || format === "array")) {
+      console.log(`[FishGame] Migrating stars from ${format} format`);
+      this._setFirebaseStars(stars);
     }
 
     this._gameService.setStars(this.firebaseStars);
+    this._metrics.syncStars(this.firebaseStars, this._getMetricsContext());
+
+    // A claimed star leaving Firebase means the host accepted the claim
+    this._pendingClaims.forEach((pending, starId) => {
+      if (!stars.some((s) => s.id === starId)) this._clearClaim(starId);
+    });
+    this._pruneHandledClaims();
 
     // Update UI
     this._ui.updateStarCellStates(this.firebaseStars);
+    this._ui.updateStarMarkers(this._getStarMarkers());
 
     // Update Renderer
     if (this.currentCursor) {
@@ -294,6 +996,8 @@ class FishGame {
     this._gameService.isMultiplayerMode = result.isMultiplayer;
     console.log("[FishGame] Mode set to:", mode);
 
+    this._soundEngine.playModeChange(result.isMultiplayer);
+
     if (result.shouldClearStars) {
       // Multiplayer: Clear stars
       this._setFirebaseStars([]);
@@ -305,6 +1009,8 @@ class FishGame {
         // Optimistic update for immediate logic
         this._isSwapped = false;
         if (this.currentCursor) this.currentCursor.setIsHost(this.isHost);
+        this._applyInputFilters();
+        this._applyPointerGhost();
       }
 
       this._updateStarGridUI();
@@ -335,76 +1041,953 @@ class FishGame {
   }
 
   _updateStarGridUI() {
-    // Only show grid if Multiplayer AND Host
-    const shouldShow = this.isMultiplayerMode && this.isHost;
+    // Only show placement UI if Multiplayer AND Host
+    const canPlace = this.isMultiplayerMode && this.isHost;
+    const isFree = this.placementMode === "free";
+
+    this._ui.updateStarTypePicker(
+      canPlace,
+      Object.keys(this._gameService.starTypes).map((type) => ({
+        type,
+        points: this._gameService.getStarPoints({ type }),
+      })),
+      this.placementStarType,
+      (type) => {
+        this.placementStarType = this._gameService.validateStarType(type);
+        this._updateStarGridUI();
+      },
+    );
 
     this._ui.updateStarControlGrid(
-      shouldShow,
-      this.gridSize,
+      canPlace && !isFree,
+      this.gridRows,
+      this.gridCols,
       this.firebaseStars,
       (row, col) => this._onStarCellClick(row, col),
     );
+
+    this._ui.updateStarPlacementArea(
+      canPlace && isFree,
+      this._getStarMarkers(),
+      (x, y) => this._onPlacementClick(x, y),
+    );
+  }
+
+  /**
+   * Normalized positions of all stars (grid and free) for the placement area.
+   * Moving stars are marked at the spot they were placed, which is also
+   * where clicking removes them.
+   * @returns {Array<{id: string, x: number, y: number}>}
+   */
+  _getStarMarkers() {
+    return this.firebaseStars.map((star) => ({
+      id: star.id,
+      type: star.type,
+      ...this._gameService.getStarNormalizedPosition(
+        star,
+        DEFAULT_CONFIG.STAR_UI_LEFT_RATIO,
+        null,
+      ),
+    }));
+  }
+
+  _onPlacementClick(x, y) {
+    this._gameService.setStars(this.firebaseStars);
+    const { added, removed, stars } = this._gameService.toggleFreeStar(
+      x,
+      y,
+      DEFAULT_CONFIG.STAR_UI_LEFT_RATIO,
+      this.placementStarType,
+    );
+
+    this.firebaseStars = stars;
+
+    if (added) this._addPlacedStar(added);
+    if (removed) this._removeFirebaseStar(removed.id);
   }
 
   _onStarCellClick(row, col) {
     // Ensure service is up to date
     this._gameService.setStars(this.firebaseStars);
-    const newStars = this._gameService.toggleStarAtPosition(row, col);
+    const { added, removed, stars } = this._gameService.toggleStar(
+      row,
+      col,
+      this.placementStarType,
+    );
 
     // Optimistic update
-    this.firebaseStars = newStars;
+    this.firebaseStars = stars;
+
+    // Sync only the changed record so concurrent collections aren't overwritten
+    if (added) this._addPlacedStar(added);
+    if (removed) this._removeFirebaseStar(removed.id);
+  }
 
-    // Sync
-    this._setFirebaseStars(newStars);
+  /**
+   * Syncs a star the host just placed, moving it if a motion mode is active.
+   * @param {Object} star - Star returned by a toggle
+   */
+  _addPlacedStar(star) {
+    const [placed] = this._gameService.withBornAt(this._withPaths([star]));
+    this.firebaseStars = this.firebaseStars.map((s) =>
+      s.id === placed.id ? placed : s,
+    );
+    this._addFirebaseStar(placed);
   }
 
   _generateRandomStarsToFirebase() {
     if (!this.isHost) return;
-    const stars = this._gameService.generateRandomStars(this.gridSize);
+
+    // Each regeneration derives from seed + generation number
+    const generation = this.generation + 1;
+    const rng = this._gameService.createGenerationRng(generation);
+    const cells = this._gameService.generateRandomStars(
+      this.gridRows,
+      this.gridCols,
+      rng,
+      generation,
+    );
+    // Paths continue the same stream so a replayed seed moves identically
+    const stars = this._gameService.withBornAt(this._withPaths(cells, rng));
+    this.generation = generation;
+    SquidlyAPI.firebaseSet("generation", generation);
+
     this._gameService.setStars(stars);
     this.firebaseStars = stars;
     this._setFirebaseStars(stars);
   }
 
+  /**
+   * Replaces the whole star collection (generation, clearing, migration).
+   * Gameplay changes use _addFirebaseStar/_removeFirebaseStar instead.
+   * @param {Array} stars - Stars array
+   */
   _setFirebaseStars(stars) {
-    // Serialize stars array as comma-separated string: "row_col,row_col,..."
-    // Sort by row then col for consistent ordering
-    const serialized =
-      stars.length > 0
-        ? stars
-            .slice() // Don't mutate original
-            .sort((a, b) => a.row - b.row || a.col - b.col)
-            .map((s) => `${s.row}_${s.col}`)
-            .join(",")
-        : "";
-    SquidlyAPI.firebaseSet("stars", serialized);
+    SquidlyAPI.firebaseSet("stars", this._gameService.toStarRecords(stars));
+  }
+
+  _addFirebaseStar(star) {
+    SquidlyAPI.firebaseSet(
+      `stars/${star.id}`,
+      this._gameService.toStarRecord(star),
+    );
+  }
+
+  _removeFirebaseStar(starId) {
+    SquidlyAPI.firebaseSet(`stars/${starId}`, null);
+  }
+
+  _startTicker() {
+    clearInterval(this._tickTimer);
+    this._tickTimer = setInterval(() => {
+      this._checkStarTimeouts();
+      this._feedScanPointer();
+      this._checkRoundProgress();
+      this._updateRoundDisplay();
+      this._checkTurn();
+      this._updateTurnDisplay();
+      this._sampleHeatmap();
+    }, TICK_MS);
+  }
+
+  /**
+   * Host removes or relocates stars nobody collected within their lifetime.
+   * GameService decides what happens; every client animates the change
+   * from Firebase.
+   */
+  _checkStarTimeouts() {
+    if (!this.isHost || this.starLifetime <= 0) return;
+    if (this.firebaseStars.length === 0) return;
+
+    const now = this._clock.now();
+
+    // Stars from before lifetimes were turned on start their countdown now
+    this.firebaseStars.forEach((star) => {
+      if (!Number.isFinite(star.bornAt)) {
+        SquidlyAPI.firebaseSet(`stars/${star.id}/bornAt`, now);
+      }
+    });
+    this.firebaseStars = this._gameService.withBornAt(this.firebaseStars, now);
+    this._gameService.setStars(this.firebaseStars);
+
+    const relocated = [];
+    this._gameService.getExpiredStars(now).forEach((star) => {
+      const { removed, added } = this._gameService.resolveStarTimeout(star, {
+        now,
+        uiLeftRatio: DEFAULT_CONFIG.STAR_UI_LEFT_RATIO,
+      });
+      this._removeFirebaseStar(removed.id);
+      if (added) relocated.push(added);
+    });
+
+    this.firebaseStars = this._gameService.stars;
+    relocated.forEach((star) => this._addPlacedStar(star));
   }
 
   incrementScore() {
-    const newScore = this._gameService.incrementScore();
-    this.score = newScore;
-    SquidlyAPI.firebaseSet("score", newScore);
-    this._ui.updateScore(newScore);
+    // Manual bonus point: recorded as its own event so it reconciles like
+    // any collection
+    const eventId = `bonus_${Date.now().toString(36)}`;
+    const event = this._gameService.createScoreEvent({
+      by: this.isHost ? "host" : "participant",
+      at: this._clock.now(),
+    });
+    this._writeScoreEvent(eventId, event);
+  }
+
+  /**
+   * Plays the collect cue for score events that arrived since the last
+   * update: a collection only counts once the host has confirmed it. Events
+   * already there when this client joined stay silent.
+   */
+  _cueNewScoreEvents() {
+    const ids = Object.keys(this._gameService.scoreEvents);
+    if (this._cuedScoreEvents) {
+      ids
+        .filter((id) => !this._cuedScoreEvents.has(id))
+        .forEach((id) => this.currentCursor?.confirmCollection(id));
+    }
+    this._cuedScoreEvents = new Set(ids);
+  }
+
+  _writeScoreEvent(eventId, event) {
+    // Keyed by ID: re-writing the same event is idempotent
+    SquidlyAPI.firebaseSet(`scoreEvents/${eventId}`, event);
   }
 
-  onStarCollected(starId) {
+  /**
+   * Called by the renderer when this client's fish collects a star.
+   * The collection is only a claim until the host validates it; the real
+   * host validates its own claims directly.
+   * @param {string} starId - Collected star ID
+   * @param {Object} [details] - Normalized fish position `{ x, y }` and
+   *   reaction timings `{ reactionTimeMs, movementOnsetMs }` from the renderer
+   */
+  onStarCollected(starId, details = {}) {
     if (!starId) return;
-    const result = this._gameService.collectStar(starId);
+    const claim = {
+      x: details.x,
+      y: details.y,
+      by: this.isHost ? "host" : "participant",
+      at: this._clock.now(),
+      reactionTimeMs: details.reactionTimeMs ?? null,
+      movementOnsetMs: details.movementOnsetMs ?? null,
+    };
+
+    if (this._realIsHost) {
+      this._resolveClaim(starId, claim, true);
+      return;
+    }
+
+    this._trackClaim(starId, claim.at);
+    SquidlyAPI.firebaseSet(`claims/${starId}`, claim);
+    console.log(`[FishGame] Star claimed: ${starId}`);
+  }
+
+  _trackClaim(starId, at) {
+    this._clearClaim(starId);
+    const timer = setTimeout(() => {
+      console.warn(`[FishGame] Claim timed out: ${starId}`);
+      this._restoreClaimedStar(starId);
+    }, CLAIM_TIMEOUT_MS);
+    this._pendingClaims.set(starId, { at, timer });
+  }
+
+  _clearClaim(starId) {
+    const pending = this._pendingClaims.get(starId);
+    if (pending) clearTimeout(pending.timer);
+    this._pendingClaims.delete(starId);
+  }
+
+  /**
+   * Snaps a claimed star back on this client's screen, if it still exists.
+   * @param {string} starId - Claimed star ID
+   */
+  _restoreClaimedStar(starId) {
+    this._clearClaim(starId);
+    if (!this.currentCursor) return;
+
+    const star = this.firebaseStars.find((s) => s.id === starId);
+    if (star) {
+      this.currentCursor.restoreStar(star);
+    } else {
+      this.currentCursor.releaseClaim(starId);
+    }
+  }
+
+  _onClaimsUpdate(claims) {
+    this._claims = claims && typeof claims === "object" ? claims : {};
+    const entries = Object.entries(this._claims);
+    const isFirstSnapshot = !this._claimsLoaded;
+    this._claimsLoaded = true;
+    this._pruneHandledClaims();
+
+    entries.forEach(([starId, claim]) => {
+      if (!claim || typeof claim !== "object") return;
+
+      if (claim.status === "rejected") {
+        // Claimant: snap the star back
+        const pending = this._pendingClaims.get(starId);
+        if (pending && pending.at === claim.at) {
+          console.log(
+            `[FishGame] Claim rejected (${claim.reason}): ${starId}`,
+          );
+          this._restoreClaimedStar(starId);
+        }
+      } else if (this._realIsHost && isFirstSnapshot) {
+        // Left over from before this host joined: judged by when the host
+        // saw it, not by comparing the claimant's clock with ours
+        this._handledClaims.add(`${starId}:${claim.at}`);
+        this._rejectClaim(starId, claim, "stale");
+      } else if (this._realIsHost) {
+        this._resolveClaim(starId, claim);
+      }
+    });
+  }
+
+  /**
+   * Host only: validates a claim against this client's star set and the
+   * claimant's pointer, then commits or rejects it.
+   * @param {string} starId - Claimed star ID
+   * @param {Object} claim - Claim record { x, y, by, at }
+   * @param {boolean} [isLocal=false] - Claim came from this client's fish
+   */
+  _resolveClaim(starId, claim, isLocal = false) {
+    const claimKey = `${starId}:${claim.at}`;
+    if (this._handledClaims.has(claimKey)) return;
+    this._handledClaims.add(claimKey);
+
+    // The claimant's screen shape turns its normalized fish position into
+    // world units
+    const claimantIsHost = (claim.by === "host") !== this._isSwapped;
+    const viewport = this._getViewportFor(
+      claimantIsHost ? "host" : "participant",
+    );
+
+    this._gameService.setStars(this.firebaseStars);
+    const { valid, reason } = this._gameService.validateClaim(starId, claim, {
+      pointer: this._getClaimPointer(claim.by),
+      aspect: viewport.width / viewport.height,
+      uiLeftRatio: DEFAULT_CONFIG.STAR_UI_LEFT_RATIO,
+    });
+
+    if (valid) {
+      this._recordReaction(starId, claim);
+      this._commitStarCollection(starId, claim);
+      if (!isLocal) SquidlyAPI.firebaseSet(`claims/${starId}`, null);
+      return;
+    }
+
+    console.warn(`[FishGame] Claim rejected (${reason}): ${starId}`);
+    if (isLocal) {
+      this._restoreClaimedStar(starId);
+      return;
+    }
+
+    this._rejectClaim(starId, claim, reason);
+  }
+
+  /**
+   * Host only: marks a claim rejected so the claimant snaps the star back,
+   * then removes the record after a short while.
+   * @param {string} starId - Claimed star ID
+   * @param {Object} claim - Claim record
+   * @param {string} reason - Rejection reason
+   */
+  _rejectClaim(starId, claim, reason) {
+    SquidlyAPI.firebaseSet(`claims/${starId}`, {
+      ...claim,
+      status: "rejected",
+      reason,
+    });
+    setTimeout(() => {
+      // Leave it if the claimant has claimed the star again since
+      const current = this._claims[starId];
+      if (current?.status === "rejected" && current.at === claim.at) {
+        SquidlyAPI.firebaseSet(`claims/${starId}`, null);
+      }
+    }, CLAIM_REJECT_TTL_MS);
+  }
+
+  /**
+   * Forgets ruled-on claims whose star and claim record are both gone, so
+   * `_handledClaims` doesn't grow over a session.
+   */
+  _pruneHandledClaims() {
+    this._handledClaims.forEach((claimKey) => {
+      const split = claimKey.lastIndexOf(":");
+      const starId = claimKey.slice(0, split);
+      const at = Number(claimKey.slice(split + 1));
+      const hasStar = this.firebaseStars.some((s) => s.id === starId);
+      if (!hasStar && this._claims[starId]?.at !== at) {
+        this._handledClaims.delete(claimKey);
+      }
+    });
+  }
+
+  /**
+   * Returns the claimant's pointer as seen by this client, in normalized
+   * space with its age, or null if there is none.
+   * @param {string} role - Effective role of the claimant
+   * @returns {{x: number, y: number, ageMs: number}|null}
+   */
+  _getClaimPointer(role) {
+    // Co-control claims are checked against the blend the fish followed
+    const blended =
+      role === "participant" && !this.turn
+        ? this.currentCursor?.getBlendedPointer()
+        : null;
+    const pointer = blended || this.currentCursor?.getControlPointer(role);
+    if (!pointer || !pointer.lastSeen) return null;
+
+    return {
+      x: pointer.x,
+      y: pointer.y,
+      ageMs: performance.now() - pointer.lastSeen,
+    };
+  }
+
+  /**
+   * Host only: records the score event for a validated claim and removes
+   * the star.
+   * @param {string} starId - Collected star ID
+   * @param {Object} claim - Validated claim record
+   */
+  _commitStarCollection(starId, claim) {
+    const result = this._gameService.collectStar(starId, {
+      by: claim.by,
+      at: claim.at,
+    });
 
     this.score = result.newScore;
     this.firebaseStars = result.remainingStars;
 
-    SquidlyAPI.firebaseSet("score", result.newScore);
-    this._setFirebaseStars(result.remainingStars);
+    if (result.event) {
+      this._writeScoreEvent(starId, result.event);
+    }
+    this._removeFirebaseStar(starId);
 
     this._ui.updateScore(result.newScore);
     console.log(`[FishGame] Star collected: ${starId}`);
   }
 
-  updatePointerPosition(x, y, isParticipant = false) {
+  _publishViewport() {
+    SquidlyAPI.firebaseSet(`viewports/${this.realRole}`, getViewportSize());
+  }
+
+  /**
+   * Returns the viewport a real identity's cursor pixels are measured in.
+   * Our own cursor uses the live window size; a remote client's comes from
+   * Firebase, falling back to ours until it has published one.
+   * @param {string} realRole - "host" or "participant"
+   * @returns {{width: number, height: number}}
+   */
+  _getViewportFor(realRole) {
+    if (realRole === this.realRole) return getViewportSize();
+
+    const published = this.viewports[realRole];
+    return isValidViewport(published) ? published : getViewportSize();
+  }
+
+  /**
+   * Normalizes a pixel position and stores it under the effective role.
+   * @param {number} x - X in source pixels
+   * @param {number} y - Y in source pixels
+   * @param {boolean} [isParticipant=false] - Effective (post-swap) role
+   * @param {{width: number, height: number}} [sourceViewport] - Sender's viewport
+   */
+  updatePointerPosition(
+    x,
+    y,
+    isParticipant = false,
+    sourceViewport = getViewportSize(),
+  ) {
     if (!this.currentCursor || !this.currentCursor.inputManager) return;
+
+    const point = normalizePoint(x, y, sourceViewport);
+    if (!point) return;
+
     const pointerId = isParticipant ? "participant" : "host";
-    this.currentCursor.inputManager.updatePointerPosition(x, y, pointerId);
+    this.currentCursor.inputManager.updatePointerPosition(
+      point.x,
+      point.y,
+      pointerId,
+      point,
+    );
+  }
+
+  // ==========================================================================
+  // CLOCK SYNC
+  // ==========================================================================
+
+  /**
+   * Non-reference clients ping the real host for its time: quickly until a
+   * few replies are in, then every CLOCK_SYNC_MS to follow drift.
+   */
+  _startClockSync() {
+    if (this._clock.isReference) return;
+
+    clearTimeout(this._clockSyncTimer);
+    SquidlyAPI.firebaseSet(
+      `clockSync/${this.realRole}`,
+      this._clock.createPing(),
+    );
+
+    const delay =
+      this._clock.sampleCount < CLOCK_SYNC_FAST_SAMPLES
+        ? CLOCK_SYNC_FAST_MS
+        : CLOCK_SYNC_MS;
+    this._clockSyncTimer = setTimeout(() => this._startClockSync(), delay);
+  }
+
+  /**
+   * The real host answers pings; the other client takes in the replies.
+   * @param {Object|null} value - `{ [realRole]: ping or reply }`
+   */
+  _onClockSync(value) {
+    if (!value || typeof value !== "object") return;
+
+    if (!this._clock.isReference) {
+      this._clock.handleReply(value[this.realRole]);
+      return;
+    }
+
+    Object.entries(value).forEach(([identity, ping]) => {
+      const reply = SharedClock.reply(ping);
+      if (reply) SquidlyAPI.firebaseSet(`clockSync/${identity}`, reply);
+    });
+  }
+
+  // ==========================================================================
+  // SWITCH SCANNING
+  // ==========================================================================
+
+  _updateScanControls() {
+    if (this.realRole !== "host") return;
+
+    this._ui.updateScanControls(this.scanInterval, () => {
+      // Start the new rate on the first cell, at the same moment everywhere
+      SquidlyAPI.firebaseSet("scanStartedAt", this._clock.now());
+      SquidlyAPI.firebaseSet(
+        "scanInterval",
+        this._gameService.getNextScanInterval(this.scanInterval),
+      );
+    });
+  }
+
+  /**
+   * Shows the scan highlight on this client's screen. Every client derives
+   * the same index from the shared clock and `scanStartedAt`, so no step is
+   * synced.
+   * @param {number} index - Highlighted cell index (-1 = scanning off)
+   */
+  _onScanStep(index) {
+    if (!this.currentCursor) return;
+    this.currentCursor.setScanHighlight(this._gameService.getScanCell(index));
+  }
+
+  /**
+   * A switch press on this client swims the fish to the highlighted cell.
+   * @param {number} index - Highlighted cell index
+   */
+  _onScanSelect(index) {
+    const cell = this._gameService.getScanCell(index);
+    if (!cell) return;
+
+    SquidlyAPI.firebaseSet("scanSelect", {
+      ...cell,
+      by: this.realRole,
+      at: this._clock.now(),
+    });
+  }
+
+  /**
+   * Whether a real identity's cursor is replaced by switch selections.
+   * @param {boolean} senderIsParticipant - Real identity of the sender
+   * @returns {boolean}
+   */
+  _isScanControlled(senderIsParticipant) {
+    if (!this._scanSelect || this.scanInterval <= 0) return false;
+    const sender = senderIsParticipant ? "participant" : "host";
+    return this._scanSelect.by === sender;
+  }
+
+  /**
+   * Feeds the last switch selection to InputManager as the selecting
+   * identity's pointer. Repeated every tick so the pointer stays active;
+   * collision authority and claims then work as for any cursor.
+   */
+  _feedScanPointer() {
+    const select = this._scanSelect;
+    const inputManager = this.currentCursor?.inputManager;
+    if (!select || this.scanInterval <= 0 || !inputManager) return;
+
+    const point = this._gameService.getStarNormalizedPosition(
+      select,
+      DEFAULT_CONFIG.STAR_UI_LEFT_RATIO,
+      null,
+    );
+    const isParticipant = this._isSwapped
+      ? select.by === "host"
+      : select.by === "participant";
+
+    inputManager.updatePointerPosition(
+      point.x,
+      point.y,
+      isParticipant ? "participant" : "host",
+    );
+  }
+
+  // ==========================================================================
+  // KEYBOARD / GAMEPAD
+  // ==========================================================================
+
+  /**
+   * Whether a movement record still steers the fish: moving, or stopped
+   * less than DIRECTIONAL_HOLD_MS ago.
+   * @param {Object} record - Movement record
+   * @param {number} now - Current shared time (ms since epoch)
+   * @returns {boolean}
+   */
+  _isDirectionalHeld(record, now) {
+    if (record.vx !== 0 || record.vy !== 0) return true;
+    return now - record.at < DEFAULT_CONFIG.DIRECTIONAL_HOLD_MS;
+  }
+
+  /**
+   * Writes a new movement record for this client when its keyboard/gamepad
+   * direction changes. Movement continues from where the last record put
+   * the fish, or from the fish's current position after a pause.
+   * @param {{x: number, y: number}} direction - Direction (length 0-1)
+   */
+  _onDirectionalChange(direction) {
+    const now = this._clock.now();
+    const own = this._directionalRecords[this.realRole];
+    const start =
+      own && this._isDirectionalHeld(own, now)
+        ? evaluateDirectional(own, now)
+        : (this.currentCursor?.getFishPosition() ?? { x: 0.5, y: 0.5 });
+    const speed = DEFAULT_CONFIG.DIRECTIONAL_SPEED;
+    const round4 = (v) => Math.round(v * 10000) / 10000;
+
+    const record = {
+      x: round4(start.x),
+      y: round4(start.y),
+      vx: round4(direction.x * speed),
+      vy: round4(direction.y * speed),
+      at: now,
+    };
+    // Local copy first, so quick successive changes chain correctly
+    this._directionalRecords[this.realRole] = record;
+    SquidlyAPI.firebaseSet(`directional/${this.realRole}`, record);
+  }
+
+  /**
+   * Feeds each held movement record to InputManager as the
+   * `<role>-directional` pointer of the identity's effective role; the
+   * renderer prefers it over that role's cursor while it is fed. Runs from
+   * the renderer's frame callback; records that are no longer held are
+   * dropped, so it does nothing while nobody uses keys or a gamepad.
+   */
+  _feedDirectionalPointers() {
+    const inputManager = this.currentCursor?.inputManager;
+    if (!inputManager) return;
+
+    const now = this._clock.now();
+    Object.entries(this._directionalRecords).forEach(([identity, record]) => {
+      if (!this._isDirectionalHeld(record, now)) {
+        delete this._directionalRecords[identity];
+        return;
+      }
+
+      const point = evaluateDirectional(record, now);
+      const isParticipant = this._isSwapped
+        ? identity === "host"
+        : identity === "participant";
+      inputManager.updatePointerPosition(
+        point.x,
+        point.y,
+        `${isParticipant ? "participant" : "host"}-directional`,
+      );
+    });
+  }
+
+  // ==========================================================================
+  // TURN-TAKING
+  // ==========================================================================
+
+  _updateTurnControls() {
+    if (this.realRole !== "host") return;
+
+    this._ui.updateTurnControls(this.turn?.rule ?? null, () => {
+      const rule = this._gameService.getNextTurnRule(this.turn?.rule ?? null);
+      // A new rule always starts over with the participant's turn
+      SquidlyAPI.firebaseSet(
+        "turn",
+        rule ? this._gameService.createTurn(rule, "participant", 1) : null,
+      );
+    });
+  }
+
+  _updateTurnDisplay() {
+    if (!this.turn) {
+      this._ui.updateTurn(null);
+      return;
+    }
+
+    const remainingMs =
+      this.turn.rule.type === "time"
+        ? this.turn.rule.value - (this._clock.now() - this.turn.startedAt)
+        : null;
+    this._ui.updateTurn(this.turn, {
+      isMine: this._isMyTurn(),
+      remainingMs,
+    });
+  }
+
+  /** Whether this client's effective role holds the current turn */
+  _isMyTurn() {
+    return this.turn?.holder === (this.isHost ? "host" : "participant");
+  }
+
+  _onTurnUpdate(value) {
+    const previous = this.turn;
+    this.turn = this._gameService.setTurn(value);
+
+    if (this.currentCursor) {
+      this.currentCursor.setTurnHolder(this.turn?.holder ?? null);
+    }
+
+    if (JSON.stringify(previous?.rule) !== JSON.stringify(this.turn?.rule)) {
+      this._updateTurnControls();
+    }
+
+    // Play the handover for a turn passing, not for turns being switched
+    // on/off or for stale turns seen on joining
+    const passed =
+      previous &&
+      this.turn &&
+      (previous.number !== this.turn.number ||
+        previous.holder !== this.turn.holder);
+    const age = this._clock.now() - this.turn?.startedAt;
+    if (passed && age < HANDOVER_REPLAY_MS) {
+      this._ui.showTurnHandover(this.turn.holder, this._isMyTurn());
+      this._soundEngine.playTurnChange();
+    }
+
+    this._updateTurnDisplay();
+  }
+
+  /**
+   * Host passes the turn once its rule is met (stars collected or time up).
+   * Every client follows the new holder from Firebase.
+   */
+  _checkTurn() {
+    if (!this.isHost || !this._gameService.isTurnOver()) return;
+
+    // this.turn stays on the old turn until Firebase echoes the new one,
+    // so the host also sees the handover
+    SquidlyAPI.firebaseSet("turn", this._gameService.passTurn());
+  }
+
+  // ==========================================================================
+  // ROUNDS
+  // ==========================================================================
+
+  _updateRoundControls() {
+    if (this.realRole !== "host") return;
+
+    this._ui.updateRoundControls(this.round.goal, {
+      onNextRound: () => this._startNextRound(),
+      onResetScore: () => this._resetScore(),
+      onGoalCycle: () => {
+        SquidlyAPI.firebaseSet(
+          "round/goal",
+          this._gameService.getNextRoundGoal(this.round.goal),
+        );
+      },
+    });
+  }
+
+  _updateRoundDisplay() {
+    this._ui.updateRound(this.round, this._gameService.getRoundProgress());
+  }
+
+  _onRoundUpdate(value) {
+    const previousGoal = this.round.goal;
+    this.round = this._gameService.setRound(value);
+
+    if (this.round.completedAt === null) {
+      this._ui.hideCelebration();
+    } else if (this._celebratedRound !== this.round.number) {
+      this._celebratedRound = this.round.number;
+      this._ui.showCelebration(
+        this.round,
+        this._gameService.getRoundProgress(),
+      );
+      // Late joiners see the overlay without replaying the animation
+      const age = this._clock.now() - this.round.completedAt;
+      if (this.currentCursor && age < CELEBRATION_REPLAY_MS) {
+        this.currentCursor.celebrate();
+      }
+      this._soundEngine.playRoundComplete();
+    }
+
+    if (JSON.stringify(previousGoal) !== JSON.stringify(this.round.goal)) {
+      this._updateRoundControls();
+    }
+    this._updateRoundDisplay();
+  }
+
+  /**
+   * Host ends the round once its goal is reached: the stars are cleared
+   * and every client shows the celebration until the next round starts.
+   */
+  _checkRoundProgress() {
+    if (!this.isHost || this._gameService.isRoundComplete()) return;
+    if (!this._gameService.getRoundProgress().isComplete) return;
+
+    this.round = this._gameService.completeRound();
+    SquidlyAPI.firebaseSet("round", this.round);
+
+    this.firebaseStars = [];
+    this._gameService.setStars([]);
+    this._setFirebaseStars([]);
+  }
+
+  _startNextRound() {
+    if (this.realRole !== "host") return;
+
+    this.round = this._gameService.startNextRound();
+    SquidlyAPI.firebaseSet("round", this.round);
+
+    // Single-player refills right away; in multiplayer the host places stars
+    if (!this.isMultiplayerMode) this._generateRandomStarsToFirebase();
+  }
+
+  _resetScore() {
+    if (this.realRole !== "host") return;
+    SquidlyAPI.firebaseSet("scoreEvents", null);
+    SquidlyAPI.firebaseSet("score", 0);
+  }
+
+  // ==========================================================================
+  // SESSION METRICS
+  // ==========================================================================
+
+  _getMetricsContext() {
+    return {
+      at: Date.now(),
+      pathLength: this.currentCursor
+        ? this.currentCursor.getFishPathLength()
+        : 0,
+    };
+  }
+
+  /**
+   * Adds a validated claim's reaction timings to the rolling averages for
+   * the star's cell and screen region.
+   * @param {string} starId - Collected star ID
+   * @param {Object} claim - Validated claim record
+   */
+  _recordReaction(starId, claim) {
+    const star = this.firebaseStars.find((s) => s.id === starId);
+    if (!star) return;
+
+    const uiLeftRatio = DEFAULT_CONFIG.STAR_UI_LEFT_RATIO;
+    const position = this._gameService.getStarNormalizedPosition(
+      star,
+      uiLeftRatio,
+      claim.at,
+    );
+    this._metrics.recordReaction(starId, {
+      reactionTimeMs: claim.reactionTimeMs,
+      movementOnsetMs: claim.movementOnsetMs,
+      region: getScreenRegion(position, getPlayAreaBounds(uiLeftRatio)),
+    });
+  }
+
+  /**
+   * Rolling reaction-time averages per grid cell and screen region.
+   * @returns {{byCell: Object, byRegion: Object}}
+   */
+  getReactionAverages() {
+    return this._metrics.getReactionAverages();
+  }
+
+  _openSessionReport() {
+    this._ui.openReport(this._metrics.toReportHtml({ seed: this.seed }));
+  }
+
+  _exportSessionCsv() {
+    const date = new Date(this._metrics.startedAt).toISOString().slice(0, 10);
+    this._ui.downloadFile(
+      `fish-session-${date}.csv`,
+      this._metrics.toCSV(),
+      "text/csv",
+    );
+  }
+
+  // ==========================================================================
+  // POINTER HEATMAP
+  // ==========================================================================
+
+  _updateHeatmapControls() {
+    if (this.realRole !== "host") return;
+
+    this._ui.updateHeatmapControls(this.showHeatmap, {
+      onHeatmapToggle: () => {
+        this.showHeatmap = !this.showHeatmap;
+        this._updateHeatmapOverlay();
+        this._updateHeatmapControls();
+      },
+      onHeatmapExport: () => this._exportHeatmap(),
+    });
+  }
+
+  /**
+   * Adds the time since the last tick at the position of whichever pointer
+   * steered the fish. Nothing is added while nobody controls it.
+   */
+  _sampleHeatmap() {
+    const now = performance.now();
+    const elapsed =
+      this._lastHeatmapSampleAt === null ? 0 : now - this._lastHeatmapSampleAt;
+    this._lastHeatmapSampleAt = now;
+
+    const control = this.currentCursor?.getActiveControl();
+    if (control) {
+      this._heatmap.addSample(
+        control,
+        Math.min(elapsed, HEATMAP_MAX_SAMPLE_MS),
+      );
+    }
+    if (this.showHeatmap) this._updateHeatmapOverlay();
+  }
+
+  _updateHeatmapOverlay() {
+    if (!this.showHeatmap) {
+      this._ui.hideHeatmap();
+      return;
+    }
+    this._ui.showHeatmap(
+      this._heatmap.toLevels(),
+      this._heatmap.bounds,
+      DEFAULT_CONFIG.HEATMAP_OPACITY,
+    );
+  }
+
+  _exportHeatmap() {
+    const date = new Date(this._heatmap.startedAt).toISOString().slice(0, 10);
+    this._ui.downloadHeatmapPng(
+      `fish-heatmap-${date}.png`,
+      this._heatmap.toLevels(),
+    );
+    this._ui.downloadFile(
+      `fish-heatmap-${date}.json`,
+      JSON.stringify(this._heatmap.toJSON(), null, 2),
+      "application/json",
+    );
   }
 }
 
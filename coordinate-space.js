@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Coordinate Space - Viewport-independent Positions
+ *
+ * Host and participant rarely have the same screen size, so raw pixel
+ * coordinates from one client land somewhere else on the other. Every
+ * position that crosses clients is therefore expressed in a normalized space:
+ *
+ * - `x`: 0 = left edge, 1 = right edge of the sender's viewport
+ * - `y`: 0 = top edge, 1 = bottom edge of the sender's viewport
+ *
+ * Each client converts back to its own pixels (or world units) only when it
+ * needs to draw or raycast. Because the WebGL camera looks straight at the
+ * z=0 plane, normalized positions map linearly to world positions, so the
+ * fish, the stars, and the host's star grid line up on every screen.
+ *
+ * All functions are pure; the caller supplies the viewport size.
+ *
+ * @module CoordinateSpace
+ */
+
+/**
+ * Padding inside the play area, as a fraction of the viewport.
+ * Keeps stars from touching the screen edges.
+ * @type {{x: number, y: number}}
+ */
+export const PLAY_AREA_PADDING = { x: 0.03, y: 0.05 };
+
+/**
+ * Returns the current window size as a viewport descriptor.
+ * @returns {{width: number, height: number}}
+ */
+export function getViewportSize() {
+  return {
+    width: Math.max(1, window.innerWidth),
+    height: Math.max(1, window.innerHeight),
+  };
+}
+
+/**
+ * Checks that a viewport descriptor has positive, finite dimensions.
+ * @param {*} viewport - Candidate viewport
+ * @returns {boolean}
+ */
+export function isValidViewport(viewport) {
+  return (
+    viewport != null &&
+    Number.isFinite(viewport.width) &&
+    Number.isFinite(viewport.height) &&
+    viewport.width > 0 &&
+    viewport.height > 0
+  );
+}
+
+/**
+ * Converts a pixel position into normalized space, tagged with its source
+ * viewport size.
+ *
+ * @param {number} x - X in source pixels
+ * @param {number} y - Y in source pixels
+ * @param {{width: number, height: number}} viewport - Source viewport
+ * @returns {{x: number, y: number, sourceWidth: number, sourceHeight: number}|null}
+ *   Normalized point, or null if the input is unusable
+ */
+export function normalizePoint(x, y, viewport) {
+  const px = Number(x);
+  const py = Number(y);
+  if (!Number.isFinite(px) || !Number.isFinite(py)) return null;
+  if (!isValidViewport(viewport)) return null;
+
+  return {
+    x: px / viewport.width,
+    y: py / viewport.height,
+    sourceWidth: viewport.width,
+    sourceHeight: viewport.height,
+  };
+}
+
+/**
+ * Maps a normalized point back into pixels of the given viewport.
+ *
+ * @param {{x: number, y: number}} point - Normalized point
+ * @param {{width: number, height: number}} viewport - Target viewport
+ * @returns {{x: number, y: number}} Pixel position
+ */
+export function denormalizePoint(point, viewport) {
+  return {
+    x: point.x * viewport.width,
+    y: point.y * viewport.height,
+  };
+}
+
+/**
+ * Returns the normalized rectangle stars may occupy: right of the left UI
+ * area, inset by PLAY_AREA_PADDING.
+ *
+ * @param {number} [uiLeftRatio=0.2] - Width of the left UI area (0-1)
+ * @returns {{left: number, right: number, top: number, bottom: number}}
+ */
+export function getPlayAreaBounds(uiLeftRatio = 0.2) {
+  const ui = Number.isFinite(uiLeftRatio) ? uiLeftRatio : 0.2;
+  const playWidth = 1 - ui;
+
+  return {
+    left: ui + playWidth * PLAY_AREA_PADDING.x,
+    right: 1 - playWidth * PLAY_AREA_PADDING.x,
+    top: PLAY_AREA_PADDING.y,
+    bottom: 1 - PLAY_AREA_PADDING.y,
+  };
+}
+
+/**
+ * Converts a grid cell to the normalized position of its center.
+ *
+ * @param {number} row - Grid row (0 = top)
+ * @param {number} col - Grid column (0 = left, after UI)
+ * @param {number} rows - Number of grid rows
+ * @param {number} cols - Number of grid columns
+ * @param {number} [uiLeftRatio=0.2] - Width of the left UI area (0-1)
+ * @returns {{x: number, y: number}} Normalized cell center
+ */
+export function gridCellToNormalized(row, col, rows, cols, uiLeftRatio = 0.2) {
+  const bounds = getPlayAreaBounds(uiLeftRatio);
+  const u = (col + 0.5) / Math.max(1, cols);
+  const v = (row + 0.5) / Math.max(1, rows);
+
+  return {
+    x: bounds.left + (bounds.right - bounds.left) * u,
+    y: bounds.top + (bounds.bottom - bounds.top) * v,
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Directional Input - Keyboard and Gamepad Fish Control
+ *
+ * Lets the fish be steered with arrow keys/WASD or a gamepad (left stick or
+ * d-pad) for players who can't use gaze or a mouse. The input sets a
+ * velocity instead of a target, so holding a direction swims the fish
+ * across the screen.
+ *
+ * Movement is shared as a small record `{ x, y, vx, vy, at }`: the position
+ * at time `at` plus a velocity in normalized units per second. A new record
+ * is only written when the direction changes, and every client evaluates it
+ * against the shared session clock (like star paths), so the fish moves
+ * smoothly and in the same place everywhere without streaming positions.
+ *
+ * @module DirectionalInput
+ */
+
+// Key codes for each direction (arrows and WASD)
+const KEY_DIRECTIONS = {
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  KeyW: { x: 0, y: -1 },
+  KeyS: { x: 0, y: 1 },
+  KeyA: { x: -1, y: 0 },
+  KeyD: { x: 1, y: 0 },
+};
+
+// Standard gamepad mapping: d-pad buttons
+const DPAD_BUTTONS = { up: 12, down: 13, left: 14, right: 15 };
+
+// Analog directions are rounded to this step so tiny stick noise doesn't
+// write a new record every frame
+const ANALOG_STEP = 0.1;
+
+/**
+ * Clamps a value to [0, 1].
+ * @param {number} v
+ * @returns {number}
+ */
+function clamp01(v) {
+  return Math.max(0, Math.min(1, v));
+}
+
+/**
+ * Evaluates a movement record at a point in time.
+ *
+ * @param {Object} record - `{ x, y, vx, vy, at }` (normalized, units/s, ms)
+ * @param {number} [nowMs=Date.now()] - Time (ms since epoch)
+ * @returns {{x: number, y: number}} Normalized position, clamped to the
+ *   viewport
+ */
+export function evaluateDirectional(record, nowMs = Date.now()) {
+  const elapsed = Math.max(0, (nowMs - record.at) / 1000);
+  return {
+    x: clamp01(record.x + record.vx * elapsed),
+    y: clamp01(record.y + record.vy * elapsed),
+  };
+}
+
+/**
+ * Checks that a synced movement record can be evaluated.
+ * @param {*} record
+ * @returns {boolean}
+ */
+export function isValidDirectional(record) {
+  return (
+    !!record &&
+    typeof record === "object" &&
+    ["x", "y", "vx", "vy", "at"].every((key) => Number.isFinite(record[key]))
+  );
+}
+
+/**
+ * DirectionalInput - Reads arrow keys/WASD and gamepads on this client.
+ *
+ * Reports the current direction (a vector of length 0-1) whenever it
+ * changes; the caller turns it into a movement record.
+ *
+ * @class
+ * @example
+ * const input = new DirectionalInput({
+ *   onChange: (dir) => console.log(dir.x, dir.y),
+ * });
+ * input.attach();
+ */
+class DirectionalInput {
+  /**
+   * Creates a new DirectionalInput instance.
+   *
+   * @constructor
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.deadzone=0.2] - Stick deflection ignored as
+   *   resting noise (0-1)
+   * @param {number} [options.minChangeMs=100] - Shortest time between two
+   *   reported analog changes
+   * @param {Function|null} [options.onChange=null] - Called with the new
+   *   direction `{ x, y }`
+   */
+  constructor({ deadzone = 0.2, minChangeMs = 100, onChange = null } = {}) {
+    this.deadzone = deadzone;
+    this.minChangeMs = minChangeMs;
+    this.onChange = onChange;
+
+    this._keys = new Set();
+    this._keyDirection = { x: 0, y: 0 };
+    this._padDirection = { x: 0, y: 0 };
+    this._direction = { x: 0, y: 0 };
+    this._lastChangeAt = 0;
+    this._raf = null;
+    this._target = null;
+
+    this._onKeyDown = (event) => this._handleKey(event, true);
+    this._onKeyUp = (event) => this._handleKey(event, false);
+    this._onBlur = () => {
+      this._keys.clear();
+      this._updateKeyDirection();
+    };
+    this._onGamepadConnected = () => this._startPolling();
+  }
+
+  /**
+   * Current direction.
+   * @returns {{x: number, y: number}}
+   */
+  getDirection() {
+    return { ...this._direction };
+  }
+
+  /**
+   * Starts listening for keys and gamepads.
+   * @param {Window} [target=window] - Window receiving input events
+   */
+  attach(target = window) {
+    this.detach();
+    this._target = target;
+    target.addEventListener("keydown", this._onKeyDown);
+    target.addEventListener("keyup", this._onKeyUp);
+    target.addEventListener("blur", this._onBlur);
+    target.addEventListener("gamepadconnected", this._onGamepadConnected);
+    this._startPolling();
+  }
+
+  /**
+   * Stops listening for input.
+   */
+  detach() {
+    if (this._target) {
+      this._target.removeEventListener("keydown", this._onKeyDown);
+      this._target.removeEventListener("keyup", this._onKeyUp);
+      this._target.removeEventListener("blur", this._onBlur);
+      this._target.removeEventListener(
+        "gamepadconnected",
+        this._onGamepadConnected,
+      );
+      this._target = null;
+    }
+    cancelAnimationFrame(this._raf);
+    this._raf = null;
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   * @param {boolean} isDown
+   * @private
+   */
+  _handleKey(event, isDown) {
+    if (!KEY_DIRECTIONS[event.code]) return;
+    if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+    // Leave typing alone
+    const tag = event.target?.tagName;
+    if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+    if (event.target?.isContentEditable) return;
+
+    event.preventDefault(); // Arrows would scroll the page
+    if (isDown) this._keys.add(event.code);
+    else this._keys.delete(event.code);
+    this._updateKeyDirection();
+  }
+
+  /**
+   * Sums the held keys into a direction (diagonals normalized).
+   * @private
+   */
+  _updateKeyDirection() {
+    let x = 0;
+    let y = 0;
+    this._keys.forEach((code) => {
+      x += KEY_DIRECTIONS[code].x;
+      y += KEY_DIRECTIONS[code].y;
+    });
+    x = Math.sign(x);
+    y = Math.sign(y);
+    const length = Math.hypot(x, y);
+    this._keyDirection = length > 1 ? { x: x / length, y: y / length } : { x, y };
+    this._emit(true);
+  }
+
+  /**
+   * Polls gamepads every frame while one is connected (the Gamepad API has
+   * no change events for axes or buttons).
+   * @private
+   */
+  _startPolling() {
+    if (this._raf !== null || typeof navigator?.getGamepads !== "function") {
+      return;
+    }
+
+    const poll = () => {
+      const pads = Array.from(navigator.getGamepads()).filter(Boolean);
+      if (pads.length === 0) {
+        this._raf = null;
+        this._padDirection = { x: 0, y: 0 };
+        this._emit(true);
+        return;
+      }
+
+      this._padDirection = this._readGamepads(pads);
+      this._emit(false);
+      this._raf = requestAnimationFrame(poll);
+    };
+    this._raf = requestAnimationFrame(poll);
+  }
+
+  /**
+   * Direction from the first gamepad that is being used: d-pad first, then
+   * the left stick outside the deadzone.
+   * @param {Gamepad[]} pads
+   * @returns {{x: number, y: number}}
+   * @private
+   */
+  _readGamepads(pads) {
+    for (const pad of pads) {
+      const pressed = (index) => pad.buttons[index]?.pressed === true;
+      const dx = (pressed(DPAD_BUTTONS.right) ? 1 : 0) -
+        (pressed(DPAD_BUTTONS.left) ? 1 : 0);
+      const dy = (pressed(DPAD_BUTTONS.down) ? 1 : 0) -
+        (pressed(DPAD_BUTTONS.up) ? 1 : 0);
+      if (dx || dy) {
+        const length = Math.hypot(dx, dy);
+        return { x: dx / length, y: dy / length };
+      }
+
+      const ax = pad.axes[0] ?? 0;
+      const ay = pad.axes[1] ?? 0;
+      const magnitude = Math.hypot(ax, ay);
+      if (magnitude > this.deadzone) {
+        // Rescale so speed rises from 0 at the deadzone edge to 1
+        const scale =
+          Math.min(1, (magnitude - this.deadzone) / (1 - this.deadzone)) /
+          magnitude;
+        return {
+          x: Math.round((ax * scale) / ANALOG_STEP) * ANALOG_STEP,
+          y: Math.round((ay * scale) / ANALOG_STEP) * ANALOG_STEP,
+        };
+      }
+    }
+    return { x: 0, y: 0 };
+  }
+
+  /**
+   * Reports the combined direction if it changed. Keys win over the
+   * gamepad while held; analog changes are rate-limited.
+   * @param {boolean} immediate - Skip the rate limit (keys, stop)
+   * @private
+   */
+  _emit(immediate) {
+    const keyActive = this._keyDirection.x || this._keyDirection.y;
+    const next = keyActive ? this._keyDirection : this._padDirection;
+    if (next.x === this._direction.x && next.y === this._direction.y) return;
+
+    const now = performance.now();
+    const stopping = next.x === 0 && next.y === 0;
+    if (!immediate && !stopping && now - this._lastChangeAt < this.minChangeMs) {
+      return;
+    }
+
+    this._direction = { x: next.x, y: next.y };
+    this._lastChangeAt = now;
+    if (typeof this.onChange === "function") this.onChange(this.getDirection());
+  }
+}
+
+export default DirectionalInput;
+export { DirectionalInput };
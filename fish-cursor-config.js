@@ -34,12 +34,18 @@
  * @property {number} PARTICLE_SPAWN_RATE - Background particles spawned per second
  * @property {number} PARTICLE_MAX_Z - Max depth for particles
  * @property {string[]} PARTICLE_COLORS - Array of hex color strings for particles
+ * @property {number} CELEBRATION_SPIN_MS - Duration of the fish's end-of-round spin
+ * @property {number} CELEBRATION_SPIN_TURNS - Full turns in the end-of-round spin
+ * @property {number} CONFETTI_COUNT - Confetti particles burst at the end of a round
+ * @property {number} CONFETTI_GRAVITY - Downward pull on confetti (world units/s²)
  * @property {number} SPEED_SCALE_FACTOR - How much speed affects fish stretch
  * @property {number} MIN_SPEED_THRESHOLD - Minimum speed to register movement
  * @property {number} MAX_SPEED - Maximum tracked speed
  * @property {number} SMOOTHING - Movement smoothing (higher = smoother)
  * @property {number} STAR_COUNT - Default number of stars (single-player)
- * @property {number} STAR_GRID_SIZE - Grid dimension for star placement (1-4, creates NxN grid)
+ * @property {number} STAR_GRID_ROWS - Grid rows for star placement (1-STAR_GRID_MAX)
+ * @property {number} STAR_GRID_COLS - Grid columns for star placement (1-STAR_GRID_MAX)
+ * @property {number} STAR_GRID_MAX - Upper bound for grid rows and columns
  * @property {number} STAR_UI_LEFT_RATIO - Left margin as ratio of viewport width (0.2 = 20%)
  * @property {number} STAR_SIZE_MIN - Minimum star scale
  * @property {number} STAR_SIZE_MAX - Maximum star scale
@@ -50,6 +56,57 @@
  * @property {number} STAR_SPIN_SPEED_MIN - Min rotation speed
  * @property {number} STAR_SPIN_SPEED_MAX - Max rotation speed
  * @property {string[]} STAR_COLORS - Array of hex color strings for stars
+ * @property {number} STAR_COLLISION_RADIUS - Fish-to-star distance that counts as contact (world units)
+ * @property {string} STAR_COLLECT_MODE - "touch" (collect on contact) or "dwell" (hold fish over star)
+ * @property {number} STAR_DWELL_TIME_MS - Time the fish must stay over a star in dwell mode
+ * @property {number} STAR_DWELL_DECAY_RATE - Dwell drain speed when the fish leaves, relative to fill speed
+ * @property {string} STAR_DWELL_RING_COLOR - Hex color of the dwell progress ring
+ * @property {number} MAGNET_STRENGTH - Magnet aim-assist strength from 0 (off) to 1
+ * @property {number} MAGNET_RADIUS - Fish-to-star distance within which the magnet pulls (world units)
+ * @property {number} MAGNET_MAX_PULL - Furthest the magnet moves a star or the fish (world units). Keep it
+ *   small: the host checks claims against the star's unassisted position
+ * @property {string} MAGNET_TARGET - What the magnet moves: "star" (star drifts to the fish) or "fish"
+ * @property {number} CO_CONTROL_WEIGHT - Co-control (hand-over-hand): host pointer's share of the fish
+ *   target, blended with the participant pointer (0 = off)
+ * @property {Object<string, string>} INPUT_FILTERS - Default filter profile for each real identity
+ *   (`host`, `participant`): "none", "one-euro", "median" or "fixation"
+ * @property {number} ONE_EURO_MIN_CUTOFF - One Euro filter cutoff (Hz) for a still pointer
+ * @property {number} ONE_EURO_BETA - One Euro cutoff increase per normalized unit/s of pointer speed
+ * @property {number} ONE_EURO_D_CUTOFF - One Euro cutoff (Hz) for the speed estimate
+ * @property {number} MEDIAN_FILTER_WINDOW - Samples in the moving median window
+ * @property {number} FIXATION_RADIUS - Fixation cluster radius (normalized viewport units)
+ * @property {number} FIXATION_BREAK_SAMPLES - Samples outside a fixation before the pointer moves on
+ * @property {number} SCAN_INTERVAL_MS - Switch scanning: time per highlighted cell (0 = scanning off)
+ * @property {string[]} SCAN_KEYS - `KeyboardEvent.code` values treated as a switch press
+ * @property {string} SCAN_HIGHLIGHT_COLOR - Hex color of the scan highlight ring
+ * @property {number} DIRECTIONAL_SPEED - Keyboard/gamepad fish speed at full deflection
+ *   (normalized viewport units per second)
+ * @property {number} DIRECTIONAL_DEADZONE - Gamepad stick deflection ignored as resting noise (0-1)
+ * @property {number} DIRECTIONAL_HOLD_MS - How long keyboard/gamepad keeps control of the fish after
+ *   the player stops steering, before that role's cursor takes over again
+ * @property {boolean} POINTER_GHOST_ENABLED - Whether the host sees the participant's raw pointer as a
+ *   ghost with a fading trail (host can toggle)
+ * @property {string} POINTER_GHOST_COLOR - Hex color of the pointer ghost and its trail
+ * @property {number} POINTER_GHOST_SIZE - Radius of the pointer ghost (world units)
+ * @property {number} POINTER_GHOST_TRAIL_MS - How long trail samples take to fade out
+ * @property {number} POINTER_GHOST_TRAIL_DOTS - Dots drawn along the trail
+ * @property {number} HEATMAP_COLS - Pointer heatmap columns across the play area
+ * @property {number} HEATMAP_ROWS - Pointer heatmap rows across the play area
+ * @property {number} HEATMAP_OPACITY - Opacity of the heatmap overlay (0-1)
+ * @property {boolean} IDLE_ENABLED - Whether the fish swims on its own while nobody controls it
+ * @property {number} IDLE_DELAY_MS - Time without a controller before attract mode starts
+ * @property {number} IDLE_PHASE_MS - How long each attract-mode behavior (wander, circle, nudge) lasts
+ * @property {number} IDLE_ORBIT_RADIUS - Distance at which the idle fish circles a star (world units)
+ * @property {number} IDLE_NUDGE_DISTANCE - Distance the idle fish keeps from the star it nudges toward
+ *   (world units, outside the collision radius)
+ * @property {number} IDLE_BLEND_MS - Hand-over time from the idle swim to a returning pointer
+ * @property {Object<string, Object>} STAR_TYPES - Star types keyed by name. Each has `size` (mesh scale),
+ *   `points` (score value), `weight` (share of generated stars) and optionally `radius` (collision radius,
+ *   defaults to STAR_COLLISION_RADIUS), `spikes`, `colors`, `glow`, and `flee`/`fleeRange` (shy drift)
+ * @property {number} STAR_LIFETIME_MS - Time a star waits to be collected before timing out (0 = forever)
+ * @property {number} STAR_TIMEOUT_SHIMMER_MS - Length of the countdown shimmer before a star times out
+ * @property {number} REACTION_MOVE_SPEED_MIN - Fish speed (world units/s) that counts as deliberate movement
+ * @property {number} REACTION_HEADING_COS - Min cosine between fish heading and star direction for movement onset
  */
 export const DEFAULT_CONFIG = {
     // === Fish Appearance ===
@@ -71,6 +128,12 @@ export const DEFAULT_CONFIG = {
     PARTICLE_MAX_Z: 30,            // Max depth for particles
     PARTICLE_COLORS: ['#dff69e', '#00ceff', '#002bca', '#ff00e0', '#3f159f', '#71b583', '#00a2ff'],
 
+    // === Celebration ===
+    CELEBRATION_SPIN_MS: 1200,     // Fish spin at the end of a round
+    CELEBRATION_SPIN_TURNS: 2,     // Full turns in the spin
+    CONFETTI_COUNT: 80,            // Pooled particles burst as confetti
+    CONFETTI_GRAVITY: 9,           // World units/s²
+
     // === Speed Effects ===
     SPEED_SCALE_FACTOR: 0.3,       // How much speed affects fish stretch
     MIN_SPEED_THRESHOLD: 0.001,    // Minimum speed to register movement
@@ -79,7 +142,9 @@ export const DEFAULT_CONFIG = {
 
     // === Star System ===
     STAR_COUNT: 5,                 // Default number of stars (single-player)
-    STAR_GRID_SIZE: 4,             // NxN grid for star positions (1-4)
+    STAR_GRID_ROWS: 4,             // Rows of the star grid
+    STAR_GRID_COLS: 4,             // Columns of the star grid
+    STAR_GRID_MAX: 6,              // Max rows/columns the host can select
     STAR_UI_LEFT_RATIO: 0.2,       // Left margin as ratio of viewport (20% = 1/5)
     STAR_SIZE_MIN: 0.12,           // Minimum star scale
     STAR_SIZE_MAX: 0.5,            // Maximum star scale
@@ -89,7 +154,85 @@ export const DEFAULT_CONFIG = {
     STAR_DEPTH_RANGE: 1.2,         // Z-axis wobble range
     STAR_SPIN_SPEED_MIN: 0.3,      // Min rotation speed
     STAR_SPIN_SPEED_MAX: 1.1,      // Max rotation speed
-    STAR_COLORS: ['#ffea00', '#ffd54a', '#ffcc2a', '#fff3a0']  // Gold/yellow palette
+    STAR_COLORS: ['#ffea00', '#ffd54a', '#ffcc2a', '#fff3a0'],  // Gold/yellow palette
+
+    // === Collection ===
+    STAR_COLLISION_RADIUS: 0.7,    // Fish + star size in world units
+    STAR_COLLECT_MODE: 'touch',    // 'touch' = instant, 'dwell' = hold over star
+    STAR_DWELL_TIME_MS: 1500,      // Dwell time needed to collect (host can change)
+    STAR_DWELL_DECAY_RATE: 0.5,    // Drain speed when fish leaves (x fill speed)
+    STAR_DWELL_RING_COLOR: '#7dffb0', // Progress ring color
+
+    // === Magnet Assist ===
+    MAGNET_STRENGTH: 0,            // 0 = off (host can change)
+    MAGNET_RADIUS: 2.2,            // Capture radius in world units
+    MAGNET_MAX_PULL: 0.5,          // Cap so claims stay within host tolerance
+    MAGNET_TARGET: 'star',         // 'star' = star drifts, 'fish' = fish drifts
+
+    // === Co-Control ===
+    CO_CONTROL_WEIGHT: 0,          // 0 = off (host can change)
+
+    // === Input Filters ===
+    INPUT_FILTERS: { host: 'none', participant: 'none' }, // Host can change
+    ONE_EURO_MIN_CUTOFF: 1.0,      // Lower = steadier at rest
+    ONE_EURO_BETA: 5,              // Higher = less lag on fast moves
+    ONE_EURO_D_CUTOFF: 1.0,        // Speed estimate smoothing
+    MEDIAN_FILTER_WINDOW: 5,       // Samples (odd numbers work best)
+    FIXATION_RADIUS: 0.04,         // ~4% of the screen
+    FIXATION_BREAK_SAMPLES: 2,     // Ignore single stray samples
+
+    // === Switch Scanning ===
+    SCAN_INTERVAL_MS: 0,           // 0 = off (host can change)
+    SCAN_KEYS: ['Space', 'Enter'], // Switch interfaces usually send these
+    SCAN_HIGHLIGHT_COLOR: '#4fc3ff', // Scan ring color
+
+    // === Keyboard / Gamepad ===
+    DIRECTIONAL_SPEED: 0.35,       // Crosses the screen in about 3 s
+    DIRECTIONAL_DEADZONE: 0.2,     // Typical stick drift
+    DIRECTIONAL_HOLD_MS: 3000,     // Then the mouse/gaze cursor wins again
+
+    // === Pointer Ghost ===
+    POINTER_GHOST_ENABLED: false,  // Off until the host turns it on
+    POINTER_GHOST_COLOR: '#ff9ad5', // Stands apart from fish and stars
+    POINTER_GHOST_SIZE: 0.35,      // World units
+    POINTER_GHOST_TRAIL_MS: 1000,  // About a second of movement history
+    POINTER_GHOST_TRAIL_DOTS: 16,  // Meshes in the trail
+
+    // === Pointer Heatmap ===
+    HEATMAP_COLS: 32,              // ~16:9 cells on a widescreen play area
+    HEATMAP_ROWS: 18,
+    HEATMAP_OPACITY: 0.6,          // Stars stay visible underneath
+
+    // === Attract Mode ===
+    IDLE_ENABLED: true,            // Swim around while nobody controls the fish
+    IDLE_DELAY_MS: 3000,           // Pause before the fish starts on its own
+    IDLE_PHASE_MS: 8000,           // Wander -> circle a star -> nudge, repeat
+    IDLE_ORBIT_RADIUS: 1.6,        // World units around the star
+    IDLE_NUDGE_DISTANCE: 1.3,      // Stays clear of STAR_COLLISION_RADIUS
+    IDLE_BLEND_MS: 800,            // Glide back to a returning pointer
+
+    // === Star Types ===
+    STAR_TYPES: {
+        normal: { size: 1, points: 1, weight: 6 },
+        big: { size: 1.6, radius: 1.0, points: 1, weight: 2, spikes: 6 },
+        small: { size: 0.55, radius: 0.4, points: 2, weight: 2, spikes: 4 },
+        golden: {
+            size: 1.15, points: 5, weight: 1, spikes: 8, glow: 0.55,
+            colors: ['#ffb300', '#ffc107', '#ffd700'],
+        },
+        shy: {
+            size: 1, points: 3, weight: 1, flee: 1.4, fleeRange: 2.5,
+            colors: ['#9be7ff', '#c8f4ff', '#a0c4ff'],
+        },
+    },
+
+    // === Star Lifetime ===
+    STAR_LIFETIME_MS: 0,           // 0 = stars wait forever (host can change)
+    STAR_TIMEOUT_SHIMMER_MS: 3000, // Countdown shimmer before timeout
+
+    // === Reaction Timing ===
+    REACTION_MOVE_SPEED_MIN: 1.5,  // World units/s before movement counts
+    REACTION_HEADING_COS: 0.7      // Heading within ~45 degrees of the star
 };
 
 /**
@@ -108,7 +251,8 @@ export const DEFAULT_CONFIG = {
  * // Override specific values
  * const config = createConfig({
  *   SCALE: 1.0,
- *   STAR_GRID_SIZE: 2
+ *   STAR_GRID_ROWS: 2,
+ *   STAR_GRID_COLS: 5
  * });
  */
 export function createConfig(overrides = {}) {
@@ -9,6 +9,7 @@
  * The system consists of three main components:
  * 1. **Fish Mesh** - A 3D blocky fish with animated fins, tail, and expressive eyes
  * 2. **Particle System** - Background particles that drift across the screen
+ *    (also reused as end-of-round confetti)
  * 3. **Star System** - Collectible stars that float and twinkle, synced via Firebase
  *
  * ## Fish Design
@@ -21,6 +22,7 @@
  * - Single-player mode: Host controls fish, random star generation
  * - Multiplayer mode: Only participant controls fish, host manages star placement
  * - Collision authority: Only the controlling client reports star collection
+ *   as a claim; the host confirms it or the star snaps back (`restoreStar`)
  *
  * ## Rendering Pipeline
  * 1. `_init()` - Sets up Three.js scene, camera, lighting, and creates fish mesh
@@ -38,6 +40,13 @@
 
 import InputManager from "./input-manager.js";
 import { createConfig } from "./fish-cursor-config.js";
+import {
+  denormalizePoint,
+  getViewportSize,
+  gridCellToNormalized,
+} from "./coordinate-space.js";
+import { createRng } from "./prng.js";
+import { evaluateStarPath } from "./star-paths.js";
 
 const threeCdn =
   "https://cdn.jsdelivr.net/npm/three@0.179.1/build/three.module.js";
@@ -45,6 +54,13 @@ const threeCdn =
 // Timeout (ms) after which a pointer is considered inactive
 const INACTIVE_TIMEOUT_MS = 2000;
 
+// A directional (keyboard/gamepad) pointer overrides its role's cursor
+// while it was fed within this time
+const DIRECTIONAL_ACTIVE_MS = 250;
+
+// Attract-mode behaviors, cycled every IDLE_PHASE_MS
+const IDLE_BEHAVIORS = ["wander", "circle", "nudge"];
+
 // Debug logging throttle
 let lastControllerLog = 0;
 let lastController = null;
@@ -78,9 +94,15 @@ class WebGLFishCursor {
    * @constructor
    * @param {Object} options - Configuration options
    * @param {Object} [options.configOverrides={}] - Override default config values. See {@link module:FishCursorConfig} for all available options.
-   * @param {Function|null} [options.onStarCollected=null] - Callback when a star is collected. Receives starId as argument.
+   * @param {Function|null} [options.onStarCollected=null] - Callback when a star is collected. Receives (starId, { x, y, reactionTimeMs, movementOnsetMs }) with the normalized fish position and reaction timings.
    * @param {boolean} [options.isMultiplayerMode=false] - Enable multiplayer mode (participant controls fish, host places stars)
    * @param {boolean} [options.isHost=true] - Whether this client is the host (affects collision authority)
+   * @param {SoundEngine|null} [options.soundEngine=null] - Optional sound engine for gameplay audio cues
+   * @param {string|null} [options.seed=null] - Session seed; star animation parameters derive from seed + star ID
+   * @param {Function} [options.clock=Date.now] - Shared session clock (ms since epoch) that star paths,
+   *   lifetimes and animations are evaluated against, so every client shows stars in the same place
+   * @param {Function|null} [options.onFrame=null] - Called at the start of each rendered frame, before
+   *   pointers are read, so the caller can feed computed pointers (e.g. keyboard/gamepad) in step
    *
    * @property {Object} config - Configuration object. See {@link module:FishCursorConfig} for all available properties.
    */
@@ -89,6 +111,10 @@ class WebGLFishCursor {
     onStarCollected = null,
     isMultiplayerMode = false,
     isHost = true,
+    soundEngine = null,
+    seed = null,
+    clock = Date.now,
+    onFrame = null,
   } = {}) {
     /** @type {Object|null} Three.js module reference, loaded asynchronously */
     this.THREE = null;
@@ -99,10 +125,19 @@ class WebGLFishCursor {
     /**
      * Callback fired when fish collides with a star.
      * Only called by the client that has collision authority (the one controlling the fish).
+     * The call is a claim: the host validates it and either commits the score
+     * or rejects it, in which case `restoreStar` snaps the star back.
      * @type {Function|null}
      */
     this.onStarCollected = onStarCollected;
 
+    /**
+     * Callback fired at the start of each rendered frame, before pointers
+     * are read.
+     * @type {Function|null}
+     */
+    this.onFrame = onFrame;
+
     /**
      * Multiplayer mode flag - changes control and collision behavior:
      * - false (single-player): Host controls fish, random star generation
@@ -126,6 +161,38 @@ class WebGLFishCursor {
      */
     this._isControllingFish = false;
 
+    /**
+     * Total distance the fish has swum, in normalized viewport units
+     * (1 = one screen width horizontally or one screen height vertically).
+     * Read by session metrics.
+     * @type {number}
+     * @private
+     */
+    this._fishPathLength = 0;
+
+    /**
+     * Session seed. Each star's mesh and animation randomness is derived
+     * from seed + star ID, so every client builds the same star.
+     * @type {string|null}
+     * @private
+     */
+    this._seed = seed;
+
+    /**
+     * Shared session clock (see shared-clock.js). Synced timestamps such as
+     * path starts and `bornAt` are in this time, not the local clock.
+     * @type {Function}
+     * @private
+     */
+    this._clock = clock;
+
+    /**
+     * Optional audio feedback (star spawn/collect/remove cues and swim tone).
+     * The cursor only triggers sounds; volume and mute are owned by app.js.
+     * @type {SoundEngine|null}
+     */
+    this.soundEngine = soundEngine;
+
     /**
      * The single fish instance containing mesh and animation state.
      * Created during initialization.
@@ -152,7 +219,27 @@ class WebGLFishCursor {
     // Particle system
     this.flyingParticles = [];
     this.waitingParticles = [];
+    this.confettiParticles = [];
     this._particleSpawnTimer = 0;
+    this._celebrationStart = null;
+    this._celebrationSpin = 0;
+    // Switch scanning: highlighted grid cell and its ring (created lazily)
+    this._scanCell = null;
+    this._scanRing = null;
+    // Pointer ghost: role whose raw pointer is drawn (null = off), recent
+    // samples `{ x, y, at }` (normalized, oldest first) and meshes (lazy)
+    this._ghostRole = null;
+    this._ghostTrail = [];
+    this._ghostGroup = null;
+    // Attract mode: autonomous swim while nobody controls the fish
+    this._isIdle = false;
+    this._idleBlend = 0; // 1 = idle swim, fading to 0 as a pointer takes over
+    this._idleTarget = null; // THREE.Vector3, created on first use
+    this._lastControlledAt = 0;
+    // Turn-taking: effective role whose turn it is (null = normal rules)
+    this._turnHolder = null;
+    // Pointer that steered the fish last frame (see getActiveControl)
+    this._activeControl = null;
     this._viewBoundsX = 0;
     this._viewBoundsY = 0;
 
@@ -162,6 +249,14 @@ class WebGLFishCursor {
     this._starGlowTex = null;
     this._pendingFirebaseStars = null; // Queue for stars received before init completes
 
+    /**
+     * Star IDs this client has claimed but the host has not yet confirmed or
+     * rejected. Sync won't respawn them while the claim is in flight.
+     * @type {Set<string>}
+     * @private
+     */
+    this._pendingClaims = new Set();
+
     this.canvas = document.createElement("canvas");
     Object.assign(this.canvas.style, {
       position: "fixed",
@@ -299,19 +394,45 @@ class WebGLFishCursor {
     this._viewBoundsX = this._viewBoundsY * (this.camera.aspect || 1);
   }
 
+  /**
+   * Clamps a grid dimension to 1-STAR_GRID_MAX.
+   * @param {number} value - Rows or columns
+   * @returns {number|null} Clamped value, or null if not a number
+   * @private
+   */
+  _clampGridDimension(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return null;
+    const max = Math.max(1, Math.round(this.config.STAR_GRID_MAX) || 1);
+    return Math.max(1, Math.min(max, Math.round(n)));
+  }
+
   _getStarGridSize() {
-    const n = Number(this.config.STAR_GRID_SIZE);
-    return Math.max(1, Math.min(4, Number.isFinite(n) ? Math.round(n) : 4));
+    return {
+      rows: this._clampGridDimension(this.config.STAR_GRID_ROWS) ?? 4,
+      cols: this._clampGridDimension(this.config.STAR_GRID_COLS) ?? 4,
+    };
   }
 
-  setStarGrid(size) {
-    const n = Number(size);
-    if (!Number.isFinite(n)) return;
+  /**
+   * Sets the star grid dimensions.
+   * @param {number} rows - Grid rows
+   * @param {number} [cols=rows] - Grid columns
+   */
+  setStarGrid(rows, cols = rows) {
+    const clampedRows = this._clampGridDimension(rows);
+    const clampedCols = this._clampGridDimension(cols);
+    if (clampedRows === null || clampedCols === null) return;
 
-    const clamped = Math.max(1, Math.min(4, Math.round(n)));
-    if (this.config.STAR_GRID_SIZE === clamped) return;
+    if (
+      this.config.STAR_GRID_ROWS === clampedRows &&
+      this.config.STAR_GRID_COLS === clampedCols
+    ) {
+      return;
+    }
 
-    this.config.STAR_GRID_SIZE = clamped;
+    this.config.STAR_GRID_ROWS = clampedRows;
+    this.config.STAR_GRID_COLS = clampedCols;
 
     // Update positions of existing stars when grid size changes
     // Star regeneration is handled by app.js
@@ -320,6 +441,177 @@ class WebGLFishCursor {
     }
   }
 
+  /**
+   * Switch between touch and dwell collection.
+   * Dwell progress on existing stars is reset so a mode change never
+   * completes a collection on its own.
+   * @param {string} mode - "touch" or "dwell"
+   */
+  setCollectMode(mode) {
+    const next = mode === "dwell" ? "dwell" : "touch";
+    if (this.config.STAR_COLLECT_MODE === next) return;
+
+    this.config.STAR_COLLECT_MODE = next;
+    this.stars.forEach((star) => {
+      star.dwell = 0;
+    });
+  }
+
+  /**
+   * Update the time the fish must stay over a star in dwell mode.
+   * @param {number} ms - Dwell time in milliseconds
+   */
+  setDwellTime(ms) {
+    const n = Number(ms);
+    if (!Number.isFinite(n) || n <= 0) return;
+    this.config.STAR_DWELL_TIME_MS = n;
+  }
+
+  /**
+   * Update how long stars wait to be collected. Stars shimmer during the
+   * last STAR_TIMEOUT_SHIMMER_MS; the host removes or relocates them.
+   * @param {number} ms - Lifetime in milliseconds (0 = no timeout)
+   */
+  setStarLifetime(ms) {
+    const n = Number(ms);
+    this.config.STAR_LIFETIME_MS = Number.isFinite(n) && n > 0 ? n : 0;
+  }
+
+  /**
+   * Choose the input filter for a pointer ID (see input-filters.js), using
+   * the filter tunables from the config.
+   * @param {string} id - Pointer ID ("host" or "participant")
+   * @param {string} profile - "none", "one-euro", "median" or "fixation"
+   */
+  setPointerFilter(id, profile) {
+    this.inputManager.setPointerFilter(id, profile, {
+      minCutoff: this.config.ONE_EURO_MIN_CUTOFF,
+      beta: this.config.ONE_EURO_BETA,
+      dCutoff: this.config.ONE_EURO_D_CUTOFF,
+      window: this.config.MEDIAN_FILTER_WINDOW,
+      radius: this.config.FIXATION_RADIUS,
+      breakSamples: this.config.FIXATION_BREAK_SAMPLES,
+    });
+  }
+
+  /**
+   * The pointer a role steers the fish with: its directional pointer
+   * (`<role>-directional`) while keyboard/gamepad input is being fed,
+   * otherwise its cursor. A role with only a directional pointer keeps
+   * using it after input stops, so the fish stays where it was left.
+   *
+   * @param {string} role - Effective role ("host" or "participant")
+   * @param {number} [now=performance.now()] - Current time
+   * @returns {Object|null} InputManager pointer, or null if there is none
+   */
+  getControlPointer(role, now = performance.now()) {
+    const pointer = this.inputManager.getPointer(role);
+    const directional = this.inputManager.getPointer(`${role}-directional`);
+    if (!directional) return pointer;
+    if (!pointer || now - directional.lastSeen < DIRECTIONAL_ACTIVE_MS) {
+      return directional;
+    }
+    return pointer;
+  }
+
+  /**
+   * Current fish position in normalized viewport space.
+   * @returns {{x: number, y: number}|null} Position, or null before init
+   */
+  getFishPosition() {
+    if (!this.fish || !this._viewBoundsX) return null;
+    return this._worldToNormalized(this.fish.group.position);
+  }
+
+  /**
+   * The pointer that steered the fish in the last frame.
+   * @returns {{role: string, x: number, y: number}|null} Controlling role
+   *   and its normalized position, or null while nobody controls the fish
+   *   (attract mode included)
+   */
+  getActiveControl() {
+    return this._activeControl ? { ...this._activeControl } : null;
+  }
+
+  /**
+   * Switch turn-taking control. While set, only this role steers the fish
+   * and reports collisions, in either game mode.
+   * @param {string|null} role - "host", "participant", or null for the
+   *   normal control rules
+   */
+  setTurnHolder(role) {
+    this._turnHolder =
+      role === "host" || role === "participant" ? role : null;
+  }
+
+  /**
+   * Draw another pointer's raw input as a translucent ghost with a fading
+   * trail, e.g. the participant's gaze on the host's screen.
+   * @param {string|null} role - Pointer ID to draw, or null to hide
+   */
+  setPointerGhost(role) {
+    if (role === this._ghostRole) return;
+    this._ghostRole = role || null;
+    this._ghostTrail = [];
+  }
+
+  /**
+   * Show the switch-scanning highlight on a grid cell.
+   * @param {{row: number, col: number}|null} cell - Highlighted cell, or
+   *   null to hide the highlight
+   */
+  setScanHighlight(cell) {
+    this._scanCell =
+      cell && Number.isInteger(cell.row) && Number.isInteger(cell.col)
+        ? { row: cell.row, col: cell.col }
+        : null;
+  }
+
+  /**
+   * Update the magnet aim-assist strength. Within MAGNET_RADIUS the star
+   * drifts toward the fish (or the fish toward the star, see MAGNET_TARGET).
+   * @param {number} strength - 0 (off) to 1
+   */
+  setMagnetStrength(strength) {
+    const n = Number(strength);
+    this.config.MAGNET_STRENGTH = Number.isFinite(n) ? this._clamp01(n) : 0;
+  }
+
+  /**
+   * Update the co-control (hand-over-hand) weight. While both pointers are
+   * active the fish follows a blend of them; see getBlendedPointer.
+   * @param {number} weight - Host pointer's share, 0 (off) to 1
+   */
+  setCoControlWeight(weight) {
+    const n = Number(weight);
+    this.config.CO_CONTROL_WEIGHT = Number.isFinite(n) ? this._clamp01(n) : 0;
+  }
+
+  /**
+   * Co-control target: the participant and host control pointers blended
+   * by CO_CONTROL_WEIGHT (the host's share).
+   * @param {number} [now=performance.now()] - Current time
+   * @returns {{x: number, y: number, lastSeen: number}|null} Blended
+   *   pointer, or null if co-control is off or either pointer is inactive
+   */
+  getBlendedPointer(now = performance.now()) {
+    const weight = this.config.CO_CONTROL_WEIGHT;
+    if (!(weight > 0)) return null;
+
+    const participant = this.getControlPointer("participant", now);
+    const host = this.getControlPointer("host", now);
+    const isActive = (pointer) =>
+      pointer && now - pointer.lastSeen < INACTIVE_TIMEOUT_MS;
+    if (!isActive(participant) || !isActive(host)) return null;
+
+    return {
+      x: participant.x + (host.x - participant.x) * weight,
+      y: participant.y + (host.y - participant.y) * weight,
+      // The blend is only as fresh as its older input
+      lastSeen: Math.min(participant.lastSeen, host.lastSeen),
+    };
+  }
+
   /**
    * Update multiplayer mode without recreating the cursor.
    * @param {boolean} isMultiplayer - Whether multiplayer mode is enabled
@@ -338,6 +630,22 @@ class WebGLFishCursor {
     this.isHost = isHost;
   }
 
+  /**
+   * Sets the session seed used for new stars' appearance and animation.
+   * @param {string|null} seed - Session seed (null = Math.random)
+   */
+  setSeed(seed) {
+    this._seed = seed || null;
+  }
+
+  /**
+   * Total distance the fish has swum since the cursor was created.
+   * @returns {number} Path length in normalized viewport units
+   */
+  getFishPathLength() {
+    return this._fishPathLength;
+  }
+
   /**
    * Creates the 3D fish mesh with all its components.
    *
@@ -619,7 +927,7 @@ class WebGLFishCursor {
    * 2. Determine which pointer (host/participant) controls the fish
    * 3. Set collision authority based on mode and controller
    * 4. Spawn background particles on timer
-   * 5. Convert pointer screen coords to 3D world position
+   * 5. Convert normalized pointer coords to 3D world position
    * 6. Update fish position and animation
    * 7. Update particle positions
    * 8. Update star animations and check collisions
@@ -627,6 +935,10 @@ class WebGLFishCursor {
    *
    * ## Pointer Control Logic
    *
+   * Each role's pointer is its directional pointer (`<role>-directional`,
+   * keyboard/gamepad) while that is being fed, otherwise its cursor
+   * (see getControlPointer).
+   *
    * **Single-player mode:**
    * - Participant pointer has priority if active (within INACTIVE_TIMEOUT_MS)
    * - Falls back to host pointer if participant is inactive
@@ -638,6 +950,18 @@ class WebGLFishCursor {
    * - Fish stays in place if no active participant
    * - Only participant client reports star collisions
    *
+   * **Turn-taking** (setTurnHolder): overrides both modes. Only the turn
+   * holder's pointer moves the fish and only the holder's client reports
+   * collisions.
+   *
+   * **Co-control** (setCoControlWeight): when turns are off and both
+   * pointers are active, the fish follows getBlendedPointer in either mode.
+   * The blend counts as the participant's, so only the participant client
+   * reports collisions; with one pointer the mode rules apply as usual.
+   *
+   * **Attract mode:** after IDLE_DELAY_MS without a controller the fish
+   * swims on its own (see _updateIdleState) and never collects stars.
+   *
    * @private
    */
   _loop() {
@@ -655,16 +979,34 @@ class WebGLFishCursor {
     this._lastT = now;
     const time = now * 0.001; // Total time in seconds (for animations)
 
+    if (typeof this.onFrame === "function") this.onFrame();
+
     // ============================================================
     // POINTER CONTROL - Determine who controls the fish
     // ============================================================
-    const participantPointer = this.inputManager.getPointer("participant");
-    const hostPointer = this.inputManager.getPointer("host");
+    const participantPointer = this.getControlPointer("participant", now);
+    const hostPointer = this.getControlPointer("host", now);
 
     let activePointer = null;
     let currentController = null;
-
-    if (this.isMultiplayerMode) {
+    const blendedPointer = this._turnHolder
+      ? null
+      : this.getBlendedPointer(now);
+
+    if (this._turnHolder) {
+      // TURN-TAKING: only the turn holder controls the fish
+      const pointer =
+        this._turnHolder === "host" ? hostPointer : participantPointer;
+      if (pointer && now - pointer.lastSeen < INACTIVE_TIMEOUT_MS) {
+        activePointer = pointer;
+        currentController = this._turnHolder;
+      }
+    } else if (blendedPointer) {
+      // CO-CONTROL: host guides the participant's movement. Credited to
+      // the participant, so a single client (theirs) reports collisions
+      activePointer = blendedPointer;
+      currentController = "participant";
+    } else if (this.isMultiplayerMode) {
       // MULTIPLAYER MODE: Only participant controls fish
       // Host manages star spawning via grid UI instead
       if (
@@ -689,11 +1031,20 @@ class WebGLFishCursor {
       }
     }
 
+    this._activeControl = activePointer
+      ? { role: currentController, x: activePointer.x, y: activePointer.y }
+      : null;
+
     // ============================================================
     // COLLISION AUTHORITY - Prevent double-counting star collection
     // Only the client controlling the fish should report collisions
     // ============================================================
-    if (this.isMultiplayerMode) {
+    if (this._turnHolder) {
+      // Turn-taking: the holder's client handles collisions
+      this._isControllingFish =
+        currentController !== null &&
+        currentController === (this.isHost ? "host" : "participant");
+    } else if (this.isMultiplayerMode) {
       // Multiplayer: participant client handles collisions when controlling
       this._isControllingFish =
         !this.isHost && currentController === "participant";
@@ -728,39 +1079,72 @@ class WebGLFishCursor {
       this._spawnParticle();
     }
 
+    // Celebration spin rides on top of the smoothed tilt: take it off
+    // before the fish update and put the new angle back afterwards
+    this.fish.group.rotation.z -= this._celebrationSpin;
+
     // ============================================================
-    // FISH UPDATE - Only if there's an active controller
+    // FISH UPDATE - Controller's pointer, or attract mode without one
     // ============================================================
+    this._updateIdleState(!!activePointer, now, dt);
+
     if (activePointer) {
       const fish = this.fish;
 
+      // Pointers are stored normalized (0-1); map onto this client's screen
+      const screen = denormalizePoint(activePointer, getViewportSize());
+
       // Store pointer position on fish for animation calculations
-      fish.pointerX = this._safeNumber(activePointer.x, fish.pointerX);
-      fish.pointerY = this._safeNumber(activePointer.y, fish.pointerY);
+      fish.pointerX = this._safeNumber(screen.x, fish.pointerX);
+      fish.pointerY = this._safeNumber(screen.y, fish.pointerY);
 
-      // Convert screen coordinates to normalized device coordinates (-1 to 1)
-      const w = window.innerWidth;
-      const h = window.innerHeight;
+      // Map to normalized device coordinates (-1 to 1)
       this.mouseNdc.set(
-        (activePointer.x / w) * 2 - 1,
-        -(activePointer.y / h) * 2 + 1,
+        this._safeNumber(activePointer.x, 0.5) * 2 - 1,
+        -this._safeNumber(activePointer.y, 0.5) * 2 + 1,
       );
 
       // Raycast from camera through pointer to find 3D world position
       this.raycaster.setFromCamera(this.mouseNdc, this.camera);
       if (this.raycaster.ray.intersectPlane(this.plane, this.planeHit)) {
         fish.targetPos.copy(this.planeHit);
+        this._applyFishMagnet(fish.targetPos);
+      }
+
+      // Returning from attract mode: hand over from the idle swim gradually
+      if (this._idleBlend > 0) {
+        fish.targetPos.lerp(this._idleTarget, this._idleBlend);
       }
 
       // Update fish position, rotation, and animations
       this._updateFish(fish, dt, time);
+    } else if (this._isIdle) {
+      const fish = this.fish;
+      const target = this._worldToNormalized(this._idleTarget);
+      const screen = denormalizePoint(target, getViewportSize());
+      fish.pointerX = this._safeNumber(screen.x, fish.pointerX);
+      fish.pointerY = this._safeNumber(screen.y, fish.pointerY);
+      fish.targetPos.copy(this._idleTarget);
+
+      this._updateFish(fish, dt, time);
+      // Keep the idle swim quiet
+      if (this.soundEngine) this.soundEngine.setSwimSpeed(0);
+    } else if (this.soundEngine) {
+      // Fish is frozen without a controller - let the swim tone fade out
+      this.soundEngine.setSwimSpeed(0);
     }
 
     // ============================================================
     // UPDATE OTHER SYSTEMS
     // ============================================================
+    this._celebrationSpin = this._getCelebrationSpin(now);
+    this.fish.group.rotation.z += this._celebrationSpin;
+
     this._updateParticles(dt);
+    this._updateConfetti(dt);
     this._updateStars(dt, time);
+    this._updateScanHighlight(time);
+    this._updatePointerGhost(now);
 
     // Render final frame
     this.renderer.render(this.scene, this.camera);
@@ -876,6 +1260,15 @@ class WebGLFishCursor {
     const newY = currentY + (targetY - currentY) / SMOOTHING;
     group.position.y = this._safeNumber(newY, currentY);
 
+    // Accumulate path length in normalized space (world spans 2 * bounds)
+    const spanX = 2 * (this._viewBoundsX || 1);
+    const spanY = 2 * (this._viewBoundsY || 1);
+    const stepX = (group.position.x - currentX) / spanX;
+    const stepY = (group.position.y - currentY) / spanY;
+    if (!this._isIdle) {
+      this._fishPathLength += this._safeNumber(Math.hypot(stepX, stepY), 0);
+    }
+
     // ============================================================
     // ROTATION - Tilt based on movement
     // ============================================================
@@ -940,6 +1333,9 @@ class WebGLFishCursor {
       if (materials.lips) materials.lips.color.setRGB(r, g, b);
     }
 
+    // Swim tone pitch follows the same speed that drives color and fins
+    if (this.soundEngine) this.soundEngine.setSwimSpeed(speedNormalized);
+
     // ============================================================
     // SCALE - Squash and stretch based on speed
     // ============================================================
@@ -1132,6 +1528,81 @@ class WebGLFishCursor {
     }
   }
 
+  /**
+   * End-of-round celebration: the fish spins and a burst of confetti
+   * (pooled background particles) flies out from it and falls.
+   * @public
+   */
+  celebrate() {
+    if (!this.ready || !this.fish) return;
+
+    this._celebrationStart = performance.now();
+    const origin = this.fish.group.position;
+
+    for (let i = 0; i < this.config.CONFETTI_COUNT; i++) {
+      const particle = this._getParticle();
+      particle.position.set(origin.x, origin.y, (Math.random() - 0.5) * 2);
+
+      const s = 0.3 + Math.random() * 0.4;
+      particle.scale.set(s, s, s);
+
+      // Fan out upward, mostly within 60 degrees of vertical
+      const angle = Math.PI / 2 + (Math.random() - 0.5) * (Math.PI / 1.5);
+      const speed = 5 + Math.random() * 6;
+      particle.userData.confettiVelocity = new this.THREE.Vector3(
+        Math.cos(angle) * speed,
+        Math.sin(angle) * speed,
+        0,
+      );
+
+      this.confettiParticles.push(particle);
+      this.scene.add(particle);
+    }
+  }
+
+  /**
+   * Current angle of the celebration spin (0 when not celebrating).
+   * @param {number} now - performance.now()
+   * @returns {number} Z rotation in radians
+   * @private
+   */
+  _getCelebrationSpin(now) {
+    if (this._celebrationStart === null) return 0;
+
+    const p = (now - this._celebrationStart) / this.config.CELEBRATION_SPIN_MS;
+    if (p >= 1) {
+      this._celebrationStart = null;
+      return 0;
+    }
+    const turns = this.config.CELEBRATION_SPIN_TURNS;
+    return this._easeOutCubic(this._clamp01(p)) * turns * Math.PI * 2;
+  }
+
+  /**
+   * Moves confetti under gravity and returns it to the particle pool once
+   * it falls off screen.
+   * @param {number} dt - Delta time in seconds
+   * @private
+   */
+  _updateConfetti(dt) {
+    const gravity = this.config.CONFETTI_GRAVITY;
+
+    for (let i = this.confettiParticles.length - 1; i >= 0; i--) {
+      const particle = this.confettiParticles[i];
+      const velocity = particle.userData.confettiVelocity;
+
+      velocity.y -= gravity * dt;
+      particle.position.addScaledVector(velocity, dt);
+      particle.rotation.x += 6 * dt;
+      particle.rotation.y += 4 * dt;
+
+      if (particle.position.y < -this._viewBoundsY - 1.2) {
+        this.scene.remove(particle);
+        this.waitingParticles.push(this.confettiParticles.splice(i, 1)[0]);
+      }
+    }
+  }
+
   // ========================================================================
   // STAR SYSTEM
   //
@@ -1139,7 +1610,8 @@ class WebGLFishCursor {
   // on a grid system and synced via Firebase for multiplayer. When the fish
   // collides with a star, it's collected and the score increases.
   //
-  // Grid System: Stars are placed in an NxN grid (config.STAR_GRID_SIZE).
+  // Grid System: Stars are placed in a rows x cols grid
+  // (config.STAR_GRID_ROWS / STAR_GRID_COLS, each up to STAR_GRID_MAX).
   // Each cell maps to a world position, with padding to avoid screen edges
   // and the left UI area.
   // ========================================================================
@@ -1149,21 +1621,62 @@ class WebGLFishCursor {
    *
    * @param {number} min - Minimum value
    * @param {number} max - Maximum value
+   * @param {function(): number} [rng=Math.random] - Random source in [0, 1)
    * @returns {number} Random value in range [min, max]
    * @private
    */
-  _randBetween(min, max) {
-    return min + Math.random() * (max - min);
+  _randBetween(min, max, rng = Math.random) {
+    return min + rng() * (max - min);
+  }
+
+  /**
+   * Converts a normalized viewport position (0-1, see coordinate-space.js)
+   * to a world position on the z=0 plane.
+   *
+   * The camera looks straight down -Z, so the visible plane spans
+   * [-_viewBoundsX, _viewBoundsX] x [-_viewBoundsY, _viewBoundsY] linearly.
+   *
+   * @param {number} x - Normalized X (0 = left edge)
+   * @param {number} y - Normalized Y (0 = top edge)
+   * @returns {THREE.Vector3} World position
+   * @private
+   */
+  _normalizedToWorld(x, y) {
+    return new this.THREE.Vector3(
+      (x * 2 - 1) * this._viewBoundsX,
+      (1 - y * 2) * this._viewBoundsY,
+      0,
+    );
+  }
+
+  /**
+   * Converts a world position on the z=0 plane to normalized viewport space.
+   * Inverse of `_normalizedToWorld`.
+   *
+   * @param {THREE.Vector3} position - World position
+   * @returns {{x: number, y: number}} Normalized position (0-1)
+   * @private
+   */
+  _worldToNormalized(position) {
+    const bx = this._viewBoundsX || 1;
+    const by = this._viewBoundsY || 1;
+    return {
+      x: (position.x / bx + 1) / 2,
+      y: (1 - position.y / by) / 2,
+    };
   }
 
   /**
    * Converts a grid cell (row, col) to world coordinates.
    *
    * The grid maps to screen space with:
-   * - Left padding for UI elements (config.STAR_UI_LEFT_PX)
+   * - Left margin for UI elements (config.STAR_UI_LEFT_RATIO)
    * - Padding around edges to keep stars visible
    * - Cell centers positioned evenly across available space
    *
+   * The mapping goes through normalized viewport space (gridCellToNormalized),
+   * so a cell sits at the same relative spot on every screen size.
+   *
    * ```
    * ┌─────────────────────────────┐
    * │ UI    │ (0,0) │ (0,1) │ ... │
@@ -1180,49 +1693,60 @@ class WebGLFishCursor {
    * @private
    */
   _gridCellToWorld(row, col) {
-    const n = this._getStarGridSize();
+    const { rows, cols } = this._getStarGridSize();
 
     if (!this._viewBoundsX || !this._viewBoundsY) {
       return new this.THREE.Vector3(0, 0, 0);
     }
 
-    // Calculate left margin for UI in world units (percentage-based)
     const uiRatio = this.config.STAR_UI_LEFT_RATIO || 0.2;
-    const uiLeftWorldWidth = this._viewBoundsX * 2 * uiRatio;
-
-    // Add padding around edges
-    const padX = Math.min(
-      0.6,
-      (this._viewBoundsX * 2 - uiLeftWorldWidth) * 0.08,
-    );
-    const padY = Math.min(0.6, this._viewBoundsY * 0.12);
-
-    // Calculate usable bounds
-    const left = -this._viewBoundsX + uiLeftWorldWidth + padX;
-    const right = this._viewBoundsX - padX;
-    const top = this._viewBoundsY - padY;
-    const bottom = -this._viewBoundsY + padY;
-
-    // Map cell to normalized coordinates (0-1), centered in cell
-    const u = (col + 0.5) / n;
-    const v = (row + 0.5) / n;
+    const point = gridCellToNormalized(row, col, rows, cols, uiRatio);
+    return this._normalizedToWorld(point.x, point.y);
+  }
 
-    // Map to world coordinates
-    const x = left + (right - left) * u;
-    const y = top + (bottom - top) * v;
+  /**
+   * Extracts a star's placement from Firebase star data: normalized
+   * `{ x, y }` for freely placed stars, `{ row, col }` for grid stars.
+   *
+   * @param {Object} starData - Star from Firebase
+   * @returns {{x: number, y: number}|{row: number, col: number}}
+   * @private
+   */
+  _getStarPlacement(starData) {
+    if (Number.isFinite(starData.x) && Number.isFinite(starData.y)) {
+      return { x: starData.x, y: starData.y };
+    }
+    return { row: starData.row, col: starData.col };
+  }
 
-    return new this.THREE.Vector3(x, y, 0);
+  /**
+   * Converts a star placement to world coordinates. Free placements map
+   * straight from normalized space; grid cells go through the star grid.
+   *
+   * @param {{x: number, y: number}|{row: number, col: number}} cell - Placement
+   * @returns {THREE.Vector3} World position
+   * @private
+   */
+  _starPlacementToWorld(cell) {
+    if (Number.isFinite(cell.x) && Number.isFinite(cell.y)) {
+      if (!this._viewBoundsX || !this._viewBoundsY) {
+        return new this.THREE.Vector3(0, 0, 0);
+      }
+      return this._normalizedToWorld(cell.x, cell.y);
+    }
+    return this._gridCellToWorld(cell.row, cell.col);
   }
 
   /**
-   * Gets a random color from the STAR_COLORS palette.
+   * Gets a random color from a star palette.
    *
-   * @returns {THREE.Color} Random star color (gold/yellow tones)
+   * @param {function(): number} [rng=Math.random] - Random source in [0, 1)
+   * @param {string[]} [palette=STAR_COLORS] - Hex colors to pick from
+   * @returns {THREE.Color} Random star color (gold/yellow tones by default)
    * @private
    */
-  _getRandomStarColor() {
-    const { STAR_COLORS } = this.config;
-    const hex = STAR_COLORS[Math.floor(Math.random() * STAR_COLORS.length)];
+  _getRandomStarColor(rng = Math.random, palette = this.config.STAR_COLORS) {
+    const hex = palette[Math.floor(rng() * palette.length)];
     return new this.THREE.Color(hex);
   }
 
@@ -1323,18 +1847,26 @@ class WebGLFishCursor {
    * The core uses MeshPhysicalMaterial for a shiny "toy" appearance
    * with clearcoat and emissive properties for the twinkle effect.
    *
+   * The star type (see STAR_TYPES) sets the size, number of points, color
+   * palette and glow strength.
+   *
+   * @param {function(): number} [rng=Math.random] - Random source in [0, 1)
+   * @param {Object} [typeDef={}] - Star type definition
    * @returns {THREE.Group} Star mesh group with all components
    * @private
    */
-  _createStarMesh() {
-    const size = this.config.STAR_SIZE_MAX;
+  _createStarMesh(rng = Math.random, typeDef = {}) {
+    const size = this.config.STAR_SIZE_MAX * (typeDef.size ?? 1);
     const geometry = this._createStarGeometry(
-      5,
+      typeDef.spikes ?? 5,
       size,
       size * 0.55,
       size * 0.28,
     );
-    const color = this._getRandomStarColor();
+    const color = this._getRandomStarColor(
+      rng,
+      typeDef.colors ?? this.config.STAR_COLORS,
+    );
 
     // Core mesh - shiny physical material for "toy" appearance
     const coreMat = new this.THREE.MeshPhysicalMaterial({
@@ -1375,14 +1907,15 @@ class WebGLFishCursor {
       glintMat,
     );
     glint.position.set(size * 0.18, size * 0.22, size * 0.35);
-    glint.rotation.z = Math.random() * Math.PI;
+    glint.rotation.z = rng() * Math.PI;
 
     // Glow sprite - soft halo behind star
+    const glowOpacity = typeDef.glow ?? 0.25;
     const glowMat = new this.THREE.SpriteMaterial({
       map: this._getStarGlowTexture(),
       color: color.clone(),
       transparent: true,
-      opacity: 0.25,
+      opacity: glowOpacity,
       blending: this.THREE.AdditiveBlending,
       depthWrite: false,
       depthTest: false,
@@ -1391,12 +1924,16 @@ class WebGLFishCursor {
     glow.scale.set(size * 3.0, size * 3.0, 1);
     glow.position.set(0, 0, -0.25);
 
+    // Dwell ring - faint track plus a fill arc revealed via draw range
+    const dwellRing = this._createDwellRing(size);
+
     // Assemble into group
     const group = new this.THREE.Group();
     group.add(glow); // Back layer
     group.add(outline); // Outline layer
     group.add(core); // Main star
     group.add(glint); // Front highlight
+    group.add(dwellRing.group); // Dwell progress (hidden in touch mode)
 
     group.rotation.set(0, 0, 0);
 
@@ -1406,12 +1943,118 @@ class WebGLFishCursor {
     group.userData.outlineMat = outlineMat;
     group.userData.glintMat = glintMat;
     group.userData.glowMat = glowMat;
+    group.userData.glowBoost = glowOpacity - 0.25; // Extra glow (golden)
     group.userData.glint = glint;
     group.userData.glow = glow;
+    group.userData.dwellRing = dwellRing;
 
     return group;
   }
 
+  /**
+   * Creates the dwell progress ring shown around a star in dwell mode.
+   *
+   * The fill ring is a full RingGeometry whose visible arc is controlled with
+   * `setDrawRange` (6 indices per theta segment), so progress updates never
+   * rebuild geometry. It is mirrored on X so the arc fills clockwise from the top.
+   *
+   * @param {number} size - Star size (outer radius)
+   * @returns {Object} { group, fill, fillMat, trackMat, segments }
+   * @private
+   */
+  _createDwellRing(size) {
+    const segments = 48;
+    const inner = size * 1.35;
+    const outer = size * 1.6;
+    const color = new this.THREE.Color(this.config.STAR_DWELL_RING_COLOR);
+
+    const trackMat = new this.THREE.MeshBasicMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: 0.15,
+      depthWrite: false,
+    });
+    const track = new this.THREE.Mesh(
+      new this.THREE.RingGeometry(inner, outer, segments, 1),
+      trackMat,
+    );
+
+    const fillMat = new this.THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.9,
+      blending: this.THREE.AdditiveBlending,
+      depthWrite: false,
+      side: this.THREE.DoubleSide, // Mirrored below, so back faces face camera
+    });
+    const fill = new this.THREE.Mesh(
+      new this.THREE.RingGeometry(inner, outer, segments, 1, Math.PI / 2),
+      fillMat,
+    );
+    fill.scale.x = -1; // Fill clockwise
+    fill.geometry.setDrawRange(0, 0);
+
+    const group = new this.THREE.Group();
+    group.add(track);
+    group.add(fill);
+    group.position.z = 0.3; // In front of the star core
+    group.visible = false;
+
+    return { group, fill, fillMat, trackMat, segments };
+  }
+
+  /**
+   * Advances or decays dwell progress for a star.
+   *
+   * Progress fills at 1 / STAR_DWELL_TIME_MS while the fish is over the star
+   * and drains at STAR_DWELL_DECAY_RATE times that speed when it leaves, so a
+   * sweeping gaze never builds up a collection by accident.
+   *
+   * @param {Object} star - Star data entry from this.stars
+   * @param {boolean} isOver - Whether the fish currently overlaps the star
+   * @param {number} dt - Delta time in seconds
+   * @private
+   */
+  _updateStarDwell(star, isOver, dt) {
+    const dwellSeconds = Math.max(
+      0.05,
+      this.config.STAR_DWELL_TIME_MS / 1000,
+    );
+    const fillRate = 1 / dwellSeconds;
+    const current = this._safeNumber(star.dwell, 0);
+
+    if (isOver) {
+      star.dwell = Math.min(1, current + fillRate * dt);
+    } else {
+      const decayRate = this._safeNumber(this.config.STAR_DWELL_DECAY_RATE, 0.5);
+      const decay = fillRate * decayRate;
+      star.dwell = Math.max(0, current - decay * dt);
+    }
+  }
+
+  /**
+   * Syncs the dwell ring visuals with the star's dwell progress.
+   * The ring counter-rotates against the star spin so the arc stays anchored at the top.
+   *
+   * @param {Object} star - Star data entry from this.stars
+   * @param {boolean} dwellMode - Whether dwell collection is active
+   * @private
+   */
+  _updateDwellRing(star, dwellMode) {
+    const ring = star.mesh.userData.dwellRing;
+    if (!ring) return;
+
+    ring.group.visible = dwellMode;
+    if (!dwellMode) return;
+
+    ring.group.rotation.z = -star.mesh.rotation.z;
+
+    const progress = this._clamp01(this._safeNumber(star.dwell, 0));
+    const visibleSegments = Math.round(progress * ring.segments);
+    ring.fill.geometry.setDrawRange(0, visibleSegments * 6);
+    ring.trackMat.opacity = 0.15 + 0.15 * progress;
+  }
+
   /**
    * Initializes the star system.
    * Clears existing stars and waits for Firebase to provide star data.
@@ -1424,7 +2067,7 @@ class WebGLFishCursor {
   }
 
   /**
-   * Spawns a single star at the given grid cell position.
+   * Spawns a single star at the given grid cell or free position.
    * Creates the mesh and initializes animation parameters.
    *
    * Each star has randomized:
@@ -1433,26 +2076,46 @@ class WebGLFishCursor {
    * - Spin speed (rotation rate)
    * - Phase offset (so stars don't animate in sync)
    *
-   * @param {Object} cell - Grid cell { row, col }
+   * With a session seed, all of these (and the mesh color) come from
+   * createRng(seed, seedKey), so every client builds an identical star and
+   * a replayed seed rebuilds it. Stars without a seed key (placed by the
+   * host) use their ID instead.
+   *
+   * Moving stars follow their path (see star-paths.js) instead of floating.
+   *
+   * @param {Object} cell - Grid cell { row, col } or normalized { x, y }
    * @param {string} id - Unique identifier for this star (from Firebase)
+   * @param {Object} [synced={}] - Synced star fields
+   * @param {Object|null} [synced.path=null] - Motion path
+   * @param {number|null} [synced.bornAt=null] - When the host created it
+   * @param {string|null} [synced.seedKey=null] - Replay-stable name of a
+   *   generated star
+   * @param {string} [synced.type="normal"] - Star type (see STAR_TYPES)
    * @private
    */
-  _spawnStarAtCell(cell, id) {
-    const mesh = this._createStarMesh();
-    const basePosition = this._gridCellToWorld(cell.row, cell.col);
+  _spawnStarAtCell(
+    cell,
+    id,
+    { path = null, bornAt = null, type = "normal", seedKey = null } = {},
+  ) {
+    const rng = this._seed ? createRng(this._seed, seedKey ?? id) : Math.random;
+    const mesh = this._createStarMesh(rng, this._getStarType(type));
+    const basePosition = this._starPlacementToWorld(cell);
 
     // Randomize animation parameters
-    const radius = this._randBetween(0.1, this.config.STAR_FLOAT_RADIUS);
+    const radius = this._randBetween(0.1, this.config.STAR_FLOAT_RADIUS, rng);
     const speed = this._randBetween(
       this.config.STAR_FLOAT_SPEED_MIN,
       this.config.STAR_FLOAT_SPEED_MAX,
+      rng,
     );
-    const depth = this._randBetween(0.2, this.config.STAR_DEPTH_RANGE);
+    const depth = this._randBetween(0.2, this.config.STAR_DEPTH_RANGE, rng);
     const spinSpeed = this._randBetween(
       this.config.STAR_SPIN_SPEED_MIN,
       this.config.STAR_SPIN_SPEED_MAX,
+      rng,
     );
-    const phase = Math.random() * Math.PI * 2; // Random start phase
+    const phase = rng() * Math.PI * 2; // Random start phase
 
     mesh.position.copy(basePosition);
     this.scene.add(mesh);
@@ -1461,8 +2124,16 @@ class WebGLFishCursor {
     this.stars.push({
       id, // Firebase ID for sync
       mesh, // THREE.Group
-      cell, // { row, col } grid position
+      cell, // { row, col } grid position or normalized { x, y }
       basePosition, // Center of float animation
+      path, // Motion path (moving targets), or null
+      bornAt, // Host creation time (ms since epoch), starts the lifetime
+      type, // Star type (size, radius, points, shy drift)
+      fleeOffset: { x: 0, y: 0 }, // Shy stars: current drift from the fish
+      magnetOffset: { x: 0, y: 0 }, // Magnet assist: current drift to the fish
+      dwell: 0, // Dwell progress 0-1 (dwell collect mode)
+      spawnedAt: performance.now(), // Reaction timing start
+      movementOnsetAt: null, // First time the fish headed toward the star
       radius, // Float wobble radius
       speed, // Float animation speed
       depth, // Z-axis wobble (unused, kept at 0)
@@ -1470,6 +2141,8 @@ class WebGLFishCursor {
       phase, // Animation phase offset
     });
     this._starCells.push(cell);
+
+    if (this.soundEngine) this.soundEngine.playStarSpawn();
   }
 
   /**
@@ -1483,7 +2156,8 @@ class WebGLFishCursor {
    * Called whenever Firebase star data changes (from host placing stars
    * or from a star being collected).
    *
-   * @param {Array<{id: string, row: number, col: number}>} firebaseStars - Star data from Firebase
+   * @param {Array<Object>} firebaseStars - Star data from Firebase
+   *   (`{ id, row, col }` grid stars or `{ id, x, y }` free stars)
    * @public
    */
   syncStarsFromFirebase(firebaseStars) {
@@ -1499,6 +2173,11 @@ class WebGLFishCursor {
     const currentIds = new Set(this.stars.map((s) => s.id));
     const newIds = new Set(firebaseStars.map((s) => s.id));
 
+    // Claims resolve once the host removes the star from Firebase
+    this._pendingClaims.forEach((id) => {
+      if (!newIds.has(id)) this._pendingClaims.delete(id);
+    });
+
     // Remove stars that are no longer in Firebase
     for (let i = this.stars.length - 1; i >= 0; i--) {
       if (!newIds.has(this.stars[i].id)) {
@@ -1509,31 +2188,148 @@ class WebGLFishCursor {
     }
 
     // Add stars that are new in Firebase
+    // (claimed stars stay hidden until the host confirms or rejects)
     firebaseStars.forEach((starData) => {
-      if (!currentIds.has(starData.id)) {
+      const isClaimed = this._pendingClaims.has(starData.id);
+      if (!currentIds.has(starData.id) && !isClaimed) {
         this._spawnStarAtCell(
-          { row: starData.row, col: starData.col },
+          this._getStarPlacement(starData),
           starData.id,
+          this._getSyncedStarFields(starData),
         );
       }
     });
 
+    // Existing stars pick up new paths (host changed motion mode or speed)
+    // and late lifetime stamps
+    const dataById = new Map(firebaseStars.map((s) => [s.id, s]));
+    this.stars.forEach((star) => {
+      const starData = dataById.get(star.id);
+      if (starData) Object.assign(star, this._getSyncedStarFields(starData));
+    });
+
     // Brief delay before collision detection to prevent instant collection
     this._collisionEnabledAt = performance.now() + 500;
   }
 
+  /**
+   * Per-star fields from Firebase that the renderer keeps on its entry.
+   *
+   * @param {Object} starData - Star from Firebase
+   * @returns {{path: Object|null, bornAt: number|null, type: string,
+   *   seedKey: string|null}}
+   * @private
+   */
+  _getSyncedStarFields(starData) {
+    return {
+      path: starData.path || null,
+      bornAt: Number.isFinite(starData.bornAt) ? starData.bornAt : null,
+      type: starData.type || "normal",
+      seedKey: typeof starData.seedKey === "string" ? starData.seedKey : null,
+    };
+  }
+
+  /**
+   * Looks up a star type definition, falling back to "normal".
+   *
+   * @param {string} type - Star type name
+   * @returns {Object} Type definition from STAR_TYPES
+   * @private
+   */
+  _getStarType(type) {
+    const types = this.config.STAR_TYPES || {};
+    return types[type] || types.normal || {};
+  }
+
+  /**
+   * Snaps a star back after the host rejected its collection claim.
+   *
+   * The claimed star may still be mid-collection or already disposed, so it
+   * is always rebuilt and then animated from the fish back to its cell
+   * ("returning" state). Stars that are still idle on screen are left alone.
+   *
+   * @param {Object} starData - Star from Firebase (grid or free)
+   * @public
+   */
+  restoreStar(starData) {
+    if (!starData) return;
+    this._pendingClaims.delete(starData.id);
+    if (!this.ready) return;
+
+    const index = this.stars.findIndex((s) => s.id === starData.id);
+    let timing = null;
+    if (index >= 0) {
+      const existing = this.stars[index];
+      if (!existing.state) return; // Still on screen, nothing to undo
+
+      // Reaction timing continues from the original appearance
+      timing = {
+        spawnedAt: existing.spawnedAt,
+        movementOnsetAt: existing.movementOnsetAt,
+      };
+      this._disposeStarMesh(existing.mesh);
+      this.stars.splice(index, 1);
+      this._starCells.splice(index, 1);
+    }
+
+    this._spawnStarAtCell(
+      this._getStarPlacement(starData),
+      starData.id,
+      this._getSyncedStarFields(starData),
+    );
+
+    const star = this.stars[this.stars.length - 1];
+    if (timing) Object.assign(star, timing);
+    star.state = "returning";
+    star.animStart = performance.now();
+    star.animDuration = 350; // ms
+    star.animStartPos = this.fish
+      ? this.fish.group.position.clone()
+      : star.basePosition.clone();
+    star.mesh.position.copy(star.animStartPos);
+    star.mesh.scale.setScalar(0.0001);
+  }
+
+  /**
+   * Releases a pending claim without restoring the star (e.g. the claim
+   * timed out and the star is gone from Firebase anyway).
+   *
+   * @param {string} starId - Claimed star ID
+   * @public
+   */
+  releaseClaim(starId) {
+    this._pendingClaims.delete(starId);
+  }
+
+  /**
+   * Plays the collect cue once the host has confirmed a collection. A star
+   * still shown here (another client collected it) flies to the fish like
+   * a local collection and stays hidden until Firebase removes it, instead
+   * of fading out with the removal cue.
+   *
+   * @param {string} starId - Collected star ID
+   * @public
+   */
+  confirmCollection(starId) {
+    const star = this.stars.find((s) => s.id === starId);
+    if (star && !star.state) {
+      this._startCollectAnimation(star);
+      this._pendingClaims.add(starId);
+    }
+    if (this.soundEngine) this.soundEngine.playStarCollect();
+  }
+
   /**
    * Updates world positions of all stars based on current grid size.
-   * Called when window resizes or grid size changes.
+   * Called when window resizes or grid size changes. Free stars only move
+   * with the viewport.
    *
    * @private
    */
   _updateStarGridPositions() {
     if (!this.stars.length) return;
     this.stars.forEach((star) => {
-      star.basePosition.copy(
-        this._gridCellToWorld(star.cell.row, star.cell.col),
-      );
+      star.basePosition.copy(this._starPlacementToWorld(star.cell));
     });
   }
 
@@ -1574,16 +2370,24 @@ class WebGLFishCursor {
    * ## Collision
    * Simple distance check between fish and star positions.
    * Only triggers collection after initial delay (_collisionEnabledAt).
+   * - Touch mode: collected on first contact
+   * - Dwell mode: contact fills a progress ring; collected when it completes
    *
    * @param {number} dt - Delta time in seconds
-   * @param {number} time - Total elapsed time in seconds
+   * @param {number} time - Total elapsed time in seconds (stars animate on
+   *   the shared session clock instead)
    * @private
    */
   _updateStars(dt, time) {
     if (!this.stars.length) return;
 
+    // Float, spin, twinkle and paths run on the shared session clock
+    // rather than the local loop time, so stars move in step on every client
+    const sharedTime = this._clock() * 0.001;
+
     // Collision radius accounts for fish size + star size
-    const collisionRadius = 0.7;
+    const collisionRadius = this.config.STAR_COLLISION_RADIUS;
+    const dwellMode = this.config.STAR_COLLECT_MODE === "dwell";
 
     // Iterate backwards for safe removal during collision
     for (let i = this.stars.length - 1; i >= 0; i--) {
@@ -1628,6 +2432,7 @@ class WebGLFishCursor {
         if (ud.outlineMat) ud.outlineMat.opacity = 0.22 * alpha;
         if (ud.glintMat) ud.glintMat.opacity = 0.75 * alpha;
         if (ud.glowMat) ud.glowMat.opacity = 0.25 * alpha;
+        if (ud.dwellRing) ud.dwellRing.group.visible = false;
 
         // Optional: brighten emissive briefly near the start
         if (ud.coreMat && ud.baseEmissive != null) {
@@ -1649,22 +2454,78 @@ class WebGLFishCursor {
       // ─────────────────────────────────────────────────
 
       // Calculate float animation offset
-      const t = time * star.speed + star.phase;
+      const t = sharedTime * star.speed + star.phase;
       const xOffset = Math.cos(t) * star.radius;
       const yOffset = Math.sin(t * 1.3) * star.radius; // Slightly faster Y cycle
+      let floatX = star.basePosition.x + xOffset;
+      let floatY = star.basePosition.y + yOffset;
+
+      // Moving targets follow their path exactly (no wobble) so the
+      // pursuit is smooth and matches the host's claim check
+      const pathPos = star.path
+        ? evaluateStarPath(star.path, sharedTime * 1000)
+        : null;
+      if (pathPos) {
+        const world = this._normalizedToWorld(pathPos.x, pathPos.y);
+        floatX = world.x;
+        floatY = world.y;
+      }
+
+      // ─────────────────────────────────────────────────
+      // SNAP-BACK ANIMATION (rejected claim)
+      // Fly from the fish back to the floating position and pop back in
+      // ─────────────────────────────────────────────────
+      if (star.state === "returning") {
+        const p = this._clamp01(
+          (performance.now() - star.animStart) / star.animDuration,
+        );
+        const tMove = this._easeOutCubic(p);
+        star.mesh.position.set(
+          star.animStartPos.x + (floatX - star.animStartPos.x) * tMove,
+          star.animStartPos.y + (floatY - star.animStartPos.y) * tMove,
+          0,
+        );
+        star.mesh.scale.setScalar(Math.max(0.0001, tMove));
+        star.mesh.rotation.z += star.spinSpeed * dt;
+
+        if (p >= 1) {
+          star.state = undefined;
+          star.mesh.scale.setScalar(1);
+        }
+        continue;
+      }
+
+      // Shy stars drift away from an approaching fish
+      const typeDef = this._getStarType(star.type);
+      if (typeDef.flee) {
+        const flee = this._updateFleeOffset(star, floatX, floatY, dt, typeDef);
+        floatX += flee.x;
+        floatY += flee.y;
+      }
+
+      // Magnet assist pulls the star toward a nearby fish
+      const magnet = this._updateMagnetOffset(star, floatX, floatY, dt);
+      floatX += magnet.x;
+      floatY += magnet.y;
 
       // Update position (base + float offset)
       star.mesh.position.set(
-        star.basePosition.x + xOffset,
-        star.basePosition.y + yOffset,
+        floatX,
+        floatY,
         0, // Same z-layer as fish for collision
       );
 
       // Spin animation
-      star.mesh.rotation.z += star.spinSpeed * dt;
+      star.mesh.rotation.z = star.phase + sharedTime * star.spinSpeed;
+
+      // Countdown shimmer: a quickening flicker and pulse before timeout
+      const countdown = this._getTimeoutProgress(star, sharedTime * 1000);
+      const flicker = countdown * Math.sin(sharedTime * (8 + 16 * countdown));
+      star.mesh.scale.setScalar(1 + 0.08 * flicker);
 
       // Twinkle effect (pulsing brightness)
-      const twinkle = 0.15 + 0.15 * Math.sin(time * 5 + star.phase);
+      const twinkle =
+        0.15 + 0.15 * Math.sin(sharedTime * 5 + star.phase) + 0.2 * flicker;
 
       // Apply twinkle to emissive materials
       star.mesh.traverse((obj) => {
@@ -1679,24 +2540,435 @@ class WebGLFishCursor {
         star.mesh.userData.glint.material.opacity = 0.5 + twinkle;
       }
       if (star.mesh.userData.glow) {
-        star.mesh.userData.glow.material.opacity = 0.15 + twinkle * 0.5;
+        star.mesh.userData.glow.material.opacity =
+          0.15 + twinkle * 0.5 + star.mesh.userData.glowBoost;
       }
 
+      // The attract-mode fish neither starts reaction timing nor collects
+      if (!this._isIdle) this._trackMovementOnset(star, dt);
+
       // Collision detection (after initial delay)
-      if (this.fish && performance.now() > this._collisionEnabledAt) {
+      if (
+        this.fish &&
+        !this._isIdle &&
+        performance.now() > this._collisionEnabledAt
+      ) {
         const fishPos = this.fish.group.position;
         const dist = fishPos.distanceTo(star.mesh.position);
-        if (dist < collisionRadius) {
+        const isOver = dist < (typeDef.radius ?? collisionRadius);
+
+        if (dwellMode) this._updateStarDwell(star, isOver, dt);
+        const isReached = dwellMode ? star.dwell >= 1 : isOver;
+
+        // Only the client with collision authority collects; the others
+        // keep the star until the host removes it from Firebase
+        if (isReached && this._isControllingFish) {
           this._collectStar(i);
+          continue;
+        }
+      }
+
+      this._updateDwellRing(star, dwellMode);
+    }
+  }
+
+  /**
+   * Eases a shy star's drift away from the fish. The push peaks when the
+   * fish is halfway into `fleeRange` and fades as it gets very close, so a
+   * steady approach still catches the star.
+   *
+   * @param {Object} star - Star entry
+   * @param {number} x - Star position without drift (world units)
+   * @param {number} y - Star position without drift (world units)
+   * @param {number} dt - Frame time in seconds
+   * @param {Object} typeDef - Star type with `flee` and `fleeRange`
+   * @returns {{x: number, y: number}} Current drift offset
+   * @private
+   */
+  _updateFleeOffset(star, x, y, dt, typeDef) {
+    let targetX = 0;
+    let targetY = 0;
+
+    if (this.fish) {
+      const range = typeDef.fleeRange ?? 2.5;
+      const dx = x - this.fish.group.position.x;
+      const dy = y - this.fish.group.position.y;
+      const dist = Math.hypot(dx, dy);
+      if (dist > 1e-6 && dist < range) {
+        const t = dist / range;
+        const push = typeDef.flee * 4 * t * (1 - t);
+        targetX = (dx / dist) * push;
+        targetY = (dy / dist) * push;
+      }
+    }
+
+    const ease = this._clamp01(dt * 3);
+    star.fleeOffset.x += (targetX - star.fleeOffset.x) * ease;
+    star.fleeOffset.y += (targetY - star.fleeOffset.y) * ease;
+    return star.fleeOffset;
+  }
+
+  /**
+   * Strength of the magnet pull on something `dist` away from its target:
+   * full strength up close, fading to nothing at MAGNET_RADIUS.
+   *
+   * @param {number} dist - Fish-to-star distance (world units)
+   * @returns {number} Pull distance (world units), at most MAGNET_MAX_PULL
+   * @private
+   */
+  _getMagnetPull(dist) {
+    const strength = this.config.MAGNET_STRENGTH;
+    const range = this.config.MAGNET_RADIUS;
+    if (!(strength > 0) || !(range > 0) || dist >= range) return 0;
+
+    const t = dist / range;
+    const falloff = 1 - t * t;
+    return Math.min(dist, this.config.MAGNET_MAX_PULL) * strength * falloff;
+  }
+
+  /**
+   * Eases a star's magnet drift toward the fish. Only used when
+   * MAGNET_TARGET is "star"; otherwise the drift relaxes back to zero.
+   *
+   * @param {Object} star - Star entry
+   * @param {number} x - Star position without drift (world units)
+   * @param {number} y - Star position without drift (world units)
+   * @param {number} dt - Frame time in seconds
+   * @returns {{x: number, y: number}} Current drift offset
+   * @private
+   */
+  _updateMagnetOffset(star, x, y, dt) {
+    let targetX = 0;
+    let targetY = 0;
+
+    if (this.fish && !this._isIdle && this.config.MAGNET_TARGET === "star") {
+      const dx = this.fish.group.position.x - x;
+      const dy = this.fish.group.position.y - y;
+      const dist = Math.hypot(dx, dy);
+      const pull = dist > 1e-6 ? this._getMagnetPull(dist) : 0;
+      targetX = pull > 0 ? (dx / dist) * pull : 0;
+      targetY = pull > 0 ? (dy / dist) * pull : 0;
+    }
+
+    const ease = this._clamp01(dt * 4);
+    star.magnetOffset.x += (targetX - star.magnetOffset.x) * ease;
+    star.magnetOffset.y += (targetY - star.magnetOffset.y) * ease;
+    return star.magnetOffset;
+  }
+
+  /**
+   * Pulls the fish's target position toward the nearest star in
+   * MAGNET_RADIUS when MAGNET_TARGET is "fish". The fish's own follow
+   * easing smooths the pull.
+   *
+   * @param {THREE.Vector3} targetPos - Fish target from the pointer (modified)
+   * @private
+   */
+  _applyFishMagnet(targetPos) {
+    if (this.config.MAGNET_TARGET !== "fish") return;
+    if (!(this.config.MAGNET_STRENGTH > 0)) return;
+
+    let nearest = null;
+    let nearestDist = Infinity;
+    this.stars.forEach((star) => {
+      if (star.state) return; // Collected, removing or snapping back
+      const dist = targetPos.distanceTo(star.mesh.position);
+      if (dist < nearestDist) {
+        nearest = star;
+        nearestDist = dist;
+      }
+    });
+    if (!nearest || nearestDist <= 1e-6) return;
+
+    const pull = this._getMagnetPull(nearestDist);
+    if (pull <= 0) return;
+    const p = nearest.mesh.position;
+    targetPos.x += ((p.x - targetPos.x) / nearestDist) * pull;
+    targetPos.y += ((p.y - targetPos.y) / nearestDist) * pull;
+  }
+
+  /**
+   * Tracks attract mode. Without a controller for IDLE_DELAY_MS the fish
+   * starts swimming on its own from where it stopped; `_idleTarget` eases
+   * toward the current behavior's goal. When a pointer returns,
+   * `_idleBlend` fades from 1 to 0 over IDLE_BLEND_MS so the fish glides
+   * over to the pointer instead of snapping.
+   *
+   * @param {boolean} hasController - Whether a pointer controls the fish
+   * @param {number} now - performance.now() of this frame
+   * @param {number} dt - Frame time in seconds
+   * @private
+   */
+  _updateIdleState(hasController, now, dt) {
+    const { IDLE_ENABLED, IDLE_DELAY_MS, IDLE_BLEND_MS } = this.config;
+
+    if (hasController || !IDLE_ENABLED) {
+      this._lastControlledAt = now;
+      this._isIdle = false;
+      this._idleBlend =
+        IDLE_BLEND_MS > 0
+          ? Math.max(0, this._idleBlend - (dt * 1000) / IDLE_BLEND_MS)
+          : 0;
+      return;
+    }
+
+    if (!this._isIdle) {
+      if (now - this._lastControlledAt < IDLE_DELAY_MS) return;
+      this._isIdle = true;
+      this._idleTarget = this.fish.group.position.clone();
+    }
+    this._idleBlend = 1;
+
+    const goal = this._getIdleGoal(Date.now());
+    const ease = this._clamp01(dt * 1.5);
+    this._idleTarget.x += (goal.x - this._idleTarget.x) * ease;
+    this._idleTarget.y += (goal.y - this._idleTarget.y) * ease;
+  }
+
+  /**
+   * Where the attract-mode fish is heading. Behaviors take turns every
+   * IDLE_PHASE_MS on the wall clock:
+   * - `wander`: a slow looping path across the screen
+   * - `circle`: orbit one of the stars at IDLE_ORBIT_RADIUS
+   * - `nudge`: hover just short of the nearest star, bobbing toward it
+   * Without stars the fish always wanders.
+   *
+   * @param {number} nowMs - Current time (ms since epoch)
+   * @returns {{x: number, y: number}} Goal in world units
+   * @private
+   */
+  _getIdleGoal(nowMs) {
+    const t = nowMs / 1000;
+    const phase = Math.floor(nowMs / this.config.IDLE_PHASE_MS);
+    const stars = this.stars.filter((star) => !star.state);
+    const behavior = stars.length
+      ? IDLE_BEHAVIORS[phase % IDLE_BEHAVIORS.length]
+      : "wander";
+
+    if (behavior === "circle") {
+      const center = stars[phase % stars.length].mesh.position;
+      const r = this.config.IDLE_ORBIT_RADIUS;
+      return {
+        x: center.x + r * Math.cos(t * 0.9),
+        y: center.y + r * Math.sin(t * 0.9),
+      };
+    }
+
+    if (behavior === "nudge") {
+      const fishPos = this.fish.group.position;
+      let nearest = stars[0].mesh.position;
+      stars.forEach((star) => {
+        const pos = star.mesh.position;
+        if (fishPos.distanceTo(pos) < fishPos.distanceTo(nearest)) {
+          nearest = pos;
         }
+      });
+
+      const dx = fishPos.x - nearest.x;
+      const dy = fishPos.y - nearest.y;
+      const dist = Math.hypot(dx, dy) || 1;
+      const standOff =
+        this.config.IDLE_NUDGE_DISTANCE * (1 + 0.2 * Math.sin(t * 2.5));
+      return {
+        x: nearest.x + (dx / dist) * standOff,
+        y: nearest.y + (dy / dist) * standOff,
+      };
+    }
+
+    // Wander: two sines per axis give a loop that never quite repeats
+    const x = 0.5 + 0.32 * Math.sin(t * 0.29) + 0.08 * Math.sin(t * 0.83 + 1.3);
+    const y = 0.5 + 0.28 * Math.sin(t * 0.37 + 0.7) + 0.06 * Math.sin(t * 1.1);
+    return this._normalizedToWorld(x, y);
+  }
+
+  /**
+   * Moves the scan highlight ring onto the highlighted cell (tracking grid
+   * and window size changes) and pulses it.
+   *
+   * @param {number} time - Total elapsed time in seconds
+   * @private
+   */
+  _updateScanHighlight(time) {
+    if (!this._scanCell) {
+      if (this._scanRing) this._scanRing.visible = false;
+      return;
+    }
+
+    if (!this._scanRing) {
+      const material = new this.THREE.MeshBasicMaterial({
+        color: new this.THREE.Color(this.config.SCAN_HIGHLIGHT_COLOR),
+        transparent: true,
+        opacity: 0.85,
+        depthWrite: false,
+      });
+      this._scanRing = new this.THREE.Mesh(
+        new this.THREE.RingGeometry(0.95, 1.1, 48),
+        material,
+      );
+      this.scene.add(this._scanRing);
+    }
+
+    const pos = this._gridCellToWorld(this._scanCell.row, this._scanCell.col);
+    this._scanRing.position.set(pos.x, pos.y, -0.2); // Behind the star
+    this._scanRing.scale.setScalar(1 + 0.08 * Math.sin(time * 6));
+    this._scanRing.visible = true;
+  }
+
+  /**
+   * Positions the pointer ghost and its trail. Uses the raw sample
+   * (before input filters) so the overlay shows what the device reports.
+   * Hidden while the pointer is inactive.
+   *
+   * @param {number} now - Current time (performance.now())
+   * @private
+   */
+  _updatePointerGhost(now) {
+    const pointer = this._ghostRole
+      ? this.inputManager.getPointer(this._ghostRole)
+      : null;
+    if (!pointer || now - pointer.lastSeen >= INACTIVE_TIMEOUT_MS) {
+      this._ghostTrail = [];
+      if (this._ghostGroup) this._ghostGroup.visible = false;
+      return;
+    }
+
+    if (!this._ghostGroup) this._createPointerGhost();
+
+    const x = this._safeNumber(pointer.rawX, pointer.x);
+    const y = this._safeNumber(pointer.rawY, pointer.y);
+    const trailMs = this.config.POINTER_GHOST_TRAIL_MS;
+    const last = this._ghostTrail[this._ghostTrail.length - 1];
+    if (!last || last.x !== x || last.y !== y) {
+      this._ghostTrail.push({ x, y, at: now });
+    }
+    while (this._ghostTrail.length && now - this._ghostTrail[0].at > trailMs) {
+      this._ghostTrail.shift();
+    }
+
+    const [head, ...dots] = this._ghostGroup.children;
+    head.position.copy(this._normalizedToWorld(x, y));
+    head.position.z = 0.3; // Overlay: in front of the fish and stars
+
+    // Spread the dots evenly over the stored samples, newest first
+    const samples = this._ghostTrail;
+    dots.forEach((dot, i) => {
+      const index = Math.round(
+        (samples.length - 1) * (1 - (i + 1) / dots.length),
+      );
+      const sample = samples[index];
+      const fade = sample ? 1 - (now - sample.at) / trailMs : 0;
+      if (!sample || fade <= 0 || sample === samples[samples.length - 1]) {
+        dot.visible = false;
+        return;
       }
+      dot.position.copy(this._normalizedToWorld(sample.x, sample.y));
+      dot.position.z = 0.25;
+      dot.scale.setScalar(0.4 + 0.6 * fade);
+      dot.material.opacity = 0.35 * fade;
+      dot.visible = true;
+    });
+
+    this._ghostGroup.visible = true;
+  }
+
+  /**
+   * Builds the ghost meshes: one head plus POINTER_GHOST_TRAIL_DOTS dots
+   * sharing a geometry (each has its own material for the fade).
+   * @private
+   */
+  _createPointerGhost() {
+    const color = new this.THREE.Color(this.config.POINTER_GHOST_COLOR);
+    const size = this.config.POINTER_GHOST_SIZE;
+    const makeMaterial = (opacity) =>
+      new this.THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity,
+        depthWrite: false,
+      });
+
+    this._ghostGroup = new this.THREE.Group();
+    this._ghostGroup.add(
+      new this.THREE.Mesh(
+        new this.THREE.CircleGeometry(size, 32),
+        makeMaterial(0.45),
+      ),
+    );
+
+    const dotGeometry = new this.THREE.CircleGeometry(size * 0.45, 16);
+    for (let i = 0; i < this.config.POINTER_GHOST_TRAIL_DOTS; i++) {
+      this._ghostGroup.add(new this.THREE.Mesh(dotGeometry, makeMaterial(0)));
     }
+    this.scene.add(this._ghostGroup);
+  }
+
+  /**
+   * How far a star is into its countdown shimmer.
+   *
+   * @param {Object} star - Star entry
+   * @param {number} nowMs - Current time (ms since epoch)
+   * @returns {number} 0 outside the shimmer window, rising to 1 at timeout
+   * @private
+   */
+  _getTimeoutProgress(star, nowMs) {
+    const lifetime = this.config.STAR_LIFETIME_MS;
+    const shimmerMs = this.config.STAR_TIMEOUT_SHIMMER_MS;
+    if (!(lifetime > 0) || !(shimmerMs > 0) || star.bornAt === null) return 0;
+
+    const remaining = star.bornAt + lifetime - nowMs;
+    return this._clamp01(1 - remaining / shimmerMs);
+  }
+
+  /**
+   * Records the first moment the fish swims toward a star: fast enough
+   * (REACTION_MOVE_SPEED_MIN) and heading at it (REACTION_HEADING_COS).
+   *
+   * @param {Object} star - Star entry
+   * @param {number} dt - Frame time in seconds
+   * @private
+   */
+  _trackMovementOnset(star, dt) {
+    if (star.movementOnsetAt !== null || !this.fish || dt <= 0) return;
+
+    const velocity = this.fish.velocity;
+    const moved = velocity.length();
+    if (moved / dt < this.config.REACTION_MOVE_SPEED_MIN) return;
+
+    const toStar = star.mesh.position.clone().sub(this.fish.group.position);
+    const distance = toStar.length();
+    if (distance === 0) return;
+
+    const heading = velocity.dot(toStar) / (moved * distance);
+    if (heading >= this.config.REACTION_HEADING_COS) {
+      star.movementOnsetAt = performance.now();
+    }
+  }
+
+  /**
+   * Reaction timings for a star, measured from when it appeared.
+   *
+   * @param {Object} star - Star entry
+   * @param {number} collectedAt - performance.now() at collection
+   * @returns {{reactionTimeMs: number, movementOnsetMs: number|null}}
+   *   Time to collect, and time until the fish first moved toward the star
+   *   (null if it never clearly did, e.g. the star appeared under the fish)
+   * @private
+   */
+  _getReactionTimes(star, collectedAt) {
+    return {
+      reactionTimeMs: Math.round(collectedAt - star.spawnedAt),
+      movementOnsetMs:
+        star.movementOnsetAt === null
+          ? null
+          : Math.round(star.movementOnsetAt - star.spawnedAt),
+    };
   }
 
   /**
    * Starts the star collection animation (gameplay event).
    * Visual: Pop, fade, and fly toward the fish.
    * Logic: Triggers onStarCollected callback (updates score etc).
+   * Only the client with collision authority collects.
    *
    * @param {number} index - Index of collected star in this.stars array
    * @private
@@ -1707,16 +2979,34 @@ class WebGLFishCursor {
     const star = this.stars[index];
     if (star.state) return; // Already animating (collected or removing)
 
-    // Set state
+    // The collect cue waits for the host's confirmation (confirmCollection)
+    this._startCollectAnimation(star);
+
+    // Trigger gameplay logic: report a claim (with fish position in
+    // normalized space and reaction timings) for the host to confirm or reject
+    if (typeof this.onStarCollected === "function") {
+      this._pendingClaims.add(star.id);
+      const fishPos = this._worldToNormalized(this.fish.group.position);
+      this.onStarCollected(star.id, {
+        x: fishPos.x,
+        y: fishPos.y,
+        ...this._getReactionTimes(star, star.animStart),
+      });
+    }
+  }
+
+  /**
+   * Puts a star into the "collected" animation: pop, fade and fly toward
+   * the fish.
+   *
+   * @param {Object} star - Star entry
+   * @private
+   */
+  _startCollectAnimation(star) {
     star.state = "collected";
     star.animStart = performance.now();
     star.animDuration = 260; // ms
     star.animStartPos = star.mesh.position.clone();
-
-    // Trigger gameplay logic
-    if (this._isControllingFish && typeof this.onStarCollected === "function") {
-      this.onStarCollected(star.id);
-    }
   }
 
   /**
@@ -1731,13 +3021,16 @@ class WebGLFishCursor {
     if (index < 0 || index >= this.stars.length) return;
 
     const star = this.stars[index];
-    if (star.state) return; // Already animating
+    // Already animating (a star snapping back can still be removed)
+    if (star.state && star.state !== "returning") return;
 
     // Set state
     star.state = "removing";
     star.animStart = performance.now();
     star.animDuration = 260; // ms
     star.animStartPos = star.mesh.position.clone();
+
+    if (this.soundEngine) this.soundEngine.playStarRemove();
   }
 
   /**
@@ -1784,10 +3077,29 @@ class WebGLFishCursor {
 
     this.flyingParticles.forEach((particle) => this.scene.remove(particle));
     this.flyingParticles = [];
+    this.confettiParticles.forEach((particle) => this.scene.remove(particle));
+    this.confettiParticles = [];
     this.waitingParticles = [];
 
     this._clearStars();
 
+    if (this._scanRing) {
+      this.scene.remove(this._scanRing);
+      this._scanRing.geometry.dispose();
+      this._scanRing.material.dispose();
+      this._scanRing = null;
+    }
+
+    if (this._ghostGroup) {
+      this.scene.remove(this._ghostGroup);
+      const [head, ...dots] = this._ghostGroup.children;
+      head.geometry.dispose();
+      head.material.dispose();
+      if (dots.length) dots[0].geometry.dispose();
+      dots.forEach((dot) => dot.material.dispose());
+      this._ghostGroup = null;
+    }
+
     this.renderer.dispose();
     this.canvas.remove();
   }
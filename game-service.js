@@ -15,6 +15,175 @@
  * @module GameService
  */
 
+import {
+  getPlayAreaBounds,
+  gridCellToNormalized,
+} from "./coordinate-space.js";
+import { FILTER_PROFILES, validateFilterProfile } from "./input-filters.js";
+import { createRng, normalizeSeed } from "./prng.js";
+import {
+  PATH_TYPES,
+  createStarPath,
+  evaluateStarPath,
+  isValidPath,
+} from "./star-paths.js";
+
+/**
+ * Collection modes supported by the renderer
+ * - touch: star is collected the moment the fish reaches it
+ * - dwell: fish must stay over the star for the dwell time
+ * @type {string[]}
+ */
+const COLLECT_MODES = ["touch", "dwell"];
+
+/**
+ * Star placement modes for the host
+ * - grid: stars snap to cell centers via the star control grid
+ * - free: stars sit at any normalized (x, y) clicked on the play area
+ * @type {string[]}
+ */
+const PLACEMENT_MODES = ["grid", "free"];
+
+/** Normalized distance within which a free-placement click hits a star */
+const FREE_STAR_HIT_RADIUS = 0.05;
+
+/**
+ * Dwell times (ms) the host can step through from the sidebar
+ * @type {number[]}
+ */
+const DWELL_TIME_PRESETS_MS = [500, 1000, 1500, 2000, 3000];
+
+/**
+ * Volume levels (0-1) the host can step through from the sidebar
+ * @type {number[]}
+ */
+const VOLUME_PRESETS = [0.25, 0.5, 0.75, 1];
+
+/**
+ * Star motion modes: "still" (float in place) or one of the path types
+ * @type {string[]}
+ */
+const MOTION_MODES = ["still", ...PATH_TYPES];
+
+/**
+ * Moving-target speeds (normalized screen units per second) the host can
+ * step through from the sidebar
+ * @type {number[]}
+ */
+const TARGET_SPEED_PRESETS = [0.05, 0.1, 0.2, 0.35];
+
+/**
+ * Magnet aim-assist strengths the host can step through; 0 = off
+ * @type {number[]}
+ */
+const MAGNET_STRENGTH_PRESETS = [0, 0.25, 0.5, 0.75, 1];
+
+/**
+ * Co-control (hand-over-hand) weights the host can step through: the
+ * host pointer's share of the blended fish target; 0 = off
+ * @type {number[]}
+ */
+const CO_CONTROL_WEIGHT_PRESETS = [0, 0.25, 0.5, 0.75];
+
+/**
+ * Switch-scanning rates (ms per highlighted cell) the host can step
+ * through; 0 = scanning off
+ * @type {number[]}
+ */
+const SCAN_INTERVAL_PRESETS_MS = [0, 1000, 1500, 2000, 3000];
+
+/** Accepted range for a synced scan interval (ms) */
+const SCAN_INTERVAL_MIN_MS = 300;
+const SCAN_INTERVAL_MAX_MS = 10000;
+
+/**
+ * Star lifetimes (ms) the host can step through; 0 = stars never time out
+ * @type {number[]}
+ */
+const STAR_LIFETIME_PRESETS_MS = [0, 5000, 10000, 20000, 30000];
+
+/**
+ * What happens to a star nobody collected within its lifetime
+ * @type {string[]}
+ */
+const TIMEOUT_ACTIONS = ["relocate", "disappear"];
+
+/**
+ * Round goals the host can step through; null = free play (no goal)
+ * @type {Array<{type: string, value: number}|null>}
+ */
+const ROUND_GOAL_PRESETS = [
+  null,
+  { type: "stars", value: 10 },
+  { type: "stars", value: 20 },
+  { type: "time", value: 60000 },
+  { type: "time", value: 120000 },
+];
+
+/** Accepted ranges for synced round goals */
+const ROUND_GOAL_LIMITS = {
+  stars: { min: 1, max: 100 },
+  time: { min: 5000, max: 3600000 },
+};
+
+/**
+ * Turn-taking rules the host can step through; null = no turns (normal
+ * control). A turn ends after `value` collected stars or `value` ms.
+ * @type {Array<{type: string, value: number}|null>}
+ */
+const TURN_RULE_PRESETS = [
+  null,
+  { type: "stars", value: 1 },
+  { type: "time", value: 15000 },
+  { type: "time", value: 30000 },
+];
+
+/** Accepted ranges for synced turn rules */
+const TURN_RULE_LIMITS = {
+  stars: { min: 1, max: 20 },
+  time: { min: 5000, max: 300000 },
+};
+
+/**
+ * Star types used when none are configured: every star is worth 1 point
+ * @type {Object<string, {points: number, weight: number}>}
+ */
+const DEFAULT_STAR_TYPES = { normal: { points: 1, weight: 1 } };
+
+/**
+ * Default star geometry in world units (mirrors STAR_COLLISION_RADIUS,
+ * STAR_FLOAT_RADIUS and MAGNET_MAX_PULL in the config) and the visible
+ * half-height of the scene, which is the same on every screen
+ */
+const DEFAULT_STAR_GEOMETRY = {
+  collisionRadius: 0.7,
+  floatRadius: 0.35,
+  magnetMaxPull: 0.5,
+  viewHalfHeight: 15 * Math.tan((22.5 * Math.PI) / 180),
+};
+
+/** Default upper bound for grid rows and columns */
+const DEFAULT_MAX_GRID_SIZE = 6;
+
+/** Highest point value accepted from a single score event */
+const MAX_EVENT_POINTS = 100;
+
+/** Longest accepted star lifetime (ms) */
+const STAR_LIFETIME_MAX_MS = 120000;
+
+/** Lower/upper bounds for a synced dwell time (ms) */
+const DWELL_TIME_MIN_MS = 200;
+const DWELL_TIME_MAX_MS = 10000;
+
+/**
+ * Collection claim limits. The fish-to-star check is in world units (see
+ * getClaimStarTolerance); the pointer tolerance is a fraction of the
+ * viewport and allows for the fish trailing the pointer.
+ */
+const CLAIM_STAR_SLACK = 0.25;
+const CLAIM_POINTER_TOLERANCE = 0.35;
+const CLAIM_POINTER_MAX_AGE_MS = 3000;
+
 /**
  * GameService - Pure game logic service layer
  * 
@@ -22,7 +191,16 @@
  * - Star generation and management
  * - Score calculation
  * - Game mode rules
- * - Grid size validation
+ * - Grid row/column validation
+ * - Collection mode and dwell time validation
+ * - Free (normalized x, y) star placement
+ * - Seeded, reproducible star generation
+ * - Moving-target paths
+ * - Star lifetime and timeout (relocate or disappear)
+ * - Rounds with star-count or time goals
+ * - Star types and their score values
+ * - Collection claim validation
+ * - Sound volume validation
  * 
  * @class
  */
@@ -33,11 +211,45 @@ class GameService {
    * @constructor
    * @param {Object} [initialState={}] - Initial game state
    * @param {number} [initialState.score=0] - Starting score
-   * @param {number} [initialState.gridSize=4] - Grid dimension (1-4)
+   * @param {number} [initialState.maxGridSize=6] - Upper bound for rows and columns
+   * @param {Object<string, Object>} [initialState.starTypes] - Star types
+   *   `{ [type]: { points, weight, radius } }` (see STAR_TYPES in the config)
+   * @param {Object} [initialState.starGeometry] - World-unit sizes used to
+   *   check claims `{ collisionRadius, floatRadius, magnetMaxPull,
+   *   viewHalfHeight }`
+   * @param {number} [initialState.gridRows=4] - Grid rows (1-maxGridSize)
+   * @param {number} [initialState.gridCols=4] - Grid columns (1-maxGridSize)
    * @param {boolean} [initialState.isMultiplayerMode=false] - Game mode
    * @param {Array} [initialState.stars=[]] - Initial stars array
+   * @param {string} [initialState.collectMode="touch"] - "touch" or "dwell"
+   * @param {number} [initialState.dwellTimeMs=1500] - Dwell time in milliseconds
+   * @param {string} [initialState.placementMode="grid"] - "grid" or "free"
+   * @param {string|null} [initialState.seed=null] - Session seed (null = unseeded)
+   * @param {string} [initialState.motionMode="still"] - "still" or a path type
+   * @param {number} [initialState.targetSpeed=0.1] - Moving-target speed
+   * @param {number} [initialState.magnetStrength=0] - Magnet assist (0-1)
+   * @param {number} [initialState.coControlWeight=0] - Host share of the
+   *   co-control blend (0 = off)
+   * @param {Object} [initialState.inputFilters] - Filter profile per real
+   *   identity `{ host, participant }`
+   * @param {number} [initialState.scanIntervalMs=0] - Switch scan rate (0 = off)
+   * @param {number} [initialState.starLifetimeMs=0] - Star lifetime (0 = off)
+   * @param {string} [initialState.timeoutAction="relocate"] - Timeout action
+   * @param {Object} [initialState.round] - Current round record
+   * @param {Object|null} [initialState.turn=null] - Current turn record
+   * @param {Function} [initialState.now=Date.now] - Clock for synced
+   *   timestamps (path starts, lifetimes, rounds, turns); pass the shared
+   *   clock so every client agrees on them
    */
   constructor(initialState = {}) {
+    /**
+     * Time source for synced timestamps (ms since epoch)
+     * @type {Function}
+     * @private
+     */
+    this._now =
+      typeof initialState.now === "function" ? initialState.now : Date.now;
+
     /**
      * Current game score
      * @type {number}
@@ -45,10 +257,56 @@ class GameService {
     this.score = initialState.score ?? 0;
 
     /**
-     * Grid dimension (1-4)
+     * Score carried over from before score events (the legacy `score` key)
+     * @type {number}
+     */
+    this.baseScore = initialState.score ?? 0;
+
+    /**
+     * Counted score events keyed by collected star ID
+     * @type {Object<string, {points: number, by: string, at: number}>}
+     */
+    this.scoreEvents = {};
+
+    /**
+     * Upper bound for grid rows and columns
+     * @type {number}
+     */
+    this.maxGridSize = Math.max(
+      1,
+      Math.round(Number(initialState.maxGridSize) || DEFAULT_MAX_GRID_SIZE),
+    );
+
+    /**
+     * Star types keyed by name; "normal" is always present
+     * @type {Object<string, {points: number, weight: number}>}
+     */
+    this.starTypes = {
+      ...DEFAULT_STAR_TYPES,
+      ...(initialState.starTypes || {}),
+    };
+
+    /**
+     * Star geometry for claim checks (world units)
+     * @type {{collisionRadius: number, floatRadius: number,
+     *   magnetMaxPull: number, viewHalfHeight: number}}
+     */
+    this.starGeometry = {
+      ...DEFAULT_STAR_GEOMETRY,
+      ...(initialState.starGeometry || {}),
+    };
+
+    /**
+     * Grid rows (1-maxGridSize)
+     * @type {number}
+     */
+    this.gridRows = this.validateGridSize(initialState.gridRows ?? 4);
+
+    /**
+     * Grid columns (1-maxGridSize)
      * @type {number}
      */
-    this.gridSize = this.validateGridSize(initialState.gridSize ?? 4);
+    this.gridCols = this.validateGridSize(initialState.gridCols ?? 4);
 
     /**
      * Whether multiplayer mode is active
@@ -56,90 +314,1175 @@ class GameService {
      */
     this.isMultiplayerMode = initialState.isMultiplayerMode ?? false;
 
-    /**
-     * Current stars array
-     * @type {Array<{id: string, row: number, col: number}>}
-     */
-    this.stars = initialState.stars ?? [];
+    /**
+     * Current stars array
+     * Grid stars carry `row`/`col`; free stars carry normalized `x`/`y`.
+     * @type {Array<{id: string, row?: number, col?: number, x?: number, y?: number}>}
+     */
+    this.stars = initialState.stars ?? [];
+
+    /**
+     * Counter mixed into star IDs so IDs created in the same millisecond differ
+     * @type {number}
+     * @private
+     */
+    this._starIdCounter = 0;
+
+    /**
+     * How stars are collected ("touch" or "dwell")
+     * @type {string}
+     */
+    this.collectMode = this.validateCollectMode(initialState.collectMode);
+
+    /**
+     * Time the fish must stay over a star in dwell mode (ms)
+     * @type {number}
+     */
+    this.dwellTimeMs = this.validateDwellTime(initialState.dwellTimeMs);
+
+    /**
+     * How the host places stars ("grid" or "free")
+     * @type {string}
+     */
+    this.placementMode = this.validatePlacementMode(initialState.placementMode);
+
+    /**
+     * Session seed; star generation derives from seed + generation number
+     * @type {string|null}
+     */
+    this.seed = normalizeSeed(initialState.seed);
+
+    /**
+     * How new stars move ("still" or a path type)
+     * @type {string}
+     */
+    this.motionMode = this.validateMotionMode(initialState.motionMode);
+
+    /**
+     * Moving-target speed (normalized units per second)
+     * @type {number}
+     */
+    this.targetSpeed = this.validateTargetSpeed(initialState.targetSpeed);
+
+    /**
+     * Magnet aim-assist strength (0 = off, 1 = strongest)
+     * @type {number}
+     */
+    this.magnetStrength = this.validateMagnetStrength(
+      initialState.magnetStrength,
+    );
+
+    /**
+     * Co-control weight: host pointer's share of the fish target
+     * (0 = off, 1 = host only)
+     * @type {number}
+     */
+    this.coControlWeight = this.validateCoControlWeight(
+      initialState.coControlWeight,
+    );
+
+    /**
+     * Input filter profile for each real identity
+     * @type {{host: string, participant: string}}
+     */
+    this.inputFilters = this.validateInputFilters(initialState.inputFilters);
+
+    /**
+     * Switch-scanning rate (ms per highlighted cell, 0 = off)
+     * @type {number}
+     */
+    this.scanIntervalMs = this.validateScanInterval(
+      initialState.scanIntervalMs,
+    );
+
+    /**
+     * How long a star waits to be collected (ms, 0 = forever)
+     * @type {number}
+     */
+    this.starLifetimeMs = this.validateStarLifetime(
+      initialState.starLifetimeMs,
+    );
+
+    /**
+     * What happens to a star at timeout ("relocate" or "disappear")
+     * @type {string}
+     */
+    this.timeoutAction = this.validateTimeoutAction(
+      initialState.timeoutAction,
+    );
+
+    /**
+     * Current round `{ number, goal, startedAt, completedAt }`
+     * @type {Object}
+     */
+    this.round = this.validateRound(initialState.round);
+
+    /**
+     * Current turn `{ rule, holder, number, startedAt }`, or null when
+     * turn-taking is off
+     * @type {Object|null}
+     */
+    this.turn = this.validateTurn(initialState.turn);
+  }
+
+  /**
+   * Validates and clamps one grid dimension (rows or columns) to 1-maxGridSize
+   * 
+   * @param {number} size - Grid dimension to validate
+   * @returns {number} Validated dimension, 4 (capped at max) if unusable
+   */
+  validateGridSize(size) {
+    const n = Number(size);
+    if (!Number.isFinite(n)) return Math.min(4, this.maxGridSize);
+    return Math.max(1, Math.min(this.maxGridSize, Math.round(n)));
+  }
+
+  /**
+   * Validates a placement mode, falling back to "grid"
+   * 
+   * @param {string} mode - Placement mode to validate
+   * @returns {string} "grid" or "free"
+   */
+  validatePlacementMode(mode) {
+    return PLACEMENT_MODES.includes(mode) ? mode : "grid";
+  }
+
+  /**
+   * Validates a collection mode, falling back to "touch"
+   * 
+   * @param {string} mode - Collection mode to validate
+   * @returns {string} "touch" or "dwell"
+   */
+  validateCollectMode(mode) {
+    return COLLECT_MODES.includes(mode) ? mode : "touch";
+  }
+
+  /**
+   * Validates and clamps a dwell time to the allowed range
+   * 
+   * @param {number} ms - Dwell time in milliseconds
+   * @returns {number} Dwell time rounded to 100ms, or 1500 if invalid
+   */
+  validateDwellTime(ms) {
+    const n = Number(ms);
+    if (!Number.isFinite(n)) return 1500;
+    const clamped = Math.max(DWELL_TIME_MIN_MS, Math.min(DWELL_TIME_MAX_MS, n));
+    return Math.round(clamped / 100) * 100;
+  }
+
+  /**
+   * Returns the dwell preset following the current one (wraps around).
+   * Values between presets advance to the next larger preset.
+   * 
+   * @param {number} currentMs - Current dwell time
+   * @returns {number} Next dwell time preset
+   */
+  getNextDwellTime(currentMs) {
+    const current = this.validateDwellTime(currentMs);
+    const next = DWELL_TIME_PRESETS_MS.find((preset) => preset > current);
+    return next ?? DWELL_TIME_PRESETS_MS[0];
+  }
+
+  /**
+   * Validates a sound volume, clamped to 0-1
+   * 
+   * @param {number} volume - Volume to validate
+   * @returns {number} Volume 0-1, or 0.75 if invalid
+   */
+  validateVolume(volume) {
+    const n = Number(volume);
+    if (!Number.isFinite(n)) return 0.75;
+    return Math.max(0, Math.min(1, n));
+  }
+
+  /**
+   * Returns the volume preset following the current one (wraps around)
+   * 
+   * @param {number} currentVolume - Current volume 0-1
+   * @returns {number} Next volume preset
+   */
+  getNextVolume(currentVolume) {
+    const current = this.validateVolume(currentVolume);
+    const next = VOLUME_PRESETS.find((preset) => preset > current + 1e-6);
+    return next ?? VOLUME_PRESETS[0];
+  }
+
+  /**
+   * Validates a motion mode, falling back to "still"
+   * 
+   * @param {string} mode - Motion mode to validate
+   * @returns {string} "still" or a path type
+   */
+  validateMotionMode(mode) {
+    return MOTION_MODES.includes(mode) ? mode : "still";
+  }
+
+  /**
+   * Returns the motion mode following the current one (wraps around)
+   * 
+   * @param {string} currentMode - Current motion mode
+   * @returns {string} Next motion mode
+   */
+  getNextMotionMode(currentMode) {
+    const index = MOTION_MODES.indexOf(this.validateMotionMode(currentMode));
+    return MOTION_MODES[(index + 1) % MOTION_MODES.length];
+  }
+
+  /**
+   * Validates a moving-target speed, falling back to 0.1
+   * 
+   * @param {number} speed - Speed in normalized units per second
+   * @returns {number} Speed clamped to the preset range
+   */
+  validateTargetSpeed(speed) {
+    const n = Number(speed);
+    if (speed == null || !Number.isFinite(n)) return 0.1;
+    const min = TARGET_SPEED_PRESETS[0];
+    const max = TARGET_SPEED_PRESETS[TARGET_SPEED_PRESETS.length - 1];
+    return Math.max(min, Math.min(max, n));
+  }
+
+  /**
+   * Returns the speed preset following the current one (wraps around)
+   * 
+   * @param {number} currentSpeed - Current speed
+   * @returns {number} Next speed preset
+   */
+  getNextTargetSpeed(currentSpeed) {
+    const current = this.validateTargetSpeed(currentSpeed);
+    const next = TARGET_SPEED_PRESETS.find((preset) => preset > current + 1e-6);
+    return next ?? TARGET_SPEED_PRESETS[0];
+  }
+
+  /**
+   * Validates a magnet assist strength, falling back to 0 (off)
+   * 
+   * @param {number} strength - Strength from 0 to 1
+   * @returns {number} Strength clamped to 0-1
+   */
+  validateMagnetStrength(strength) {
+    const n = Number(strength);
+    if (strength == null || !Number.isFinite(n)) return 0;
+    return Math.max(0, Math.min(1, n));
+  }
+
+  /**
+   * Returns the magnet strength preset following the current one (wraps
+   * around to off)
+   * 
+   * @param {number} currentStrength - Current strength
+   * @returns {number} Next strength preset
+   */
+  getNextMagnetStrength(currentStrength) {
+    const current = this.validateMagnetStrength(currentStrength);
+    const next = MAGNET_STRENGTH_PRESETS.find(
+      (preset) => preset > current + 1e-6,
+    );
+    return next ?? MAGNET_STRENGTH_PRESETS[0];
+  }
+
+  /**
+   * Validates a co-control weight, falling back to 0 (off)
+   * 
+   * @param {number} weight - Host share of the blend from 0 to 1
+   * @returns {number} Weight clamped to 0-1
+   */
+  validateCoControlWeight(weight) {
+    const n = Number(weight);
+    if (weight == null || !Number.isFinite(n)) return 0;
+    return Math.max(0, Math.min(1, n));
+  }
+
+  /**
+   * Returns the co-control weight preset following the current one (wraps
+   * around to off)
+   * 
+   * @param {number} currentWeight - Current weight
+   * @returns {number} Next weight preset
+   */
+  getNextCoControlWeight(currentWeight) {
+    const current = this.validateCoControlWeight(currentWeight);
+    const next = CO_CONTROL_WEIGHT_PRESETS.find(
+      (preset) => preset > current + 1e-6,
+    );
+    return next ?? CO_CONTROL_WEIGHT_PRESETS[0];
+  }
+
+  /**
+   * Validates synced input filter profiles; missing or unknown profiles
+   * become "none"
+   * 
+   * @param {Object} filters - `{ host, participant }` profile names
+   * @returns {{host: string, participant: string}} Validated profiles
+   */
+  validateInputFilters(filters) {
+    return {
+      host: validateFilterProfile(filters?.host),
+      participant: validateFilterProfile(filters?.participant),
+    };
+  }
+
+  /**
+   * Returns the filter profile following the current one (wraps around)
+   * 
+   * @param {string} currentProfile - Current profile
+   * @returns {string} Next profile
+   */
+  getNextInputFilter(currentProfile) {
+    const index = FILTER_PROFILES.indexOf(validateFilterProfile(currentProfile));
+    return FILTER_PROFILES[(index + 1) % FILTER_PROFILES.length];
+  }
+
+  /**
+   * Validates a switch-scanning rate, falling back to 0 (off)
+   * 
+   * @param {number} ms - Time per highlighted cell in milliseconds
+   * @returns {number} 0, or the rate clamped to 300-10000 ms
+   */
+  validateScanInterval(ms) {
+    const n = Number(ms);
+    if (ms == null || !Number.isFinite(n) || n <= 0) return 0;
+    return Math.max(SCAN_INTERVAL_MIN_MS, Math.min(SCAN_INTERVAL_MAX_MS, n));
+  }
+
+  /**
+   * Returns the scan rate preset following the current one (wraps around
+   * to off)
+   * 
+   * @param {number} currentMs - Current rate
+   * @returns {number} Next rate preset
+   */
+  getNextScanInterval(currentMs) {
+    const current = this.validateScanInterval(currentMs);
+    const next = SCAN_INTERVAL_PRESETS_MS.find((preset) => preset > current);
+    return next ?? SCAN_INTERVAL_PRESETS_MS[0];
+  }
+
+  /**
+   * Number of cells the scan highlight steps through (the whole grid)
+   * 
+   * @returns {number}
+   */
+  getScanCellCount() {
+    return this.gridRows * this.gridCols;
+  }
+
+  /**
+   * Grid cell for a scan index (row by row, left to right)
+   * 
+   * @param {number} index - Scan index
+   * @returns {{row: number, col: number}|null} Cell, or null if out of range
+   */
+  getScanCell(index) {
+    if (!Number.isInteger(index) || index < 0) return null;
+    if (index >= this.getScanCellCount()) return null;
+    return {
+      row: Math.floor(index / this.gridCols),
+      col: index % this.gridCols,
+    };
+  }
+
+  /**
+   * Validates a synced switch selection `{ row, col, by, at }`
+   * 
+   * @param {Object} select - Selection record from Firebase
+   * @returns {Object|null} Validated record, or null if malformed or off
+   *   the current grid
+   */
+  validateScanSelect(select) {
+    if (!select || typeof select !== "object") return null;
+    const { row, col, by, at } = select;
+    if (!Number.isInteger(row) || row < 0 || row >= this.gridRows) return null;
+    if (!Number.isInteger(col) || col < 0 || col >= this.gridCols) return null;
+    if (by !== "host" && by !== "participant") return null;
+    if (!Number.isFinite(at)) return null;
+    return { row, col, by, at };
+  }
+
+  /**
+   * Gives stars paths for the current motion mode (or removes them in
+   * "still" mode)
+   * 
+   * Paths start at `now` from each star's resting position. Without an
+   * explicit `rng`, each star's path derives from seed + its `seedKey`
+   * (relocated stars), or its ID.
+   * 
+   * @param {Array<Object>} stars - Stars to update
+   * @param {Object} [options={}]
+   * @param {number} [options.now=this._now()] - Path start time
+   * @param {function(): number} [options.rng] - Shared random source
+   * @param {number} [options.uiLeftRatio=0.2] - Width of the left UI area
+   * @returns {Array<Object>} New stars array with `path` set or removed
+   */
+  withPaths(stars, options = {}) {
+    const { now = this._now(), rng = null, uiLeftRatio = 0.2 } = options;
+    const bounds = getPlayAreaBounds(uiLeftRatio);
+
+    return stars.map((star) => {
+      const { path: _oldPath, ...rest } = star;
+      if (this.motionMode === "still") return rest;
+
+      const origin = this.getStarNormalizedPosition(rest, uiLeftRatio, null);
+      const path = createStarPath(this.motionMode, origin, {
+        speed: this.targetSpeed,
+        startedAt: now,
+        rng: rng || createRng(this.seed || "", "path", star.seedKey ?? star.id),
+        bounds,
+      });
+      return path ? { ...rest, path } : rest;
+    });
+  }
+
+  /**
+   * Validates a star lifetime, falling back to 0 (no timeout)
+   * 
+   * @param {number} ms - Lifetime in milliseconds
+   * @returns {number} Lifetime clamped to 0-120000 ms
+   */
+  validateStarLifetime(ms) {
+    const n = Number(ms);
+    if (ms == null || !Number.isFinite(n) || n <= 0) return 0;
+    return Math.min(STAR_LIFETIME_MAX_MS, Math.round(n));
+  }
+
+  /**
+   * Returns the lifetime preset following the current one (wraps around)
+   * 
+   * @param {number} currentMs - Current lifetime
+   * @returns {number} Next lifetime preset
+   */
+  getNextStarLifetime(currentMs) {
+    const current = this.validateStarLifetime(currentMs);
+    const next = STAR_LIFETIME_PRESETS_MS.find((preset) => preset > current);
+    return next ?? STAR_LIFETIME_PRESETS_MS[0];
+  }
+
+  /**
+   * Validates a timeout action, falling back to "relocate"
+   * 
+   * @param {string} action - Timeout action to validate
+   * @returns {string} "relocate" or "disappear"
+   */
+  validateTimeoutAction(action) {
+    return TIMEOUT_ACTIONS.includes(action) ? action : "relocate";
+  }
+
+  /**
+   * Stamps stars with the time they appeared, which starts their lifetime.
+   * Stars that already have one keep it.
+   * 
+   * @param {Array<Object>} stars - Stars to stamp
+   * @param {number} [now=this._now()] - Appearance time (ms since epoch)
+   * @returns {Array<Object>} New stars array with `bornAt` set
+   */
+  withBornAt(stars, now = this._now()) {
+    return stars.map((star) =>
+      Number.isFinite(star.bornAt) ? star : { ...star, bornAt: now },
+    );
+  }
+
+  /**
+   * Returns when a star times out under the current lifetime
+   * 
+   * @param {Object} star - Star with `bornAt`
+   * @returns {number|null} Expiry time (ms since epoch), or null if the star
+   *   never times out
+   */
+  getStarExpiry(star) {
+    if (this.starLifetimeMs <= 0 || !Number.isFinite(star?.bornAt)) {
+      return null;
+    }
+    return star.bornAt + this.starLifetimeMs;
+  }
+
+  /**
+   * Returns the stars whose lifetime has run out
+   * 
+   * @param {number} [now=this._now()] - Current time (ms since epoch)
+   * @returns {Array<Object>} Expired stars
+   */
+  getExpiredStars(now = this._now()) {
+    return this.stars.filter((star) => {
+      const expiry = this.getStarExpiry(star);
+      return expiry !== null && now >= expiry;
+    });
+  }
+
+  /**
+   * Decides what happens to a star that timed out.
+   * 
+   * With "relocate", the star is replaced by a new star (new ID, fresh
+   * lifetime) in a random empty grid cell or, for free stars, at a random
+   * spot in the play area away from other stars. The new position derives
+   * from seed + the star's `seedKey`, and the replacement's key counts the
+   * timeouts (`1:0_2` -> `1:0_2/t1` -> `1:0_2/t2`), so a replayed seed
+   * relocates identically. Stars without a key (placed by the host) fall
+   * back to their ID, which a replay doesn't reproduce.
+   * With "disappear", the star is only removed.
+   * 
+   * @param {Object} star - Expired star
+   * @param {Object} [options={}]
+   * @param {number} [options.now=this._now()] - Time of the timeout
+   * @param {number} [options.uiLeftRatio=0.2] - Width of the left UI area
+   * @returns {Object} result
+   * @returns {Object} result.removed - The expired star
+   * @returns {Object|null} result.added - Its replacement, if relocated
+   * @returns {Array} result.stars - Updated stars array
+   */
+  resolveStarTimeout(star, options = {}) {
+    const { now = this._now(), uiLeftRatio = 0.2 } = options;
+    const others = this.stars.filter((s) => s.id !== star.id);
+
+    if (this.timeoutAction === "disappear") {
+      this.stars = others;
+      return { removed: star, added: null, stars: this.stars };
+    }
+
+    const rng = createRng(this.seed || "", "timeout", star.seedKey ?? star.id);
+    const { id: _id, path: _path, bornAt: _bornAt, seedKey, ...rest } = star;
+    if (seedKey != null) rest.seedKey = this._nextTimeoutSeedKey(seedKey);
+    let added;
+
+    if (this.isFreeStar(star)) {
+      const bounds = getPlayAreaBounds(uiLeftRatio);
+      const randomSpot = () => ({
+        x: bounds.left + rng() * (bounds.right - bounds.left),
+        y: bounds.top + rng() * (bounds.bottom - bounds.top),
+      });
+      const isClear = (spot) =>
+        others.every((s) => {
+          const pos = this.getStarNormalizedPosition(s, uiLeftRatio, null);
+          const dist = Math.hypot(pos.x - spot.x, pos.y - spot.y);
+          return dist > FREE_STAR_HIT_RADIUS * 2;
+        });
+
+      let spot = randomSpot();
+      for (let i = 0; i < 8 && !isClear(spot); i++) spot = randomSpot();
+
+      const round = (v) => Math.round(v * 10000) / 10000;
+      added = {
+        ...rest,
+        id: this.createFreeStarId(),
+        x: round(spot.x),
+        y: round(spot.y),
+        bornAt: now,
+      };
+    } else {
+      const occupied = new Set(
+        others
+          .filter((s) => !this.isFreeStar(s))
+          .map((s) => `${s.row}_${s.col}`),
+      );
+      occupied.add(`${star.row}_${star.col}`);
+
+      const empty = [];
+      for (let row = 0; row < this.gridRows; row++) {
+        for (let col = 0; col < this.gridCols; col++) {
+          if (!occupied.has(`${row}_${col}`)) empty.push({ row, col });
+        }
+      }
+      // Full grid: the star reappears in its own cell
+      const cell =
+        empty.length > 0
+          ? empty[Math.floor(rng() * empty.length)]
+          : { row: star.row, col: star.col };
+
+      added = {
+        ...rest,
+        id: this.createStarId(cell.row, cell.col),
+        row: cell.row,
+        col: cell.col,
+        bornAt: now,
+      };
+    }
+
+    this.stars = [...others, added];
+    return { removed: star, added, stars: this.stars };
+  }
+
+  /**
+   * Seed key of a star's replacement after a timeout: the same key with
+   * its timeout count increased
+   * 
+   * @param {string} seedKey - Expired star's key
+   * @returns {string} Replacement's key
+   * @private
+   */
+  _nextTimeoutSeedKey(seedKey) {
+    const match = /^(.*)\/t(\d+)$/.exec(seedKey);
+    return match ? `${match[1]}/t${Number(match[2]) + 1}` : `${seedKey}/t1`;
+  }
+
+  /**
+   * Validates a round goal
+   * 
+   * @param {*} goal - `{ type: "stars"|"time", value }` (time in ms)
+   * @returns {{type: string, value: number}|null} Clamped goal, or null for
+   *   free play
+   */
+  validateRoundGoal(goal) {
+    if (!goal || typeof goal !== "object") return null;
+    const limits = ROUND_GOAL_LIMITS[goal.type];
+    const value = Math.round(Number(goal.value));
+    if (!limits || !Number.isFinite(value)) return null;
+    return {
+      type: goal.type,
+      value: Math.max(limits.min, Math.min(limits.max, value)),
+    };
+  }
+
+  /**
+   * Returns the goal preset following the current one (wraps around)
+   * 
+   * @param {Object|null} currentGoal - Current goal
+   * @returns {Object|null} Next goal preset
+   */
+  getNextRoundGoal(currentGoal) {
+    const goal = this.validateRoundGoal(currentGoal);
+    const index = ROUND_GOAL_PRESETS.findIndex((preset) =>
+      preset === null || goal === null
+        ? preset === goal
+        : preset.type === goal.type && preset.value === goal.value,
+    );
+    return ROUND_GOAL_PRESETS[(index + 1) % ROUND_GOAL_PRESETS.length];
+  }
+
+  /**
+   * Validates a synced round record
+   * 
+   * @param {*} record - Raw round record
+   * @returns {{number: number, goal: Object|null, startedAt: number,
+   *   completedAt: number|null}} Round with defaults filled in
+   */
+  validateRound(record) {
+    const round = record && typeof record === "object" ? record : {};
+    const number = Number(round.number);
+    const startedAt = Number(round.startedAt);
+    const completedAt = Number(round.completedAt);
+    return {
+      number: Number.isInteger(number) && number >= 1 ? number : 1,
+      goal: this.validateRoundGoal(round.goal),
+      startedAt: Number.isFinite(startedAt) ? startedAt : 0,
+      completedAt:
+        round.completedAt != null && Number.isFinite(completedAt)
+          ? completedAt
+          : null,
+    };
+  }
+
+  /**
+   * Creates a new round record
+   * 
+   * @param {number} number - Round number (1-based)
+   * @param {Object|null} goal - Round goal
+   * @param {number} [now=this._now()] - Start time (ms since epoch)
+   * @returns {Object} Round record
+   */
+  createRound(number, goal, now = this._now()) {
+    return this.validateRound({ number, goal, startedAt: now });
+  }
+
+  /**
+   * Measures progress toward the current round's goal. Stars count from
+   * score events collected since the round started.
+   * 
+   * @param {number} [now=this._now()] - Current time (ms since epoch)
+   * @returns {Object} progress
+   * @returns {number} progress.collected - Stars collected this round
+   * @returns {number} progress.elapsedMs - Round time so far
+   * @returns {number} progress.fraction - 0-1 toward the goal (0 without one)
+   * @returns {boolean} progress.isComplete - True once the goal is reached
+   */
+  getRoundProgress(now = this._now()) {
+    const { goal, startedAt, completedAt } = this.round;
+    const collected = Object.values(this.scoreEvents).filter(
+      (event) => Number(event.at) >= startedAt,
+    ).length;
+    const elapsedMs = Math.max(0, (completedAt ?? now) - startedAt);
+
+    let fraction = 0;
+    if (goal?.type === "stars") fraction = collected / goal.value;
+    if (goal?.type === "time") fraction = elapsedMs / goal.value;
+
+    return {
+      collected,
+      elapsedMs,
+      fraction: Math.min(1, fraction),
+      isComplete: completedAt !== null || fraction >= 1,
+    };
+  }
+
+  /**
+   * Whether the current round has ended (celebration showing)
+   * 
+   * @returns {boolean}
+   */
+  isRoundComplete() {
+    return this.round.completedAt !== null;
+  }
+
+  /**
+   * Marks the current round complete
+   * 
+   * @param {number} [now=this._now()] - Completion time
+   * @returns {Object} Updated round record
+   */
+  completeRound(now = this._now()) {
+    if (!this.isRoundComplete()) {
+      this.round = { ...this.round, completedAt: now };
+    }
+    return this.round;
+  }
+
+  /**
+   * Starts the round after the current one, keeping its goal
+   * 
+   * @param {number} [now=this._now()] - Start time
+   * @returns {Object} New round record
+   */
+  startNextRound(now = this._now()) {
+    this.round = this.createRound(
+      this.round.number + 1,
+      this.round.goal,
+      now,
+    );
+    return this.round;
+  }
+
+  /**
+   * Validates a turn rule
+   * 
+   * @param {*} rule - `{ type: "stars"|"time", value }` (time in ms)
+   * @returns {{type: string, value: number}|null} Clamped rule, or null
+   *   (turn-taking off)
+   */
+  validateTurnRule(rule) {
+    if (!rule || typeof rule !== "object") return null;
+    const limits = TURN_RULE_LIMITS[rule.type];
+    const value = Math.round(Number(rule.value));
+    if (!limits || !Number.isFinite(value)) return null;
+    return {
+      type: rule.type,
+      value: Math.max(limits.min, Math.min(limits.max, value)),
+    };
+  }
+
+  /**
+   * Returns the turn rule preset following the current one (wraps around)
+   * 
+   * @param {Object|null} currentRule - Current rule
+   * @returns {Object|null} Next rule preset
+   */
+  getNextTurnRule(currentRule) {
+    const rule = this.validateTurnRule(currentRule);
+    const index = TURN_RULE_PRESETS.findIndex((preset) =>
+      preset === null || rule === null
+        ? preset === rule
+        : preset.type === rule.type && preset.value === rule.value,
+    );
+    return TURN_RULE_PRESETS[(index + 1) % TURN_RULE_PRESETS.length];
+  }
+
+  /**
+   * Validates a synced turn record
+   * 
+   * @param {*} record - Raw turn record
+   * @returns {{rule: Object, holder: string, number: number,
+   *   startedAt: number}|null} Turn with defaults filled in, or null when
+   *   there is no valid rule (turn-taking off)
+   */
+  validateTurn(record) {
+    if (!record || typeof record !== "object") return null;
+    const rule = this.validateTurnRule(record.rule);
+    if (!rule) return null;
+
+    const number = Number(record.number);
+    const startedAt = Number(record.startedAt);
+    return {
+      rule,
+      holder: record.holder === "host" ? "host" : "participant",
+      number: Number.isInteger(number) && number >= 1 ? number : 1,
+      startedAt: Number.isFinite(startedAt) ? startedAt : 0,
+    };
+  }
+
+  /**
+   * Creates a turn record
+   * 
+   * @param {Object|null} rule - Turn rule (null = turn-taking off)
+   * @param {string} [holder="participant"] - Effective role whose turn it is
+   * @param {number} [number=1] - Turn number (1-based)
+   * @param {number} [now=this._now()] - Start time (ms since epoch)
+   * @returns {Object|null} Turn record, or null for no rule
+   */
+  createTurn(rule, holder = "participant", number = 1, now = this._now()) {
+    return this.validateTurn({ rule, holder, number, startedAt: now });
+  }
+
+  /**
+   * Checks whether the current turn has run its course: enough stars
+   * collected since it started, or its time used up
+   * 
+   * @param {number} [now=this._now()] - Current time (ms since epoch)
+   * @returns {boolean} False when turn-taking is off
+   */
+  isTurnOver(now = this._now()) {
+    if (!this.turn) return false;
+    const { rule, startedAt } = this.turn;
+
+    if (rule.type === "time") return now - startedAt >= rule.value;
+
+    const collected = Object.values(this.scoreEvents).filter(
+      (event) => Number(event.at) >= startedAt,
+    ).length;
+    return collected >= rule.value;
+  }
+
+  /**
+   * Hands the turn to the other role, keeping the rule
+   * 
+   * @param {number} [now=this._now()] - Start time of the new turn
+   * @returns {Object|null} New turn record (null when turn-taking is off)
+   */
+  passTurn(now = this._now()) {
+    if (!this.turn) return null;
+    const holder = this.turn.holder === "host" ? "participant" : "host";
+    this.turn = this.createTurn(
+      this.turn.rule,
+      holder,
+      this.turn.number + 1,
+      now,
+    );
+    return this.turn;
+  }
+
+  /**
+   * Validates a star type, falling back to "normal"
+   * 
+   * @param {string} type - Star type name
+   * @returns {string} Known star type
+   */
+  validateStarType(type) {
+    return Object.hasOwn(this.starTypes, type) ? type : "normal";
+  }
+
+  /**
+   * Score value of a star, from its type
+   * 
+   * @param {Object} star - Star with optional `type`
+   * @returns {number} Points (1-100)
+   */
+  getStarPoints(star) {
+    const type = this.validateStarType(star?.type);
+    const points = Number(this.starTypes[type].points);
+    if (!Number.isFinite(points)) return 1;
+    return Math.max(1, Math.min(MAX_EVENT_POINTS, Math.round(points)));
+  }
+
+  /**
+   * Picks a star type at random, weighted by each type's `weight`
+   * 
+   * @param {function(): number} [rng=Math.random] - Random source in [0, 1)
+   * @returns {string} Star type name
+   */
+  pickStarType(rng = Math.random) {
+    const entries = Object.entries(this.starTypes).filter(
+      ([, def]) => Number(def.weight) > 0,
+    );
+    const total = entries.reduce((sum, [, def]) => sum + Number(def.weight), 0);
+    if (total <= 0) return "normal";
+
+    let roll = rng() * total;
+    for (const [type, def] of entries) {
+      roll -= Number(def.weight);
+      if (roll < 0) return type;
+    }
+    return entries[entries.length - 1][0];
   }
 
   /**
-   * Validates and clamps grid size to valid range (1-4)
+   * Adds a type to a new star. Normal stars carry no `type` field, so
+   * records stay as they were before star types existed.
    * 
-   * @param {number} size - Grid size to validate
-   * @returns {number} Validated grid size (1-4)
+   * @param {Object} star - New star
+   * @param {string} type - Star type
+   * @returns {Object} Star with `type` set when it isn't "normal"
+   * @private
    */
-  validateGridSize(size) {
-    const n = Number(size);
-    if (!Number.isFinite(n)) return 4;
-    return Math.max(1, Math.min(4, Math.round(n)));
+  _withStarType(star, type) {
+    const validType = this.validateStarType(type);
+    return validType === "normal" ? star : { ...star, type: validType };
   }
 
   /**
-   * Calculates how many stars should be generated for a given grid size
+   * Calculates how many stars should be generated for a grid
    * Uses 50% of total cells as the star count
    * 
-   * @param {number} gridSize - Grid dimension
+   * @param {number} rows - Grid rows
+   * @param {number} [cols=rows] - Grid columns
    * @returns {number} Number of stars to generate
    */
-  calculateStarCount(gridSize) {
-    const validSize = this.validateGridSize(gridSize);
-    const totalCells = validSize * validSize;
+  calculateStarCount(rows, cols = rows) {
+    const totalCells =
+      this.validateGridSize(rows) * this.validateGridSize(cols);
     return Math.max(1, Math.ceil(totalCells / 2));
   }
 
   /**
-   * Creates a star ID from grid position
-   * Uses deterministic format to match IDs parsed from Firebase string format
+   * Creates a unique star ID from grid position
+   * 
+   * The cell stays readable in the ID, and a time/counter suffix makes every
+   * spawned star distinct, even when a cell is refilled later. IDs are safe
+   * to use as Firebase keys.
    * 
    * @param {number} row - Grid row
    * @param {number} col - Grid column
-   * @returns {string} Star ID in format "star_row_col"
+   * @returns {string} Star ID in format "star_row_col_suffix"
    */
   createStarId(row, col) {
+    return `star_${row}_${col}_${this._createIdSuffix()}`;
+  }
+
+  /**
+   * Creates a unique ID for a freely placed star
+   * 
+   * @returns {string} Star ID in format "star_free_suffix"
+   */
+  createFreeStarId() {
+    return `star_free_${this._createIdSuffix()}`;
+  }
+
+  /**
+   * Time/counter suffix that keeps star IDs unique
+   * @returns {string}
+   * @private
+   */
+  _createIdSuffix() {
+    return (
+      Date.now().toString(36) + (this._starIdCounter++ % 1296).toString(36)
+    );
+  }
+
+  /**
+   * Checks whether a star was freely placed (normalized x, y) rather than
+   * snapped to a grid cell
+   * 
+   * @param {Object} star - Star record
+   * @returns {boolean}
+   */
+  isFreeStar(star) {
+    return !!star && Number.isFinite(star.x) && Number.isFinite(star.y);
+  }
+
+  /**
+   * Creates the legacy deterministic ID used by the old serialized formats
+   * 
+   * @param {number} row - Grid row
+   * @param {number} col - Grid column
+   * @returns {string} Star ID in format "star_row_col"
+   */
+  createLegacyStarId(row, col) {
     return `star_${row}_${col}`;
   }
 
+  /**
+   * Parses the Firebase `stars` value into a stars array
+   * 
+   * Supported formats (oldest first):
+   * - Array of `{ id, row, col }` (legacy)
+   * - Comma-separated string `"row_col,row_col"` (legacy)
+   * - Object of per-star records `{ [starId]: { row, col, ... } }` (current)
+   *   or `{ [starId]: { x, y, ... } }` for freely placed stars
+   * 
+   * Extra record fields are kept on the star so per-star metadata survives.
+   * Grid stars come first (by row, then column), free stars after them.
+   * 
+   * @param {*} starsData - Raw Firebase value
+   * @returns {Object} Parse result
+   * @returns {Array} result.stars - Parsed stars
+   * @returns {string} result.format - "empty", "array", "string" or "records"
+   */
+  parseStarsData(starsData) {
+    const isValid = (s) => Number.isFinite(s.row) && Number.isFinite(s.col);
+
+    if (starsData == null || starsData === "") {
+      return { stars: [], format: "empty" };
+    }
+
+    if (typeof starsData === "string") {
+      // Split and filter out empty entries (handles edge case of trailing commas)
+      const stars = starsData
+        .split(",")
+        .filter((s) => s.length > 0)
+        .map((s) => {
+          const [row, col] = s.split("_").map(Number);
+          return { id: this.createLegacyStarId(row, col), row, col };
+        })
+        .filter(isValid);
+      return { stars, format: "string" };
+    }
+
+    if (Array.isArray(starsData)) {
+      const stars = starsData
+        .filter((s) => s && typeof s === "object")
+        .map((s) => ({
+          ...s,
+          id: s.id ?? this.createLegacyStarId(s.row, s.col),
+          row: Number(s.row),
+          col: Number(s.col),
+        }))
+        .filter(isValid);
+      return { stars, format: "array" };
+    }
+
+    if (typeof starsData === "object") {
+      const stars = Object.entries(starsData)
+        .filter(([, record]) => record && typeof record === "object")
+        .map(([id, record]) => this._recordToStar(id, record))
+        .filter((s) => this.isFreeStar(s) || isValid(s))
+        .sort((a, b) => this._compareStars(a, b));
+      return { stars, format: "records" };
+    }
+
+    return { stars: [], format: "empty" };
+  }
+
+  /**
+   * Converts a per-star record into a star with numeric coordinates
+   * 
+   * @param {string} id - Record key (star ID)
+   * @param {Object} record - Raw record
+   * @returns {Object} Star
+   * @private
+   */
+  _recordToStar(id, record) {
+    if (record.x != null && record.y != null) {
+      return { ...record, id, x: Number(record.x), y: Number(record.y) };
+    }
+    return { ...record, id, row: Number(record.row), col: Number(record.col) };
+  }
+
+  /**
+   * Sort order for parsed stars: grid stars by cell, then free stars top to
+   * bottom
+   * @private
+   */
+  _compareStars(a, b) {
+    const aFree = this.isFreeStar(a);
+    const bFree = this.isFreeStar(b);
+    if (aFree !== bFree) return aFree ? 1 : -1;
+    return aFree ? a.y - b.y || a.x - b.x : a.row - b.row || a.col - b.col;
+  }
+
+  /**
+   * Converts a star to the record stored at `stars/<id>`
+   * The ID is the record key, so it is not repeated inside the record.
+   * 
+   * @param {{id: string, row: number, col: number}} star - Star to convert
+   * @returns {Object} Firebase record
+   */
+  toStarRecord(star) {
+    const { id, ...record } = star;
+    return record;
+  }
+
+  /**
+   * Converts a stars array to the per-star records map stored at `stars`
+   * 
+   * @param {Array<{id: string, row: number, col: number}>} stars - Stars array
+   * @returns {Object|null} `{ [starId]: record }`, or null when empty
+   */
+  toStarRecords(stars) {
+    if (!stars || stars.length === 0) return null;
+    return Object.fromEntries(stars.map((s) => [s.id, this.toStarRecord(s)]));
+  }
+
   /**
    * Generates random star positions using Fisher-Yates shuffle algorithm
    * 
-   * Pure function that generates stars without side effects.
+   * Pure function that generates stars without side effects. Cell selection
+   * is fully determined by `rng`, so the same generator state gives the same
+   * cells (see createGenerationRng).
    * 
-   * @param {number} gridSize - Grid dimension (1-4)
+   * @param {number} rows - Grid rows
+   * @param {number} [cols=rows] - Grid columns
+   * @param {function(): number} [rng=Math.random] - Random source in [0, 1)
+   * @param {number|null} [generation=null] - Regeneration number; gives
+   *   each star a `seedKey` (`<generation>:<row>_<col>`) that, unlike its
+   *   ID, is the same when the seed is replayed
    * @returns {Array<{id: string, row: number, col: number}>} Array of star objects
    */
-  generateRandomStars(gridSize) {
-    const validSize = this.validateGridSize(gridSize);
-    const starCount = this.calculateStarCount(validSize);
+  generateRandomStars(
+    rows,
+    cols = rows,
+    rng = Math.random,
+    generation = null,
+  ) {
+    const validRows = this.validateGridSize(rows);
+    const validCols = this.validateGridSize(cols);
+    const starCount = this.calculateStarCount(validRows, validCols);
 
     // Generate all possible grid cells
     const allCells = [];
-    for (let row = 0; row < validSize; row++) {
-      for (let col = 0; col < validSize; col++) {
+    for (let row = 0; row < validRows; row++) {
+      for (let col = 0; col < validCols; col++) {
         allCells.push({ row, col });
       }
     }
 
     // Fisher-Yates shuffle for random selection
     for (let i = allCells.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(rng() * (i + 1));
       [allCells[i], allCells[j]] = [allCells[j], allCells[i]];
     }
 
     const selectedCells = allCells.slice(0, starCount);
 
-    // Create star objects with unique IDs
-    const stars = selectedCells.map((cell) => ({
-      id: this.createStarId(cell.row, cell.col),
-      row: cell.row,
-      col: cell.col,
-    }));
+    // Create star objects with unique IDs and weighted random types
+    const stars = selectedCells.map((cell) =>
+      this._withStarType(
+        {
+          id: this.createStarId(cell.row, cell.col),
+          row: cell.row,
+          col: cell.col,
+          ...(generation != null && {
+            seedKey: `${generation}:${cell.row}_${cell.col}`,
+          }),
+        },
+        this.pickStarType(rng),
+      ),
+    );
 
     return stars;
   }
 
   /**
-   * Increments the score by 1
+   * Creates the random source for one star regeneration
+   * Without a seed this falls back to Math.random.
+   * 
+   * @param {number} generation - Regeneration number (1 = first set of stars)
+   * @returns {function(): number} Random source in [0, 1)
+   */
+  createGenerationRng(generation) {
+    if (!this.seed) return Math.random;
+    return createRng(this.seed, "stars", generation);
+  }
+
+  /**
+   * Sets the session seed
+   * 
+   * @param {string} seed - Seed (normalized to lowercase alphanumerics)
+   * @returns {string|null} Normalized seed, or null if unusable
+   */
+  setSeed(seed) {
+    const normalized = normalizeSeed(seed);
+    if (normalized) this.seed = normalized;
+    return normalized;
+  }
+
+  /**
+   * Increments the local score by 1 (not synced; collections go through
+   * collectStar and score events)
    * 
    * @returns {number} New score value
    */
@@ -149,71 +1492,360 @@ class GameService {
   }
 
   /**
-   * Collects a star (removes it from stars array) and increments score
+   * Collects a star (removes it from stars array) and records a score event
+   * 
+   * The event is keyed by the star ID, so collecting the same star twice
+   * (e.g. two clients briefly holding collision authority) is counted once.
+   * The returned score is the optimistic local result; the synced events
+   * are the source of truth (see reconcileScore). The event is worth the
+   * star type's points.
    * 
    * @param {string} starId - ID of the star to collect
+   * @param {Object} [details={}] - Event details
+   * @param {string} [details.by] - Role that collected the star
+   * @param {number} [details.at] - Collection timestamp (ms since epoch)
    * @returns {Object} Result object with newScore and remainingStars
    * @returns {number} result.newScore - Updated score
    * @returns {Array} result.remainingStars - Stars array with collected star removed
+   * @returns {Object|null} result.event - New score event, or null if this star was already counted
    */
-  collectStar(starId) {
+  collectStar(starId, details = {}) {
+    const star = this.stars.find((s) => s.id === starId);
     const remainingStars = this.stars.filter((s) => s.id !== starId);
-    const newScore = this.incrementScore();
-
-    // Update internal state
     this.stars = remainingStars;
-    this.score = newScore;
+
+    const alreadyCounted = Object.hasOwn(this.scoreEvents, starId);
+    const event = alreadyCounted
+      ? null
+      : this.createScoreEvent({ points: this.getStarPoints(star), ...details });
+
+    if (event) {
+      this.setScoreEvents({ ...this.scoreEvents, [starId]: event });
+    }
 
     return {
-      newScore,
+      newScore: this.score,
       remainingStars,
+      event,
     };
   }
 
   /**
-   * Toggles a star at the given grid position
+   * Creates a score event record (stored under the collected star's ID)
+   * 
+   * @param {Object} [details={}] - Event details
+   * @param {number} [details.points=1] - Points awarded
+   * @param {string} [details.by="host"] - Role that collected the star
+   * @param {number} [details.at=0] - Collection timestamp (ms since epoch)
+   * @returns {{points: number, by: string, at: number}} Score event record
+   */
+  createScoreEvent({ points = 1, by = "host", at = 0 } = {}) {
+    return { points, by, at };
+  }
+
+  /**
+   * Validates a single score event record
+   * 
+   * @param {*} event - Raw event record
+   * @returns {boolean} True if the event can be counted
+   */
+  isValidScoreEvent(event) {
+    if (!event || typeof event !== "object") return false;
+    const points = Number(event.points);
+    return (
+      Number.isInteger(points) && points > 0 && points <= MAX_EVENT_POINTS
+    );
+  }
+
+  /**
+   * Reconciles the score from synced score events
+   * 
+   * Pure function: every valid event counts exactly once because events are
+   * keyed by star ID. Invalid records are ignored rather than breaking the
+   * total.
+   * 
+   * @param {Object<string, Object>|null} events - `{ [starId]: event }` from Firebase
+   * @param {number} [baseScore=0] - Score carried over from before events
+   * @returns {Object} Reconciliation result
+   * @returns {number} result.score - Reconciled total
+   * @returns {Object} result.events - Valid events keyed by star ID
+   * @returns {string[]} result.rejected - IDs of ignored records
+   */
+  reconcileScore(events, baseScore = 0) {
+    const valid = {};
+    const rejected = [];
+    let total = Math.max(0, Number(baseScore) || 0);
+
+    if (events && typeof events === "object") {
+      Object.entries(events).forEach(([starId, event]) => {
+        if (this.isValidScoreEvent(event)) {
+          valid[starId] = event;
+          total += Number(event.points);
+        } else {
+          rejected.push(starId);
+        }
+      });
+    }
+
+    return { score: total, events: valid, rejected };
+  }
+
+  /**
+   * Replaces the counted score events and recomputes the score
+   * 
+   * @param {Object<string, Object>|null} events - `{ [starId]: event }`
+   * @returns {number} Reconciled score
+   */
+  setScoreEvents(events) {
+    const result = this.reconcileScore(events, this.baseScore);
+    this.scoreEvents = result.events;
+    this.score = result.score;
+    return this.score;
+  }
+
+  /**
+   * Sets the base score carried over from the legacy `score` key and
+   * recomputes the total
+   * 
+   * @param {number} score - Base score
+   * @returns {number} Reconciled score
+   */
+  setBaseScore(score) {
+    const n = Number(score);
+    if (Number.isFinite(n) && n >= 0) {
+      this.baseScore = n;
+    }
+    return this.setScoreEvents(this.scoreEvents);
+  }
+
+  /**
+   * Returns the normalized viewport position of a star (position on its
+   * path at `timeMs` for moving stars, free position, or the center of its
+   * grid cell)
+   * 
+   * @param {Object} star - Grid star `{ row, col }` or free star `{ x, y }`
+   * @param {number} [uiLeftRatio=0.2] - Width of the left UI area (0-1)
+   * @param {number|null} [timeMs=this._now()] - Time for moving stars (null
+   *   = where the star was placed, ignoring its path)
+   * @returns {{x: number, y: number}} Normalized position
+   */
+  getStarNormalizedPosition(star, uiLeftRatio = 0.2, timeMs = this._now()) {
+    if (timeMs != null && isValidPath(star.path)) {
+      return evaluateStarPath(star.path, timeMs);
+    }
+    if (this.isFreeStar(star)) return { x: star.x, y: star.y };
+    return gridCellToNormalized(
+      star.row,
+      star.col,
+      this.gridRows,
+      this.gridCols,
+      uiLeftRatio,
+    );
+  }
+
+  /**
+   * Checks whether a role may collect stars under the current game mode
+   * Multiplayer: only the participant steers the fish. Single-player:
+   * either role may be in control. Turn-taking overrides both: only the
+   * turn holder may collect, plus the previous holder for a claim made
+   * before the handover.
+   * 
+   * @param {string} role - Effective role ("host" or "participant")
+   * @param {number} [at] - Claim time (ms since epoch)
+   * @returns {boolean}
+   */
+  canClaim(role, at) {
+    if (role !== "host" && role !== "participant") return false;
+    if (this.turn) {
+      if (role === this.turn.holder) return true;
+      return this.turn.number > 1 && Number(at) < this.turn.startedAt;
+    }
+    return !this.isMultiplayerMode || role === "participant";
+  }
+
+  /**
+   * Furthest (world units) a claimed fish position may be from a star's
+   * synced position: the type's collision radius, plus the float animation,
+   * magnet pull and shy drift (`flee`) that move a star locally, plus
+   * slack for the fish moving on between frames.
+   * 
+   * @param {string} [type="normal"] - Star type
+   * @returns {number} Tolerance in world units
+   */
+  getClaimStarTolerance(type = "normal") {
+    const { collisionRadius, floatRadius, magnetMaxPull } = this.starGeometry;
+    const def = this.starTypes[this.validateStarType(type)];
+    const radius = Number(def.radius) || collisionRadius;
+    const flee = Math.max(0, Number(def.flee) || 0);
+    return radius + floatRadius + magnetMaxPull + flee + CLAIM_STAR_SLACK;
+  }
+
+  /**
+   * Validates a collection claim against the current star set
+   * 
+   * A claim is accepted when the star still exists and has not been scored,
+   * the claiming role may collect in the current mode, the reported fish
+   * position is near the star, and the claimant's pointer (as seen by the
+   * validating client) is live and near the fish.
+   * 
+   * @param {string} starId - Claimed star ID
+   * @param {Object} claim - Claim record
+   * @param {number} claim.x - Normalized fish X at collection
+   * @param {number} claim.y - Normalized fish Y at collection
+   * @param {string} claim.by - Effective role of the claimant
+   * @param {number} claim.at - Claim timestamp (ms since epoch)
+   * @param {Object} [context={}] - Validation context
+   * @param {{x: number, y: number, ageMs: number}|null} [context.pointer]
+   *   Claimant's pointer in normalized space, with time since last update
+   * @param {number} [context.aspect=1] - Claimant's viewport width / height
+   * @param {number} [context.uiLeftRatio=0.2] - Width of the left UI area
+   * @returns {{valid: boolean, reason: string|null}} Validation result
+   */
+  validateClaim(starId, claim, context = {}) {
+    const reject = (reason) => ({ valid: false, reason });
+    const { pointer = null, aspect = 1, uiLeftRatio = 0.2 } = context;
+
+    if (!claim || typeof claim !== "object") return reject("malformed");
+    const x = Number(claim.x);
+    const y = Number(claim.y);
+    const at = Number(claim.at);
+    if (![x, y, at].every(Number.isFinite)) return reject("malformed");
+
+    if (Object.hasOwn(this.scoreEvents, starId)) return reject("collected");
+
+    const star = this.stars.find((s) => s.id === starId);
+    if (!star) return reject("unknown-star");
+    if (!this.canClaim(claim.by, at)) return reject("not-in-control");
+
+    // Normalized distances stretch with the claimant's aspect ratio, so
+    // compare in world units on the claimant's screen
+    const starPos = this.getStarNormalizedPosition(star, uiLeftRatio, at);
+    const halfHeight = this.starGeometry.viewHalfHeight;
+    const safeAspect = Number.isFinite(aspect) && aspect > 0 ? aspect : 1;
+    const dx = (x - starPos.x) * 2 * halfHeight * safeAspect;
+    const dy = (y - starPos.y) * 2 * halfHeight;
+    if (Math.hypot(dx, dy) > this.getClaimStarTolerance(star.type)) {
+      return reject("too-far-from-star");
+    }
+
+    if (!pointer || !(pointer.ageMs <= CLAIM_POINTER_MAX_AGE_MS)) {
+      return reject("no-pointer");
+    }
+    if (Math.hypot(x - pointer.x, y - pointer.y) > CLAIM_POINTER_TOLERANCE) {
+      return reject("pointer-mismatch");
+    }
+
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * Toggles a star at the given grid position and reports what changed
    * If a star exists at (row, col), removes it. Otherwise, adds a new star.
    * 
+   * The single changed star lets callers write one record instead of the
+   * whole collection.
+   * 
    * @param {number} row - Grid row (0-indexed)
    * @param {number} col - Grid column (0-indexed)
-   * @returns {Array<{id: string, row: number, col: number}>} Updated stars array
+   * @param {string} [type="normal"] - Type of an added star
+   * @returns {Object} Toggle result
+   * @returns {Object|null} result.added - Star that was added, if any
+   * @returns {Object|null} result.removed - Star that was removed, if any
+   * @returns {Array} result.stars - Updated stars array
    */
-  toggleStarAtPosition(row, col) {
-    const existingIndex = this.stars.findIndex(
-      (s) => s.row === row && s.col === col
-    );
+  toggleStar(row, col, type = "normal") {
+    const existing = this.stars.find((s) => s.row === row && s.col === col);
 
-    if (existingIndex >= 0) {
+    if (existing) {
       // Remove existing star
-      const newStars = [...this.stars];
-      newStars.splice(existingIndex, 1);
-      this.stars = newStars;
-      return newStars;
-    } else {
-      // Add new star
-      const newStar = {
-        id: this.createStarId(row, col),
-        row: row,
-        col: col,
-      };
-      const newStars = [...this.stars, newStar];
-      this.stars = newStars;
-      return newStars;
+      this.stars = this.stars.filter((s) => s !== existing);
+      return { added: null, removed: existing, stars: this.stars };
+    }
+
+    // Add new star
+    const newStar = this._withStarType(
+      { id: this.createStarId(row, col), row: row, col: col },
+      type,
+    );
+    this.stars = [...this.stars, newStar];
+    return { added: newStar, removed: null, stars: this.stars };
+  }
+
+  /**
+   * Toggles a freely placed star at a normalized position
+   * Clicking on or near any star (free or grid) removes it; otherwise a new
+   * free star is added, clamped to the play area so it stays fully visible.
+   * 
+   * @param {number} x - Normalized X (0 = left edge of the viewport)
+   * @param {number} y - Normalized Y (0 = top edge of the viewport)
+   * @param {number} [uiLeftRatio=0.2] - Width of the left UI area (0-1)
+   * @param {string} [type="normal"] - Type of an added star
+   * @returns {Object} Toggle result
+   * @returns {Object|null} result.added - Star that was added, if any
+   * @returns {Object|null} result.removed - Star that was removed, if any
+   * @returns {Array} result.stars - Updated stars array
+   */
+  toggleFreeStar(x, y, uiLeftRatio = 0.2, type = "normal") {
+    const nx = Number(x);
+    const ny = Number(y);
+    if (!Number.isFinite(nx) || !Number.isFinite(ny)) {
+      return { added: null, removed: null, stars: this.stars };
+    }
+
+    const existing = this.stars.find((s) => {
+      const pos = this.getStarNormalizedPosition(s, uiLeftRatio, null);
+      return Math.hypot(pos.x - nx, pos.y - ny) <= FREE_STAR_HIT_RADIUS;
+    });
+
+    if (existing) {
+      this.stars = this.stars.filter((s) => s !== existing);
+      return { added: null, removed: existing, stars: this.stars };
     }
+
+    const bounds = getPlayAreaBounds(uiLeftRatio);
+    const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+    const round = (v) => Math.round(v * 10000) / 10000;
+    const newStar = this._withStarType(
+      {
+        id: this.createFreeStarId(),
+        x: round(clamp(nx, bounds.left, bounds.right)),
+        y: round(clamp(ny, bounds.top, bounds.bottom)),
+      },
+      type,
+    );
+    this.stars = [...this.stars, newStar];
+    return { added: newStar, removed: null, stars: this.stars };
+  }
+
+  /**
+   * Toggles a star at the given grid position
+   * If a star exists at (row, col), removes it. Otherwise, adds a new star.
+   * 
+   * @param {number} row - Grid row (0-indexed)
+   * @param {number} col - Grid column (0-indexed)
+   * @returns {Array<{id: string, row: number, col: number}>} Updated stars array
+   */
+  toggleStarAtPosition(row, col) {
+    return this.toggleStar(row, col).stars;
   }
 
   /**
    * Determines if stars should be auto-regenerated
    * 
-   * Stars should regenerate in single-player mode when all are collected.
-   * In multiplayer mode, host must manually place stars.
+   * Stars should regenerate in single-player mode when all are collected,
+   * unless the round just ended. In multiplayer mode, host must manually
+   * place stars.
    * 
    * @param {Array} stars - Current stars array
    * @param {boolean} isMultiplayerMode - Whether multiplayer mode is active
    * @returns {boolean} True if stars should be regenerated
    */
   shouldRegenerateStars(stars, isMultiplayerMode) {
-    return !isMultiplayerMode && (!stars || stars.length === 0);
+    return (
+      !isMultiplayerMode &&
+      !this.isRoundComplete() &&
+      (!stars || stars.length === 0)
+    );
   }
 
   /**
@@ -262,14 +1894,172 @@ class GameService {
   }
 
   /**
-   * Sets the grid size (validates and updates internal state)
+   * Sets the grid rows and columns (validates and updates internal state)
+   * 
+   * @param {number} rows - New row count
+   * @param {number} cols - New column count
+   * @returns {{rows: number, cols: number}} Validated dimensions
+   */
+  setGridDimensions(rows, cols) {
+    this.gridRows = this.validateGridSize(rows);
+    this.gridCols = this.validateGridSize(cols);
+    return { rows: this.gridRows, cols: this.gridCols };
+  }
+
+  /**
+   * Returns a grid dimension stepped by delta, or null if it is already at
+   * the limit
+   * 
+   * @param {number} current - Current rows or columns
+   * @param {number} delta - +1 or -1
+   * @returns {number|null} New dimension, or null when unchanged
+   */
+  stepGridSize(current, delta) {
+    const next = this.validateGridSize(current + delta);
+    return next === current ? null : next;
+  }
+
+  /**
+   * Sets the collection mode (validates and updates internal state)
+   * 
+   * @param {string} mode - "touch" or "dwell"
+   * @returns {string} Validated collection mode
+   */
+  setCollectMode(mode) {
+    this.collectMode = this.validateCollectMode(mode);
+    return this.collectMode;
+  }
+
+  /**
+   * Sets the placement mode (validates and updates internal state)
+   * 
+   * @param {string} mode - "grid" or "free"
+   * @returns {string} Validated placement mode
+   */
+  setPlacementMode(mode) {
+    this.placementMode = this.validatePlacementMode(mode);
+    return this.placementMode;
+  }
+
+  /**
+   * Sets the motion mode (validates and updates internal state)
+   * 
+   * @param {string} mode - "still" or a path type
+   * @returns {string} Validated motion mode
+   */
+  setMotionMode(mode) {
+    this.motionMode = this.validateMotionMode(mode);
+    return this.motionMode;
+  }
+
+  /**
+   * Sets the moving-target speed (validates and updates internal state)
+   * 
+   * @param {number} speed - Speed in normalized units per second
+   * @returns {number} Validated speed
+   */
+  setTargetSpeed(speed) {
+    this.targetSpeed = this.validateTargetSpeed(speed);
+    return this.targetSpeed;
+  }
+
+  /**
+   * Sets the magnet assist strength (validates and updates internal state)
+   * 
+   * @param {number} strength - Strength from 0 to 1
+   * @returns {number} Validated strength
+   */
+  setMagnetStrength(strength) {
+    this.magnetStrength = this.validateMagnetStrength(strength);
+    return this.magnetStrength;
+  }
+
+  /**
+   * Sets the co-control weight (validates and updates internal state)
+   * 
+   * @param {number} weight - Host share of the blend from 0 to 1
+   * @returns {number} Validated weight
+   */
+  setCoControlWeight(weight) {
+    this.coControlWeight = this.validateCoControlWeight(weight);
+    return this.coControlWeight;
+  }
+
+  /**
+   * Sets the input filter profiles (validates and updates internal state)
+   * 
+   * @param {Object} filters - `{ host, participant }` profile names
+   * @returns {{host: string, participant: string}} Validated profiles
+   */
+  setInputFilters(filters) {
+    this.inputFilters = this.validateInputFilters(filters);
+    return { ...this.inputFilters };
+  }
+
+  /**
+   * Sets the switch-scanning rate (validates and updates internal state)
+   * 
+   * @param {number} ms - Time per highlighted cell (0 = off)
+   * @returns {number} Validated rate
+   */
+  setScanInterval(ms) {
+    this.scanIntervalMs = this.validateScanInterval(ms);
+    return this.scanIntervalMs;
+  }
+
+  /**
+   * Sets the star lifetime (validates and updates internal state)
+   * 
+   * @param {number} ms - Lifetime in milliseconds (0 = no timeout)
+   * @returns {number} Validated lifetime
+   */
+  setStarLifetime(ms) {
+    this.starLifetimeMs = this.validateStarLifetime(ms);
+    return this.starLifetimeMs;
+  }
+
+  /**
+   * Sets the timeout action (validates and updates internal state)
+   * 
+   * @param {string} action - "relocate" or "disappear"
+   * @returns {string} Validated timeout action
+   */
+  setTimeoutAction(action) {
+    this.timeoutAction = this.validateTimeoutAction(action);
+    return this.timeoutAction;
+  }
+
+  /**
+   * Sets the current round (validates and updates internal state)
+   * 
+   * @param {Object} round - Round record from Firebase
+   * @returns {Object} Validated round
+   */
+  setRound(round) {
+    this.round = this.validateRound(round);
+    return this.round;
+  }
+
+  /**
+   * Sets the current turn (validates and updates internal state)
+   * 
+   * @param {Object|null} turn - Turn record from Firebase
+   * @returns {Object|null} Validated turn (null = turn-taking off)
+   */
+  setTurn(turn) {
+    this.turn = this.validateTurn(turn);
+    return this.turn;
+  }
+
+  /**
+   * Sets the dwell time (validates and updates internal state)
    * 
-   * @param {number} size - New grid size
-   * @returns {number} Validated grid size
+   * @param {number} ms - Dwell time in milliseconds
+   * @returns {number} Validated dwell time
    */
-  setGridSize(size) {
-    this.gridSize = this.validateGridSize(size);
-    return this.gridSize;
+  setDwellTime(ms) {
+    this.dwellTimeMs = this.validateDwellTime(ms);
+    return this.dwellTimeMs;
   }
 
   /**
@@ -301,8 +2091,23 @@ class GameService {
   getState() {
     return {
       score: this.score,
-      gridSize: this.gridSize,
+      gridRows: this.gridRows,
+      gridCols: this.gridCols,
       isMultiplayerMode: this.isMultiplayerMode,
+      collectMode: this.collectMode,
+      dwellTimeMs: this.dwellTimeMs,
+      placementMode: this.placementMode,
+      seed: this.seed,
+      motionMode: this.motionMode,
+      targetSpeed: this.targetSpeed,
+      magnetStrength: this.magnetStrength,
+      coControlWeight: this.coControlWeight,
+      inputFilters: { ...this.inputFilters },
+      scanIntervalMs: this.scanIntervalMs,
+      starLifetimeMs: this.starLifetimeMs,
+      timeoutAction: this.timeoutAction,
+      round: { ...this.round },
+      turn: this.turn ? { ...this.turn } : null,
       stars: [...this.stars], // Return copy to prevent mutation
     };
   }
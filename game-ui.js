@@ -5,15 +5,48 @@
  * - Score display
  * - Sidebar icons
  * - Star control grid
+ * - Free star placement area
+ * - Session report / CSV export
+ * - Pointer heatmap overlay / PNG export
  */
 
+import { getHeatColor } from "./pointer-heatmap.js";
 
 export class GameUI {
   constructor() {
     this._scoreElement = null;
     this._starGridElement = null;
     this._starCells = [];
+    this._placementAreaElement = null;
+    this._starMarkers = [];
     this._swapButtonKey = null;
+    this._collectModeKey = null;
+    this._dwellTimeKey = null;
+    this._muteKey = null;
+    this._volumeKey = null;
+    this._placementModeKey = null;
+    this._seedKey = null;
+    this._motionModeKey = null;
+    this._targetSpeedKey = null;
+    this._lifetimeKey = null;
+    this._timeoutActionKey = null;
+    this._magnetKey = null;
+    this._coControlKey = null;
+    this._pointerGhostKey = null;
+    this._heatmapKey = null;
+    this._heatmapElement = null;
+    this._hostFilterKey = null;
+    this._participantFilterKey = null;
+    this._scanKey = null;
+    this._turnKey = null;
+    this._turnElement = null;
+    this._handoverElement = null;
+    this._handoverTimer = null;
+    this._roundElement = null;
+    this._celebrationElement = null;
+    this._roundGoalKey = null;
+    this._roundControlsReady = false;
+    this._typePickerElement = null;
   }
 
   /**
@@ -22,6 +55,7 @@ export class GameUI {
    */
   init(initialScore = 0) {
     this._createScoreDisplay(initialScore);
+    this._createRoundDisplay();
   }
 
   /**
@@ -34,24 +68,618 @@ export class GameUI {
     }
   }
 
+  /**
+   * Updates the round counter and progress toward its goal.
+   * @param {Object} round - `{ number, goal }`
+   * @param {Object} progress - `{ collected, elapsedMs }` from GameService
+   */
+  updateRound(round, progress) {
+    if (!this._roundElement) return;
+
+    let text = `Round ${round.number}`;
+    if (round.goal?.type === "stars") {
+      const collected = Math.min(progress.collected, round.goal.value);
+      text += ` \u00B7 ${collected}/${round.goal.value}`;
+    } else if (round.goal?.type === "time") {
+      const remaining = Math.max(0, round.goal.value - progress.elapsedMs);
+      text += ` \u00B7 ${this._formatClock(remaining)}`;
+    }
+    this._roundElement.textContent = text;
+  }
+
+  /**
+   * Shows the full-screen end-of-round celebration.
+   * @param {Object} round - Completed round `{ number, goal }`
+   * @param {Object} progress - `{ collected, elapsedMs }` from GameService
+   */
+  showCelebration(round, progress) {
+    this.hideCelebration();
+
+    const overlay = document.createElement("div");
+    overlay.id = "round-celebration";
+
+    const title = document.createElement("div");
+    title.className = "celebration-title";
+    title.textContent = `Round ${round.number} complete!`;
+
+    const detail = document.createElement("div");
+    detail.className = "celebration-detail";
+    const stars = progress.collected === 1 ? "star" : "stars";
+    detail.textContent =
+      `\u2B50 ${progress.collected} ${stars} in ` +
+      this._formatClock(progress.elapsedMs);
+
+    overlay.appendChild(title);
+    overlay.appendChild(detail);
+    document.body.appendChild(overlay);
+    this._celebrationElement = overlay;
+  }
+
+  /**
+   * Removes the celebration overlay, if shown.
+   */
+  hideCelebration() {
+    if (this._celebrationElement) {
+      this._celebrationElement.remove();
+      this._celebrationElement = null;
+    }
+  }
+
+  /**
+   * Shows whose turn it is, or hides the indicator when turns are off.
+   * @param {Object|null} turn - `{ rule, holder }` from GameService
+   * @param {Object} [info] - { isMine, remainingMs } (remainingMs only for
+   *   timed turns)
+   */
+  updateTurn(turn, { isMine = false, remainingMs = null } = {}) {
+    if (!turn) {
+      if (this._turnElement) {
+        this._turnElement.remove();
+        this._turnElement = null;
+      }
+      return;
+    }
+
+    if (!this._turnElement) {
+      this._turnElement = document.createElement("div");
+      this._turnElement.id = "turn-indicator";
+      document.body.appendChild(this._turnElement);
+    }
+
+    let text = isMine ? "Your turn" : `${this._turnName(turn.holder)}'s turn`;
+    if (remainingMs !== null) {
+      text += ` \u00B7 ${this._formatClock(Math.max(0, remainingMs))}`;
+    }
+    this._turnElement.textContent = text;
+    this._turnElement.classList.toggle("is-mine", isMine);
+  }
+
+  /**
+   * Plays the short handover animation when the turn passes.
+   * @param {string} holder - Role taking the turn
+   * @param {boolean} isMine - Whether this client takes the turn
+   */
+  showTurnHandover(holder, isMine) {
+    this.hideTurnHandover();
+
+    const overlay = document.createElement("div");
+    overlay.id = "turn-handover";
+    overlay.textContent = isMine
+      ? "Your turn!"
+      : `${this._turnName(holder)}'s turn!`;
+    document.body.appendChild(overlay);
+    this._handoverElement = overlay;
+    this._handoverTimer = setTimeout(() => this.hideTurnHandover(), 1600);
+  }
+
+  /**
+   * Removes the handover overlay, if shown.
+   */
+  hideTurnHandover() {
+    clearTimeout(this._handoverTimer);
+    this._handoverTimer = null;
+    if (this._handoverElement) {
+      this._handoverElement.remove();
+      this._handoverElement = null;
+    }
+  }
+
+  /**
+   * Sets up (or refreshes) the round icons: next round, reset score and
+   * the goal for the current round.
+   * @param {Object|null} goal - Current round goal
+   * @param {Object} callbacks - { onNextRound, onResetScore, onGoalCycle }
+   */
+  updateRoundControls(goal, { onNextRound, onResetScore, onGoalCycle }) {
+    if (!this._roundControlsReady) {
+      SquidlyAPI.setIcon(16, 0, {
+        symbol: "next",
+        displayValue: "Next Round",
+        type: "action",
+      }, onNextRound);
+
+      SquidlyAPI.setIcon(17, 0, {
+        symbol: "reset",
+        displayValue: "Reset Score",
+        type: "action",
+      }, onResetScore);
+
+      this._roundControlsReady = true;
+    }
+
+    if (this._roundGoalKey) SquidlyAPI.removeIcon(this._roundGoalKey);
+
+    let label = "Free Play";
+    if (goal?.type === "stars") label = `Goal: ${goal.value} Stars`;
+    if (goal?.type === "time") label = `Goal: ${goal.value / 1000}s`;
+
+    this._roundGoalKey = SquidlyAPI.setIcon(18, 0, {
+      symbol: "flag",
+      displayValue: label,
+      type: "action",
+    }, onGoalCycle);
+  }
+
   /**
    * Sets up sidebar icons for Grid control.
-   * @param {Object} callbacks - { onGridIncrease, onGridDecrease }
+   * Rows are adjusted from the first icon column, columns from the second.
+   * @param {Object} callbacks - { onRowsIncrease, onRowsDecrease, onColsIncrease, onColsDecrease }
    */
-  setupGridControls({ onGridIncrease, onGridDecrease }) {
-    // Grid +
+  setupGridControls({
+    onRowsIncrease,
+    onRowsDecrease,
+    onColsIncrease,
+    onColsDecrease,
+  }) {
+    // Rows +
     SquidlyAPI.setIcon(1, 0, {
       symbol: "add",
-      displayValue: "Increase Grid",
+      displayValue: "More Rows",
       type: "action",
-    }, onGridIncrease);
+    }, onRowsIncrease);
 
-    // Grid -
+    // Rows -
     SquidlyAPI.setIcon(2, 0, {
       symbol: "minus",
-      displayValue: "Decrease Grid",
+      displayValue: "Fewer Rows",
+      type: "action",
+    }, onRowsDecrease);
+
+    // Columns +
+    SquidlyAPI.setIcon(1, 1, {
+      symbol: "add",
+      displayValue: "More Columns",
+      type: "action",
+    }, onColsIncrease);
+
+    // Columns -
+    SquidlyAPI.setIcon(2, 1, {
+      symbol: "minus",
+      displayValue: "Fewer Columns",
+      type: "action",
+    }, onColsDecrease);
+  }
+
+  /**
+   * Sets up (or refreshes) the collection mode and dwell time icons.
+   * Icons are re-created so their labels reflect the current values.
+   * @param {string} collectMode - "touch" or "dwell"
+   * @param {number} dwellTimeMs - Current dwell time in milliseconds
+   * @param {Object} callbacks - { onCollectModeToggle, onDwellTimeCycle }
+   */
+  updateCollectControls(
+    collectMode,
+    dwellTimeMs,
+    { onCollectModeToggle, onDwellTimeCycle },
+  ) {
+    if (this._collectModeKey) SquidlyAPI.removeIcon(this._collectModeKey);
+    if (this._dwellTimeKey) SquidlyAPI.removeIcon(this._dwellTimeKey);
+
+    const isDwell = collectMode === "dwell";
+
+    this._collectModeKey = SquidlyAPI.setIcon(4, 0, {
+      symbol: isDwell ? "timer" : "touch",
+      displayValue: isDwell ? "Dwell Collect" : "Touch Collect",
+      type: "action",
+    }, onCollectModeToggle);
+
+    this._dwellTimeKey = SquidlyAPI.setIcon(5, 0, {
+      symbol: "hourglass",
+      displayValue: `Dwell ${(dwellTimeMs / 1000).toFixed(1)}s`,
+      type: "action",
+    }, onDwellTimeCycle);
+  }
+
+  /**
+   * Sets up (or refreshes) the sound mute and volume icons.
+   * @param {boolean} muted - Whether sound is muted
+   * @param {number} volume - Current volume (0-1)
+   * @param {Object} callbacks - { onMuteToggle, onVolumeCycle }
+   */
+  updateSoundControls(muted, volume, { onMuteToggle, onVolumeCycle }) {
+    if (this._muteKey) SquidlyAPI.removeIcon(this._muteKey);
+    if (this._volumeKey) SquidlyAPI.removeIcon(this._volumeKey);
+
+    this._muteKey = SquidlyAPI.setIcon(6, 0, {
+      symbol: muted ? "volume-off" : "volume-on",
+      displayValue: muted ? "Sound Off" : "Sound On",
+      type: "action",
+    }, onMuteToggle);
+
+    this._volumeKey = SquidlyAPI.setIcon(7, 0, {
+      symbol: "volume",
+      displayValue: `Volume ${Math.round(volume * 100)}%`,
+      type: "action",
+    }, onVolumeCycle);
+  }
+
+  /**
+   * Sets up (or refreshes) the star placement mode icon.
+   * @param {string} placementMode - "grid" or "free"
+   * @param {Function} onPlacementModeToggle
+   */
+  updatePlacementControls(placementMode, onPlacementModeToggle) {
+    if (this._placementModeKey) SquidlyAPI.removeIcon(this._placementModeKey);
+
+    const isFree = placementMode === "free";
+
+    this._placementModeKey = SquidlyAPI.setIcon(8, 0, {
+      symbol: isFree ? "cursor" : "grid",
+      displayValue: isFree ? "Free Placement" : "Grid Placement",
+      type: "action",
+    }, onPlacementModeToggle);
+  }
+
+  /**
+   * Sets up (or refreshes) the seed icon. The label shows the current seed
+   * so it can be noted down and replayed later.
+   * @param {string|null} seed - Current session seed
+   * @param {Function} onSeedClick
+   */
+  updateSeedControls(seed, onSeedClick) {
+    if (this._seedKey) SquidlyAPI.removeIcon(this._seedKey);
+
+    this._seedKey = SquidlyAPI.setIcon(11, 0, {
+      symbol: "seed",
+      displayValue: seed ? `Seed ${seed}` : "Seed",
+      type: "action",
+    }, onSeedClick);
+  }
+
+  /**
+   * Sets up (or refreshes) the moving-target icons: motion mode and speed.
+   * @param {string} motionMode - "still" or a path type
+   * @param {number} targetSpeed - Speed in normalized units per second
+   * @param {Object} callbacks - { onMotionModeCycle, onTargetSpeedCycle }
+   */
+  updateMotionControls(
+    motionMode,
+    targetSpeed,
+    { onMotionModeCycle, onTargetSpeedCycle },
+  ) {
+    if (this._motionModeKey) SquidlyAPI.removeIcon(this._motionModeKey);
+    if (this._targetSpeedKey) SquidlyAPI.removeIcon(this._targetSpeedKey);
+
+    const labels = {
+      still: "Still Stars",
+      linear: "Moving: Line",
+      circle: "Moving: Circle",
+      figure8: "Moving: Figure 8",
+      "random-walk": "Moving: Wander",
+    };
+
+    this._motionModeKey = SquidlyAPI.setIcon(12, 0, {
+      symbol: motionMode === "still" ? "star" : "move",
+      displayValue: labels[motionMode] || labels.still,
+      type: "action",
+    }, onMotionModeCycle);
+
+    this._targetSpeedKey = SquidlyAPI.setIcon(13, 0, {
+      symbol: "speed",
+      displayValue: `Speed ${Math.round(targetSpeed * 100)}`,
+      type: "action",
+    }, onTargetSpeedCycle);
+  }
+
+  /**
+   * Sets up (or refreshes) the star lifetime icons: lifetime presets and
+   * what happens at timeout.
+   * @param {number} lifetimeMs - Star lifetime (0 = no timeout)
+   * @param {string} timeoutAction - "relocate" or "disappear"
+   * @param {Object} callbacks - { onLifetimeCycle, onTimeoutActionToggle }
+   */
+  updateLifetimeControls(
+    lifetimeMs,
+    timeoutAction,
+    { onLifetimeCycle, onTimeoutActionToggle },
+  ) {
+    if (this._lifetimeKey) SquidlyAPI.removeIcon(this._lifetimeKey);
+    if (this._timeoutActionKey) SquidlyAPI.removeIcon(this._timeoutActionKey);
+
+    this._lifetimeKey = SquidlyAPI.setIcon(14, 0, {
+      symbol: "timer",
+      displayValue:
+        lifetimeMs > 0 ? `Lifetime ${lifetimeMs / 1000}s` : "No Lifetime",
+      type: "action",
+    }, onLifetimeCycle);
+
+    const relocate = timeoutAction === "relocate";
+    this._timeoutActionKey = SquidlyAPI.setIcon(15, 0, {
+      symbol: relocate ? "shuffle" : "hide",
+      displayValue: relocate ? "Timeout: Relocate" : "Timeout: Disappear",
+      type: "action",
+    }, onTimeoutActionToggle);
+  }
+
+  /**
+   * Sets up (or refreshes) the magnet aim-assist icon.
+   * @param {number} strength - Magnet strength from 0 (off) to 1
+   * @param {Function} onMagnetCycle - Steps to the next strength
+   */
+  updateMagnetControls(strength, onMagnetCycle) {
+    if (this._magnetKey) SquidlyAPI.removeIcon(this._magnetKey);
+
+    this._magnetKey = SquidlyAPI.setIcon(19, 0, {
+      symbol: "magnet",
+      displayValue:
+        strength > 0 ? `Magnet ${Math.round(strength * 100)}%` : "Magnet Off",
+      type: "action",
+    }, onMagnetCycle);
+  }
+
+  /**
+   * Sets up (or refreshes) the co-control (hand-over-hand) icon.
+   * @param {number} weight - Host share of the blend from 0 (off) to 1
+   * @param {Function} onCoControlCycle - Steps to the next weight
+   */
+  updateCoControlControls(weight, onCoControlCycle) {
+    if (this._coControlKey) SquidlyAPI.removeIcon(this._coControlKey);
+
+    this._coControlKey = SquidlyAPI.setIcon(24, 0, {
+      symbol: "hand",
+      displayValue:
+        weight > 0 ? `Guide ${Math.round(weight * 100)}%` : "Guide Off",
+      type: "action",
+    }, onCoControlCycle);
+  }
+
+  /**
+   * Sets up (or refreshes) the pointer ghost toggle (host's screen only).
+   * @param {boolean} enabled - Whether the ghost is shown
+   * @param {Function} onPointerGhostToggle - Toggles the ghost
+   */
+  updatePointerGhostControls(enabled, onPointerGhostToggle) {
+    if (this._pointerGhostKey) SquidlyAPI.removeIcon(this._pointerGhostKey);
+
+    this._pointerGhostKey = SquidlyAPI.setIcon(25, 0, {
+      symbol: "eye",
+      displayValue: enabled ? "Pointer Ghost On" : "Pointer Ghost Off",
       type: "action",
-    }, onGridDecrease);
+    }, onPointerGhostToggle);
+  }
+
+  /**
+   * Sets up (or refreshes) the pointer heatmap icons (host's screen only).
+   * @param {boolean} visible - Whether the overlay is shown
+   * @param {Object} callbacks - { onHeatmapToggle, onHeatmapExport }
+   */
+  updateHeatmapControls(visible, { onHeatmapToggle, onHeatmapExport }) {
+    if (this._heatmapKey) {
+      SquidlyAPI.removeIcon(this._heatmapKey);
+    } else {
+      SquidlyAPI.setIcon(27, 0, {
+        symbol: "download",
+        displayValue: "Export Heatmap",
+        type: "action",
+      }, onHeatmapExport);
+    }
+
+    this._heatmapKey = SquidlyAPI.setIcon(26, 0, {
+      symbol: "heatmap",
+      displayValue: visible ? "Heatmap On" : "Heatmap Off",
+      type: "action",
+    }, onHeatmapToggle);
+  }
+
+  /**
+   * Shows (or redraws) the heatmap overlay over the play area.
+   * @param {number[][]} levels - Heat level (0-1) per cell, top row first
+   * @param {Object} bounds - Normalized area the grid covers
+   * @param {number} [opacity=0.6] - Overlay opacity
+   */
+  showHeatmap(levels, bounds, opacity = 0.6) {
+    if (!this._heatmapElement) {
+      this._heatmapElement = document.createElement("canvas");
+      this._heatmapElement.id = "heatmap-overlay";
+      document.body.appendChild(this._heatmapElement);
+    }
+
+    const canvas = this._heatmapElement;
+    Object.assign(canvas.style, {
+      left: `${bounds.left * 100}%`,
+      top: `${bounds.top * 100}%`,
+      width: `${(bounds.right - bounds.left) * 100}%`,
+      height: `${(bounds.bottom - bounds.top) * 100}%`,
+      opacity: String(opacity),
+    });
+    this._drawHeatmap(canvas, levels);
+  }
+
+  /**
+   * Removes the heatmap overlay, if shown.
+   */
+  hideHeatmap() {
+    if (this._heatmapElement) {
+      this._heatmapElement.remove();
+      this._heatmapElement = null;
+    }
+  }
+
+  /**
+   * Downloads the heatmap as a PNG image on a dark background.
+   * @param {string} filename
+   * @param {number[][]} levels - Heat level (0-1) per cell, top row first
+   * @param {number} [cellSize=24] - Pixels per cell in the image
+   */
+  downloadHeatmapPng(filename, levels, cellSize = 24) {
+    const grid = document.createElement("canvas");
+    this._drawHeatmap(grid, levels);
+
+    const image = document.createElement("canvas");
+    image.width = grid.width * cellSize;
+    image.height = grid.height * cellSize;
+    const ctx = image.getContext("2d");
+    ctx.fillStyle = "#1b1818";
+    ctx.fillRect(0, 0, image.width, image.height);
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(grid, 0, 0, image.width, image.height);
+
+    image.toBlob((blob) => {
+      if (!blob) {
+        console.warn("[GameUI] Heatmap image could not be encoded");
+        return;
+      }
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    }, "image/png");
+  }
+
+  /**
+   * Sets up (or refreshes) the input filter icons, one per real identity.
+   * @param {{host: string, participant: string}} filters - Profile names
+   * @param {Object} callbacks - { onHostFilterCycle, onParticipantFilterCycle }
+   */
+  updateInputFilterControls(
+    filters,
+    { onHostFilterCycle, onParticipantFilterCycle },
+  ) {
+    if (this._hostFilterKey) SquidlyAPI.removeIcon(this._hostFilterKey);
+    if (this._participantFilterKey) {
+      SquidlyAPI.removeIcon(this._participantFilterKey);
+    }
+
+    const labels = {
+      none: "Off",
+      "one-euro": "One Euro",
+      median: "Median",
+      fixation: "Fixation",
+    };
+
+    this._hostFilterKey = SquidlyAPI.setIcon(20, 0, {
+      symbol: "filter",
+      displayValue: `Host Filter: ${labels[filters.host] || labels.none}`,
+      type: "action",
+    }, onHostFilterCycle);
+
+    this._participantFilterKey = SquidlyAPI.setIcon(21, 0, {
+      symbol: "filter",
+      displayValue:
+        `Participant Filter: ${labels[filters.participant] || labels.none}`,
+      type: "action",
+    }, onParticipantFilterCycle);
+  }
+
+  /**
+   * Sets up (or refreshes) the switch-scanning rate icon.
+   * @param {number} intervalMs - Time per highlighted cell (0 = off)
+   * @param {Function} onScanCycle - Steps to the next rate
+   */
+  updateScanControls(intervalMs, onScanCycle) {
+    if (this._scanKey) SquidlyAPI.removeIcon(this._scanKey);
+
+    this._scanKey = SquidlyAPI.setIcon(22, 0, {
+      symbol: "switch",
+      displayValue: intervalMs > 0 ? `Scan ${intervalMs / 1000}s` : "Scan Off",
+      type: "action",
+    }, onScanCycle);
+  }
+
+  /**
+   * Sets up (or refreshes) the turn-taking icon.
+   * @param {Object|null} rule - Current turn rule (null = turns off)
+   * @param {Function} onTurnRuleCycle - Steps to the next rule
+   */
+  updateTurnControls(rule, onTurnRuleCycle) {
+    if (this._turnKey) SquidlyAPI.removeIcon(this._turnKey);
+
+    let label = "Turns Off";
+    if (rule?.type === "stars") {
+      label = rule.value === 1 ? "Turns: Each Star" : `Turns: ${rule.value} Stars`;
+    }
+    if (rule?.type === "time") label = `Turns: ${rule.value / 1000}s`;
+
+    this._turnKey = SquidlyAPI.setIcon(23, 0, {
+      symbol: "swap",
+      displayValue: label,
+      type: "action",
+    }, onTurnRuleCycle);
+  }
+
+  /**
+   * Asks the host for a seed to replay.
+   * @param {string|null} currentSeed - Prefilled value
+   * @returns {string|null} Entered text, or null if cancelled
+   */
+  promptSeed(currentSeed) {
+    return window.prompt(
+      "Enter a seed to replay its star sequence",
+      currentSeed || "",
+    );
+  }
+
+  /**
+   * Sets up sidebar icons for the session report and CSV export.
+   * @param {Object} callbacks - { onOpenReport, onExportCsv }
+   */
+  setupReportControls({ onOpenReport, onExportCsv }) {
+    SquidlyAPI.setIcon(9, 0, {
+      symbol: "report",
+      displayValue: "Session Report",
+      type: "action",
+    }, onOpenReport);
+
+    SquidlyAPI.setIcon(10, 0, {
+      symbol: "download",
+      displayValue: "Export CSV",
+      type: "action",
+    }, onExportCsv);
+  }
+
+  /**
+   * Opens an HTML document (e.g. the session report) in a new window.
+   * @param {string} html - Complete HTML document
+   */
+  openReport(html) {
+    const blob = new Blob([html], { type: "text/html" });
+    const url = URL.createObjectURL(blob);
+    const win = window.open(url, "_blank");
+    if (!win) console.warn("[GameUI] Report window was blocked");
+    // Keep the URL alive long enough for the new window to load it
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  /**
+   * Downloads text content as a file.
+   * @param {string} filename
+   * @param {string} content
+   * @param {string} [mimeType="text/plain"]
+   */
+  downloadFile(filename, content, mimeType = "text/plain") {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
   }
 
   /**
@@ -78,11 +706,12 @@ export class GameUI {
   /**
    * Creates or destroys the star control grid based on mode/host status.
    * @param {boolean} shouldShow - Whether the grid should be visible
-   * @param {number} gridSize - Size of grid
+   * @param {number} rows - Grid rows
+   * @param {number} cols - Grid columns
    * @param {Array} stars - Current stars array
    * @param {Function} onCellClick - Callback(row, col)
    */
-  updateStarControlGrid(shouldShow, gridSize, stars, onCellClick) {
+  updateStarControlGrid(shouldShow, rows, cols, stars, onCellClick) {
     if (!shouldShow) {
       this._destroyStarControlGrid();
       return;
@@ -103,14 +732,14 @@ export class GameUI {
     const grid = document.createElement("div");
     grid.className = "star-control-grid";
     grid.id = "star-control-grid";
-    grid.style.gridTemplateColumns = `repeat(${gridSize}, 1fr)`;
-    grid.style.gridTemplateRows = `repeat(${gridSize}, 1fr)`;
+    grid.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
+    grid.style.gridTemplateRows = `repeat(${rows}, 1fr)`;
 
     this._starCells = [];
 
     let cellIndex = 0;
-    for (let row = 0; row < gridSize; row++) {
-      for (let col = 0; col < gridSize; col++) {
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
         const cell = document.createElement("access-button");
         cell.className = "star-control-cell";
         cell.dataset.row = row;
@@ -149,15 +778,146 @@ export class GameUI {
     if (!this._starGridElement || !this._starCells.length) return;
 
     this._starCells.forEach(({ row, col, element }) => {
-      const hasStar = stars.some(s => s.row === row && s.col === col);
-      if (hasStar) {
+      const star = stars.find(s => s.row === row && s.col === col);
+      if (star) {
         element.classList.add("has-star");
+        element.dataset.type = star.type || "normal";
       } else {
         element.classList.remove("has-star");
+        delete element.dataset.type;
       }
+      const icon = element.querySelector(".star-icon");
+      if (icon) icon.textContent = this._getStarTypeIcon(star?.type);
     });
   }
 
+  /**
+   * Creates or destroys the star type picker shown next to the host's
+   * placement grid/area. The selected type is used for newly placed stars.
+   * @param {boolean} shouldShow - Whether the picker should be visible
+   * @param {Array<{type: string, points: number}>} types - Available types
+   * @param {string} selectedType - Currently selected type
+   * @param {Function} onTypeSelect - Callback(type)
+   */
+  updateStarTypePicker(shouldShow, types, selectedType, onTypeSelect) {
+    if (this._typePickerElement) {
+      this._typePickerElement.remove();
+      this._typePickerElement = null;
+    }
+    if (!shouldShow) return;
+
+    const picker = document.createElement("div");
+    picker.className = "star-type-picker";
+    picker.id = "star-type-picker";
+
+    types.forEach(({ type, points }, index) => {
+      const button = document.createElement("access-button");
+      button.className = "star-type-option";
+      button.dataset.type = type;
+      if (type === selectedType) button.classList.add("selected");
+
+      button.setAttribute("access-group", "star-types");
+      button.setAttribute("access-order", index);
+
+      const icon = document.createElement("span");
+      icon.className = "star-icon";
+      icon.textContent = this._getStarTypeIcon(type);
+
+      const label = document.createElement("span");
+      label.className = "star-type-label";
+      const name = type.charAt(0).toUpperCase() + type.slice(1);
+      label.textContent = `${name} +${points}`;
+
+      button.appendChild(icon);
+      button.appendChild(label);
+      button.addEventListener("access-click", () => onTypeSelect(type));
+      picker.appendChild(button);
+    });
+
+    document.body.appendChild(picker);
+    this._typePickerElement = picker;
+  }
+
+  /**
+   * Icon for a star type in the host's placement UI.
+   * @param {string} [type="normal"]
+   * @returns {string}
+   */
+  _getStarTypeIcon(type = "normal") {
+    const icons = {
+      golden: "\u{1F31F}",
+      shy: "\u{1F4AB}",
+    };
+    return icons[type] || "\u2B50";
+  }
+
+  /**
+   * Creates or destroys the free placement area over the play area.
+   * Like the grid cells it is an `access-button`, so it works with any
+   * access method. `access-click` carries no position, so the area tracks
+   * where the pointer last was over it and reports that in normalized
+   * viewport coordinates (0-1).
+   * @param {boolean} shouldShow - Whether the area should be visible
+   * @param {Array<{id: string, x: number, y: number}>} markers - Normalized star positions
+   * @param {Function} onPlaceClick - Callback(x, y)
+   */
+  updateStarPlacementArea(shouldShow, markers, onPlaceClick) {
+    this._destroyStarPlacementArea();
+    if (!shouldShow) return;
+
+    const area = document.createElement("access-button");
+    area.className = "star-placement-area";
+    area.id = "star-placement-area";
+
+    let lastPoint = null;
+    const trackPoint = (e) => {
+      lastPoint = {
+        x: e.clientX / Math.max(1, window.innerWidth),
+        y: e.clientY / Math.max(1, window.innerHeight),
+      };
+    };
+    area.addEventListener("pointermove", trackPoint);
+    area.addEventListener("pointerdown", trackPoint);
+
+    area.addEventListener("access-click", () => {
+      if (lastPoint) onPlaceClick(lastPoint.x, lastPoint.y);
+    });
+
+    document.body.appendChild(area);
+    this._placementAreaElement = area;
+
+    this.updateStarMarkers(markers);
+  }
+
+  /**
+   * Redraws the star markers in the free placement area.
+   * @param {Array<{id: string, x: number, y: number, type: string}>} markers - Normalized star positions
+   */
+  updateStarMarkers(markers) {
+    if (!this._placementAreaElement) return;
+
+    this._starMarkers.forEach((marker) => marker.remove());
+    this._starMarkers = markers.map(({ id, x, y, type = "normal" }) => {
+      const marker = document.createElement("span");
+      marker.className = "star-placement-marker";
+      marker.dataset.starId = id;
+      marker.dataset.type = type;
+      marker.textContent = this._getStarTypeIcon(type);
+      marker.style.left = `${x * 100}vw`;
+      marker.style.top = `${y * 100}vh`;
+      this._placementAreaElement.appendChild(marker);
+      return marker;
+    });
+  }
+
+  _destroyStarPlacementArea() {
+    if (this._placementAreaElement) {
+      this._placementAreaElement.remove();
+      this._placementAreaElement = null;
+    }
+    this._starMarkers = [];
+  }
+
   _destroyStarControlGrid() {
     if (this._starGridElement) {
       this._starGridElement.remove();
@@ -166,6 +926,60 @@ export class GameUI {
     this._starCells = [];
   }
 
+  _createRoundDisplay() {
+    if (this._roundElement) return;
+
+    this._roundElement = document.createElement("div");
+    this._roundElement.id = "round-container";
+    this._roundElement.textContent = "Round 1";
+    document.body.appendChild(this._roundElement);
+  }
+
+  /**
+   * Paints heat levels onto a canvas, one pixel per cell. CSS or
+   * drawImage scales it up with smoothing, which blurs the cells into a
+   * continuous map.
+   * @param {HTMLCanvasElement} canvas
+   * @param {number[][]} levels - Heat level (0-1) per cell, top row first
+   */
+  _drawHeatmap(canvas, levels) {
+    const rows = levels.length;
+    const cols = rows > 0 ? levels[0].length : 0;
+    if (!rows || !cols) return;
+
+    canvas.width = cols;
+    canvas.height = rows;
+    const ctx = canvas.getContext("2d");
+    const image = ctx.createImageData(cols, rows);
+    levels.forEach((row, r) => {
+      row.forEach((level, c) => {
+        image.data.set(getHeatColor(level), (r * cols + c) * 4);
+      });
+    });
+    ctx.putImageData(image, 0, 0);
+  }
+
+  /**
+   * Display name for a role.
+   * @param {string} role - "host" or "participant"
+   * @returns {string}
+   */
+  _turnName(role) {
+    return role === "host" ? "Host" : "Participant";
+  }
+
+  /**
+   * Formats milliseconds as m:ss.
+   * @param {number} ms
+   * @returns {string}
+   */
+  _formatClock(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, "0");
+    return `${minutes}:${seconds}`;
+  }
+
   _createScoreDisplay(initialScore) {
     if (this._scoreElement) return;
 
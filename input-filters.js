@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Input Filters - Tremor and Gaze-Jitter Smoothing
+ *
+ * Per-pointer filters that `InputManager` runs every raw sample through
+ * before storing it, so an eye tracker or a shaky hand can be stabilized
+ * without slowing down a steady mouse on the other pointer.
+ *
+ * All positions are normalized viewport coordinates (see
+ * coordinate-space.js); times are in milliseconds.
+ *
+ * ## Profiles
+ * - `none`: samples pass through unchanged
+ * - `one-euro`: One Euro filter, smooth when slow and responsive when fast
+ * - `median`: moving median over the last few samples, drops single spikes
+ * - `fixation`: clusters samples into fixations and reports the cluster
+ *   centre, ignoring jitter inside it (for eye trackers)
+ *
+ * Every filter has `filter(x, y, timeMs)` returning `{ x, y }` and
+ * `reset()` to forget its history.
+ *
+ * @module InputFilters
+ */
+
+/**
+ * Supported filter profiles
+ * @type {string[]}
+ */
+export const FILTER_PROFILES = ["none", "one-euro", "median", "fixation"];
+
+/**
+ * Tunables used when the caller doesn't supply them
+ * @type {Object}
+ */
+const DEFAULT_FILTER_OPTIONS = {
+  minCutoff: 1.0, // One Euro: cutoff (Hz) when still
+  beta: 5, // One Euro: cutoff gain per normalized unit/s of speed
+  dCutoff: 1.0, // One Euro: cutoff (Hz) for the speed estimate
+  window: 5, // Median: samples in the window
+  radius: 0.04, // Fixation: cluster radius (normalized)
+  breakSamples: 2, // Fixation: samples outside the cluster before it moves
+  maxSamples: 30, // Fixation: samples kept in a cluster
+};
+
+/**
+ * Passes samples through unchanged.
+ */
+class PassthroughFilter {
+  filter(x, y) {
+    return { x, y };
+  }
+
+  reset() {}
+}
+
+/**
+ * One Euro filter (Casiez et al., 2012): a low-pass filter whose cutoff
+ * rises with speed, removing jitter at rest without lag on fast moves.
+ */
+class OneEuroFilter {
+  /**
+   * @param {Object} options - See DEFAULT_FILTER_OPTIONS
+   */
+  constructor({ minCutoff, beta, dCutoff }) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  reset() {
+    this._last = null; // { x, y, dx, dy, t }
+  }
+
+  /**
+   * Smoothing factor for a cutoff frequency and time step.
+   * @param {number} cutoff - Cutoff frequency (Hz)
+   * @param {number} dt - Time step (s)
+   * @returns {number}
+   * @private
+   */
+  _alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  filter(x, y, timeMs) {
+    const last = this._last;
+    if (!last) {
+      this._last = { x, y, dx: 0, dy: 0, t: timeMs };
+      return { x, y };
+    }
+
+    // Repeated timestamps would divide by zero; assume ~60 Hz
+    const dt = timeMs > last.t ? (timeMs - last.t) / 1000 : 1 / 60;
+
+    const aD = this._alpha(this.dCutoff, dt);
+    const dx = last.dx + aD * ((x - last.x) / dt - last.dx);
+    const dy = last.dy + aD * ((y - last.y) / dt - last.dy);
+
+    const speed = Math.hypot(dx, dy);
+    const a = this._alpha(this.minCutoff + this.beta * speed, dt);
+    const next = {
+      x: last.x + a * (x - last.x),
+      y: last.y + a * (y - last.y),
+      dx,
+      dy,
+      t: timeMs,
+    };
+    this._last = next;
+    return { x: next.x, y: next.y };
+  }
+}
+
+/**
+ * Moving median of the last `window` samples, per axis.
+ */
+class MedianFilter {
+  /**
+   * @param {Object} options - See DEFAULT_FILTER_OPTIONS
+   */
+  constructor({ window }) {
+    this.window = Math.max(1, Math.round(window));
+    this.reset();
+  }
+
+  reset() {
+    this._samples = [];
+  }
+
+  filter(x, y) {
+    this._samples.push({ x, y });
+    if (this._samples.length > this.window) this._samples.shift();
+
+    return {
+      x: median(this._samples.map((s) => s.x)),
+      y: median(this._samples.map((s) => s.y)),
+    };
+  }
+}
+
+/**
+ * Dispersion-based fixation detection: samples within `radius` of the
+ * current cluster's centre join it, and the output is that centre. A new
+ * cluster only starts after `breakSamples` samples in a row land outside,
+ * so a single noisy sample never moves the fish.
+ */
+class FixationFilter {
+  /**
+   * @param {Object} options - See DEFAULT_FILTER_OPTIONS
+   */
+  constructor({ radius, breakSamples, maxSamples }) {
+    this.radius = radius;
+    this.breakSamples = Math.max(1, Math.round(breakSamples));
+    this.maxSamples = Math.max(1, Math.round(maxSamples));
+    this.reset();
+  }
+
+  reset() {
+    this._cluster = []; // Samples in the current fixation
+    this._outside = []; // Consecutive samples outside it
+  }
+
+  filter(x, y) {
+    if (this._cluster.length === 0) {
+      this._cluster.push({ x, y });
+      return { x, y };
+    }
+
+    const centre = mean(this._cluster);
+    if (Math.hypot(x - centre.x, y - centre.y) <= this.radius) {
+      this._outside = [];
+      this._cluster.push({ x, y });
+      if (this._cluster.length > this.maxSamples) this._cluster.shift();
+      return mean(this._cluster);
+    }
+
+    this._outside.push({ x, y });
+    if (this._outside.length < this.breakSamples) return centre;
+
+    // The gaze has moved on: the outside samples seed the next fixation
+    this._cluster = this._outside;
+    this._outside = [];
+    return mean(this._cluster);
+  }
+}
+
+/**
+ * Median of a non-empty list of numbers.
+ * @param {number[]} values
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[mid]
+    : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Mean position of a non-empty list of points.
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{x: number, y: number}}
+ */
+function mean(points) {
+  let x = 0;
+  let y = 0;
+  points.forEach((p) => {
+    x += p.x;
+    y += p.y;
+  });
+  return { x: x / points.length, y: y / points.length };
+}
+
+/**
+ * Checks a profile name, falling back to "none".
+ * @param {*} profile
+ * @returns {string} One of FILTER_PROFILES
+ */
+export function validateFilterProfile(profile) {
+  return FILTER_PROFILES.includes(profile) ? profile : "none";
+}
+
+/**
+ * Creates a filter for a profile.
+ *
+ * @param {string} profile - One of FILTER_PROFILES (unknown = "none")
+ * @param {Object} [options] - Tunables, see DEFAULT_FILTER_OPTIONS
+ * @returns {{filter: function(number, number, number): {x: number, y: number}, reset: function(): void}}
+ */
+export function createPointerFilter(profile, options = {}) {
+  const opts = { ...DEFAULT_FILTER_OPTIONS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (Number.isFinite(value) && value > 0) opts[key] = value;
+  });
+
+  switch (validateFilterProfile(profile)) {
+    case "one-euro":
+      return new OneEuroFilter(opts);
+    case "median":
+      return new MedianFilter(opts);
+    case "fixation":
+      return new FixationFilter(opts);
+    default:
+      return new PassthroughFilter();
+  }
+}
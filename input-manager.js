@@ -1,9 +1,22 @@
+import { createPointerFilter, validateFilterProfile } from "./input-filters.js";
+
+// A pointer silent for this long starts its filter afresh, so the fish
+// doesn't glide in from where the pointer was last seen
+const FILTER_RESET_GAP_MS = 500;
+
 /**
  * Input Manager for Fish Game
  * 
  * A minimal pointer storage system for tracking cursor positions.
  * Host/participant logic is handled by app.js for per-app customization.
  * 
+ * Positions are stored in normalized viewport space (0-1, see
+ * coordinate-space.js) together with the size of the viewport they came
+ * from, so each client can map them back onto its own screen.
+ * 
+ * Each pointer ID can have its own filter profile (see input-filters.js);
+ * `x`/`y` hold the filtered position and `rawX`/`rawY` the last sample.
+ * 
  * @author Squidly Team
  * @version 3.0.0
  * @class InputManager
@@ -23,25 +36,75 @@ class InputManager {
       ...options
     };
     this._pointers = new Map();
+    this._filters = new Map(); // id -> { profile, filter }
+  }
+
+  /**
+   * Choose the filter profile for a pointer ID. The profile is kept even
+   * while the pointer is inactive or removed.
+   * 
+   * @param {string} id - Pointer identifier
+   * @param {string} profile - One of FILTER_PROFILES ("none" to disable)
+   * @param {Object} [options] - Filter tunables (see input-filters.js)
+   * @returns {string} Profile in use
+   */
+  setPointerFilter(id, profile, options = {}) {
+    const next = validateFilterProfile(profile);
+    const current = this._filters.get(id);
+    if (current && current.profile === next) return next;
+
+    this._filters.set(id, {
+      profile: next,
+      filter: createPointerFilter(next, options),
+    });
+    return next;
+  }
+
+  /**
+   * Get the filter profile of a pointer ID
+   * @param {string} id - Pointer identifier
+   * @returns {string} Profile name ("none" if never set)
+   */
+  getPointerFilter(id) {
+    return this._filters.get(id)?.profile ?? "none";
   }
 
   /**
    * Update pointer position for the specified user/pointer
    * 
-   * @param {number} x - X coordinate of the pointer
-   * @param {number} y - Y coordinate of the pointer
+   * @param {number} x - Normalized X coordinate of the pointer (0-1)
+   * @param {number} y - Normalized Y coordinate of the pointer (0-1)
    * @param {string} [id="default"] - Unique identifier for the pointer/user
+   * @param {Object} [source=null] - Viewport the sample came from
+   * @param {number} [source.sourceWidth] - Source viewport width in pixels
+   * @param {number} [source.sourceHeight] - Source viewport height in pixels
    */
-  updatePointerPosition(x, y, id = "default") {
+  updatePointerPosition(x, y, id = "default", source = null) {
     if (x === undefined || y === undefined || x === null || y === null) {
       console.log("InputManager: Invalid coordinates received:", x, y, "for user:", id);
       return;
     }
 
     const pointer = this._getOrCreatePointer(id);
-    pointer.x = x;
-    pointer.y = y;
-    pointer.lastSeen = performance.now();
+    const now = performance.now();
+    pointer.rawX = x;
+    pointer.rawY = y;
+
+    const entry = this._filters.get(id);
+    if (entry) {
+      if (now - pointer.lastSeen > FILTER_RESET_GAP_MS) entry.filter.reset();
+      const filtered = entry.filter.filter(x, y, now);
+      pointer.x = filtered.x;
+      pointer.y = filtered.y;
+    } else {
+      pointer.x = x;
+      pointer.y = y;
+    }
+    pointer.lastSeen = now;
+    if (source) {
+      pointer.sourceWidth = source.sourceWidth;
+      pointer.sourceHeight = source.sourceHeight;
+    }
   }
 
   /**
@@ -52,8 +115,12 @@ class InputManager {
     if (!this._pointers.has(id)) {
       this._pointers.set(id, {
         id: id,
-        x: 0,
-        y: 0,
+        x: 0.5,
+        y: 0.5,
+        rawX: 0.5,
+        rawY: 0.5,
+        sourceWidth: 0,
+        sourceHeight: 0,
         lastSeen: 0
       });
     }
@@ -69,6 +136,10 @@ class InputManager {
       id: pointer.id,
       x: pointer.x,
       y: pointer.y,
+      rawX: pointer.rawX,
+      rawY: pointer.rawY,
+      sourceWidth: pointer.sourceWidth,
+      sourceHeight: pointer.sourceHeight,
       lastSeen: pointer.lastSeen
     }));
   }
@@ -125,6 +196,7 @@ class InputManager {
    */
   reset() {
     this._pointers.clear();
+    this._filters.forEach((entry) => entry.filter.reset());
   }
 }
 
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Pointer Heatmap - Where the Controlling Pointer Spent Time
+ *
+ * Accumulates, per session, how long the pointer that steered the fish
+ * stayed over each part of the play area. Therapists use it to spot regions
+ * a learner avoids (e.g. one side of the visual field) without extra
+ * hardware.
+ *
+ * The grid covers the star play area (`getPlayAreaBounds`, the same area
+ * `gridCellToNormalized` places stars in), so cells line up with where
+ * stars can appear on every screen. Time spent outside it, e.g. over the
+ * left UI area, is counted separately.
+ *
+ * Like SessionMetrics, this module has no Firebase or DOM dependencies. The
+ * controller feeds it samples; GameUI draws and exports the result.
+ *
+ * @module PointerHeatmap
+ */
+
+/**
+ * Maps a heat level to an RGBA color: transparent at 0, through blue and
+ * green to yellow and red at 1.
+ *
+ * @param {number} t - Heat level (0-1)
+ * @returns {number[]} `[r, g, b, a]`, each 0-255
+ */
+export function getHeatColor(t) {
+  const v = Math.max(0, Math.min(1, t));
+  if (v === 0) return [0, 0, 0, 0];
+
+  const stops = [
+    [0, [40, 80, 255]],
+    [0.35, [40, 220, 120]],
+    [0.7, [255, 230, 40]],
+    [1, [255, 50, 30]],
+  ];
+  let i = 1;
+  while (i < stops.length - 1 && v > stops[i][0]) i++;
+  const [t0, c0] = stops[i - 1];
+  const [t1, c1] = stops[i];
+  const f = (v - t0) / (t1 - t0);
+  const rgb = c0.map((c, k) => Math.round(c + (c1[k] - c) * f));
+
+  // Fade in so barely visited cells stay subtle
+  return [...rgb, Math.round(255 * Math.min(1, 0.25 + v))];
+}
+
+/**
+ * PointerHeatmap - Dwell-time grid over the play area
+ *
+ * @class
+ * @example
+ * const heatmap = new PointerHeatmap({ bounds: getPlayAreaBounds(0.2) });
+ * heatmap.addSample({ x: 0.6, y: 0.4 }, 250);
+ * const json = heatmap.toJSON();
+ */
+class PointerHeatmap {
+  /**
+   * Creates a new PointerHeatmap instance
+   *
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {number} [options.cols=32] - Grid columns
+   * @param {number} [options.rows=18] - Grid rows
+   * @param {{left: number, right: number, top: number, bottom: number}} [options.bounds]
+   *   Normalized area the grid covers (defaults to the whole viewport)
+   * @param {number} [options.startedAt=Date.now()] - Session start time
+   */
+  constructor(options = {}) {
+    /**
+     * Grid columns
+     * @type {number}
+     */
+    this.cols = Math.max(1, Math.round(options.cols ?? 32));
+
+    /**
+     * Grid rows
+     * @type {number}
+     */
+    this.rows = Math.max(1, Math.round(options.rows ?? 18));
+
+    /**
+     * Normalized area covered by the grid
+     * @type {{left: number, right: number, top: number, bottom: number}}
+     */
+    this.bounds = { left: 0, right: 1, top: 0, bottom: 1, ...options.bounds };
+
+    /**
+     * Session start time (ms since epoch)
+     * @type {number}
+     */
+    this.startedAt = options.startedAt ?? Date.now();
+
+    this.reset();
+  }
+
+  /**
+   * Clears all accumulated time.
+   */
+  reset() {
+    /**
+     * Milliseconds per cell, row-major
+     * @type {Float64Array}
+     * @private
+     */
+    this._cells = new Float64Array(this.cols * this.rows);
+
+    /**
+     * Time spent inside the play area (ms)
+     * @type {number}
+     */
+    this.totalMs = 0;
+
+    /**
+     * Time spent outside the play area (ms)
+     * @type {number}
+     */
+    this.outsideMs = 0;
+  }
+
+  /**
+   * Adds time spent at a pointer position.
+   *
+   * @param {{x: number, y: number}} point - Normalized pointer position
+   * @param {number} durationMs - Time the pointer spent there
+   * @returns {boolean} Whether the sample landed inside the play area
+   */
+  addSample(point, durationMs) {
+    const ms = Number(durationMs);
+    if (!point || !Number.isFinite(ms) || ms <= 0) return false;
+    if (!Number.isFinite(point.x) || !Number.isFinite(point.y)) return false;
+
+    const { left, right, top, bottom } = this.bounds;
+    const u = (point.x - left) / (right - left);
+    const v = (point.y - top) / (bottom - top);
+    if (u < 0 || u > 1 || v < 0 || v > 1) {
+      this.outsideMs += ms;
+      return false;
+    }
+
+    const col = Math.min(this.cols - 1, Math.floor(u * this.cols));
+    const row = Math.min(this.rows - 1, Math.floor(v * this.rows));
+    this._cells[row * this.cols + col] += ms;
+    this.totalMs += ms;
+    return true;
+  }
+
+  /**
+   * Longest time spent in any one cell (ms).
+   * @returns {number}
+   */
+  getMaxMs() {
+    let max = 0;
+    for (let i = 0; i < this._cells.length; i++) {
+      if (this._cells[i] > max) max = this._cells[i];
+    }
+    return max;
+  }
+
+  /**
+   * Time per cell as rows of milliseconds (top row first).
+   * @returns {number[][]}
+   */
+  toGrid() {
+    const grid = [];
+    for (let row = 0; row < this.rows; row++) {
+      const start = row * this.cols;
+      grid.push(
+        Array.from(this._cells.subarray(start, start + this.cols), Math.round),
+      );
+    }
+    return grid;
+  }
+
+  /**
+   * Heat level per cell (0-1), scaled to the busiest cell. Square-rooted so
+   * briefly visited cells still show against one long fixation.
+   * @returns {number[][]}
+   */
+  toLevels() {
+    const max = this.getMaxMs();
+    return this.toGrid().map((row) =>
+      row.map((ms) => (max > 0 ? Math.sqrt(ms / max) : 0)),
+    );
+  }
+
+  /**
+   * Export format for the JSON download.
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      startedAt: new Date(this.startedAt).toISOString(),
+      exportedAt: new Date().toISOString(),
+      cols: this.cols,
+      rows: this.rows,
+      bounds: { ...this.bounds },
+      totalMs: Math.round(this.totalMs),
+      outsideMs: Math.round(this.outsideMs),
+      cellsMs: this.toGrid(),
+    };
+  }
+}
+
+export default PointerHeatmap;
+export { PointerHeatmap };
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview PRNG - Seedable Random Numbers
+ *
+ * Deterministic random number generation so a session's star sequence can be
+ * replayed from its seed, and so every client derives the same per-star
+ * animation parameters from the same inputs.
+ *
+ * Streams are derived by hashing a list of parts, e.g.
+ * `createRng(seed, "stars", generation)` for the stars of one regeneration or
+ * `createRng(seed, starId)` for one star's mesh. The same parts always give
+ * the same sequence.
+ *
+ * @module PRNG
+ */
+
+// Seeds are short base36 strings the host can read out and type back in
+const SEED_LENGTH = 6;
+const SEED_MAX_LENGTH = 16;
+
+/**
+ * Hashes a string to an unsigned 32-bit integer (FNV-1a).
+ * @param {string} str
+ * @returns {number}
+ */
+export function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Mulberry32 generator: small, fast and good enough for gameplay.
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+export function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Creates a generator for the stream identified by the given parts.
+ * @param {...(string|number)} parts - Seed and stream identifiers
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+export function createRng(...parts) {
+  return mulberry32(hashString(parts.join(":")));
+}
+
+/**
+ * Creates a new random seed for a session.
+ * @returns {string} Lowercase base36 seed
+ */
+export function generateSeed() {
+  let seed = "";
+  while (seed.length < SEED_LENGTH) {
+    seed += Math.floor(Math.random() * 36).toString(36);
+  }
+  return seed;
+}
+
+/**
+ * Cleans up a seed entered by the host.
+ * @param {*} value - Raw seed
+ * @returns {string|null} Lowercase alphanumeric seed, or null if unusable
+ */
+export function normalizeSeed(value) {
+  if (value == null) return null;
+  const seed = String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+  return seed.length > 0 && seed.length <= SEED_MAX_LENGTH ? seed : null;
+}
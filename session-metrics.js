@@ -0,0 +1,565 @@
+/**
+ * @fileoverview Session Metrics - Star Log and Therapist Report
+ *
+ * Records what happened to every star during a session so clinicians can
+ * write progress notes: when it appeared, where, whether it was collected or
+ * cleared, how long collection took, how far the fish swam meanwhile, and
+ * which pointer (host or participant) was in control.
+ *
+ * Like GameService, this module has no Firebase or DOM dependencies. The
+ * controller feeds it star and score updates and turns the output into a
+ * printable HTML report or a CSV download.
+ *
+ * ## Star Records
+ * One record per star ID:
+ * - `spawnedAt` / `endedAt`: local timestamps (ms since epoch)
+ * - `cell`: `"r<row>c<col>"` for grid stars, `"x,y"` for free stars
+ * - `type`: star type (`"normal"`, `"golden"`, ...)
+ * - `outcome`: `"active"`, `"collected"` or `"removed"`
+ * - `timeToCollectMs`, `pathLength` (normalized viewport units), `by`
+ * - `reactionTimeMs`, `movementOnsetMs`, `region`: timings measured by the
+ *   collecting client's renderer (appear -> collect, appear -> first move
+ *   toward the star) and the screen region the star was in
+ *
+ * ## Reaction Averages
+ * Rolling averages over the last REACTION_WINDOW collections are kept per
+ * grid cell and per screen region (3x3 over the play area), so slowing over
+ * a session or neglect of one side of the visual field stands out.
+ *
+ * @module SessionMetrics
+ */
+
+// Collections per cell/region included in the rolling reaction averages
+const REACTION_WINDOW = 10;
+
+// CSV columns, in order
+const CSV_COLUMNS = [
+  "starId",
+  "cell",
+  "type",
+  "spawnedAt",
+  "endedAt",
+  "outcome",
+  "by",
+  "timeToCollectMs",
+  "pathLength",
+  "points",
+  "region",
+  "reactionTimeMs",
+  "movementOnsetMs",
+];
+
+/**
+ * Names the 3x3 screen region a normalized point falls in, e.g. "top-left"
+ * or "middle-center".
+ *
+ * @param {{x: number, y: number}} point - Normalized position
+ * @param {{left: number, right: number, top: number, bottom: number}} [bounds]
+ *   Area to divide (defaults to the whole viewport)
+ * @returns {string}
+ */
+export function getScreenRegion(
+  point,
+  bounds = { left: 0, right: 1, top: 0, bottom: 1 },
+) {
+  const third = (value, min, max) => {
+    const t = (value - min) / Math.max(1e-6, max - min);
+    return t < 1 / 3 ? 0 : t < 2 / 3 ? 1 : 2;
+  };
+  const rows = ["top", "middle", "bottom"];
+  const cols = ["left", "center", "right"];
+  return `${rows[third(point.y, bounds.top, bounds.bottom)]}-${
+    cols[third(point.x, bounds.left, bounds.right)]
+  }`;
+}
+
+/**
+ * Returns a non-negative whole number of milliseconds, or null.
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toTiming(value) {
+  const n = Number(value);
+  return value != null && Number.isFinite(n) && n >= 0 ? Math.round(n) : null;
+}
+
+/**
+ * Formats a star's position for display and export.
+ * @param {Object} star - Grid star `{ row, col }` or free star `{ x, y }`
+ * @returns {string}
+ */
+function formatCell(star) {
+  if (Number.isFinite(star.x) && Number.isFinite(star.y)) {
+    return `${star.x.toFixed(3)},${star.y.toFixed(3)}`;
+  }
+  return `r${star.row}c${star.col}`;
+}
+
+/**
+ * Returns the median of a list of numbers, or null when empty.
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[mid]
+    : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Returns the mean of a list of numbers, or null when empty.
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Escapes text for safe inclusion in HTML.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Quotes a CSV field when it contains separators or quotes.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * SessionMetrics - Per-star session log with summary and exports
+ *
+ * @class
+ * @example
+ * const metrics = new SessionMetrics();
+ * metrics.syncStars(stars, { at: Date.now(), pathLength: 0 });
+ * metrics.recordCollection("star_0_1_abc", { by: "participant", ... });
+ * const csv = metrics.toCSV();
+ */
+class SessionMetrics {
+  /**
+   * Creates a new SessionMetrics instance
+   *
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {number} [options.startedAt=Date.now()] - Session start time
+   * @param {number} [options.reactionWindow=10] - Samples per rolling average
+   */
+  constructor(options = {}) {
+    /**
+     * Session start time (ms since epoch)
+     * @type {number}
+     */
+    this.startedAt = options.startedAt ?? Date.now();
+
+    /**
+     * Star records keyed by star ID, in spawn order
+     * @type {Map<string, Object>}
+     * @private
+     */
+    this._records = new Map();
+
+    /**
+     * Samples per rolling reaction average
+     * @type {number}
+     */
+    this.reactionWindow = options.reactionWindow ?? REACTION_WINDOW;
+
+    /**
+     * Recent reaction samples keyed by cell and by region
+     * @type {{cell: Map<string, Array>, region: Map<string, Array>}}
+     * @private
+     */
+    this._reactionSamples = { cell: new Map(), region: new Map() };
+  }
+
+  // ==========================================================================
+  // RECORDING
+  // ==========================================================================
+
+  /**
+   * Diffs the current star set against the log: new IDs are recorded as
+   * spawns, missing active IDs as removals. A removal is turned into a
+   * collection if the score event arrives afterwards.
+   *
+   * @param {Array<Object>} stars - Current stars
+   * @param {Object} context
+   * @param {number} context.at - Local timestamp (ms since epoch)
+   * @param {number} context.pathLength - Fish path length so far
+   */
+  syncStars(stars, { at, pathLength }) {
+    const ids = new Set();
+
+    stars.forEach((star) => {
+      ids.add(star.id);
+      if (!this._records.has(star.id)) {
+        this._records.set(star.id, {
+          starId: star.id,
+          cell: formatCell(star),
+          type: star.type || "normal",
+          spawnedAt: at,
+          pathAtSpawn: pathLength,
+          endedAt: null,
+          outcome: "active",
+          by: null,
+          timeToCollectMs: null,
+          pathLength: null,
+          points: 0,
+          region: null,
+          reactionTimeMs: null,
+          movementOnsetMs: null,
+        });
+      }
+    });
+
+    this._records.forEach((record, starId) => {
+      if (record.outcome === "active" && !ids.has(starId)) {
+        record.outcome = "removed";
+        record.endedAt = at;
+        record.pathLength = pathLength - record.pathAtSpawn;
+      }
+    });
+  }
+
+  /**
+   * Records a collection from its score event. Ignores IDs that were never
+   * seen as stars (bonus points, events from before this session).
+   *
+   * @param {string} starId - Collected star ID
+   * @param {Object} details
+   * @param {number} details.at - Local timestamp (ms since epoch)
+   * @param {number} details.pathLength - Fish path length so far
+   * @param {string} details.by - Role in control ("host" or "participant")
+   * @param {number} [details.points=1] - Points awarded
+   * @returns {boolean} True if a record was updated
+   */
+  recordCollection(starId, { at, pathLength, by, points = 1 }) {
+    const record = this._records.get(starId);
+    if (!record || record.outcome === "collected") return false;
+
+    // The star may already have left the star set; keep its departure time
+    const endedAt = record.outcome === "removed" ? record.endedAt : at;
+    const endPath =
+      record.outcome === "removed"
+        ? record.pathAtSpawn + record.pathLength
+        : pathLength;
+
+    record.outcome = "collected";
+    record.endedAt = endedAt;
+    record.by = by;
+    record.points = points;
+    record.timeToCollectMs = endedAt - record.spawnedAt;
+    record.pathLength = endPath - record.pathAtSpawn;
+    return true;
+  }
+
+  /**
+   * Applies every score event not yet counted.
+   *
+   * @param {Object<string, Object>} events - `{ [starId]: { points, by } }`
+   * @param {Object} context
+   * @param {number} context.at - Local timestamp (ms since epoch)
+   * @param {number} context.pathLength - Fish path length so far
+   */
+  syncScoreEvents(events, { at, pathLength }) {
+    Object.entries(events || {}).forEach(([starId, event]) => {
+      this.recordCollection(starId, {
+        at,
+        pathLength,
+        by: event.by,
+        points: Number(event.points) || 1,
+      });
+    });
+  }
+
+  /**
+   * Attaches reaction timings to a star and adds them to the rolling
+   * averages for its cell and screen region.
+   *
+   * @param {string} starId - Collected star ID
+   * @param {Object} details
+   * @param {number} details.reactionTimeMs - Appear -> collect
+   * @param {number|null} [details.movementOnsetMs] - Appear -> first move
+   * @param {string} details.region - Screen region (see getScreenRegion)
+   * @returns {boolean} True if the sample was recorded
+   */
+  recordReaction(starId, { reactionTimeMs, movementOnsetMs, region }) {
+    const record = this._records.get(starId);
+    const reaction = toTiming(reactionTimeMs);
+    if (!record || reaction === null || record.reactionTimeMs !== null) {
+      return false;
+    }
+
+    const sample = {
+      reactionTimeMs: reaction,
+      movementOnsetMs: toTiming(movementOnsetMs),
+    };
+    Object.assign(record, sample, { region });
+
+    this._pushSample(this._reactionSamples.cell, record.cell, sample);
+    if (region) this._pushSample(this._reactionSamples.region, region, sample);
+    return true;
+  }
+
+  _pushSample(samplesByKey, key, sample) {
+    const samples = samplesByKey.get(key) || [];
+    samples.push(sample);
+    if (samples.length > this.reactionWindow) samples.shift();
+    samplesByKey.set(key, samples);
+  }
+
+  /**
+   * Rolling reaction averages per grid cell and per screen region.
+   *
+   * @returns {Object} Averages
+   * @returns {Object<string, Object>} result.byCell - `{ [cell]: average }`
+   * @returns {Object<string, Object>} result.byRegion - `{ [region]: average }`
+   *   Each average is `{ reactionTimeMs, movementOnsetMs, samples }`;
+   *   movement onset ignores samples where no onset was detected.
+   */
+  getReactionAverages() {
+    const average = (samplesByKey) =>
+      Object.fromEntries(
+        Array.from(samplesByKey, ([key, samples]) => [
+          key,
+          {
+            reactionTimeMs: mean(samples.map((s) => s.reactionTimeMs)),
+            movementOnsetMs: mean(
+              samples
+                .map((s) => s.movementOnsetMs)
+                .filter((ms) => ms !== null),
+            ),
+            samples: samples.length,
+          },
+        ]),
+      );
+
+    return {
+      byCell: average(this._reactionSamples.cell),
+      byRegion: average(this._reactionSamples.region),
+    };
+  }
+
+  // ==========================================================================
+  // SUMMARY & EXPORT
+  // ==========================================================================
+
+  /**
+   * Star records in spawn order (copies).
+   * @returns {Array<Object>}
+   */
+  getRecords() {
+    return Array.from(this._records.values(), (record) => ({ ...record }));
+  }
+
+  /**
+   * Summarizes the session.
+   *
+   * @param {number} [now=Date.now()] - Report time
+   * @returns {Object} Summary
+   * @returns {number} result.durationMs - Time since session start
+   * @returns {number} result.spawned - Stars that appeared
+   * @returns {number} result.collected - Stars collected
+   * @returns {number} result.removed - Stars cleared without collection
+   * @returns {number|null} result.collectionRate - collected / finished stars
+   * @returns {number|null} result.meanTimeToCollectMs
+   * @returns {number|null} result.medianTimeToCollectMs
+   * @returns {number|null} result.meanPathLength - Per collected star
+   * @returns {Object<string, number>} result.collectedBy - Count per role
+   * @returns {number} result.points - Points from collected stars
+   */
+  getSummary(now = Date.now()) {
+    const records = this.getRecords();
+    const collected = records.filter((r) => r.outcome === "collected");
+    const removed = records.filter((r) => r.outcome === "removed");
+    const finished = collected.length + removed.length;
+
+    const collectedBy = {};
+    collected.forEach((r) => {
+      const role = r.by || "unknown";
+      collectedBy[role] = (collectedBy[role] || 0) + 1;
+    });
+
+    const times = collected.map((r) => r.timeToCollectMs);
+    return {
+      startedAt: this.startedAt,
+      durationMs: now - this.startedAt,
+      spawned: records.length,
+      collected: collected.length,
+      removed: removed.length,
+      collectionRate: finished ? collected.length / finished : null,
+      meanTimeToCollectMs: mean(times),
+      medianTimeToCollectMs: median(times),
+      meanPathLength: mean(collected.map((r) => r.pathLength)),
+      collectedBy,
+      points: collected.reduce((sum, r) => sum + r.points, 0),
+    };
+  }
+
+  /**
+   * Exports the star log as CSV (one row per star, ISO timestamps).
+   * @returns {string}
+   */
+  toCSV() {
+    const iso = (ms) => (ms == null ? "" : new Date(ms).toISOString());
+    const rows = this.getRecords().map((r) =>
+      CSV_COLUMNS.map((column) => {
+        if (column === "spawnedAt" || column === "endedAt") {
+          return csvField(iso(r[column]));
+        }
+        if (column === "pathLength" && r.pathLength != null) {
+          return csvField(r.pathLength.toFixed(3));
+        }
+        return csvField(r[column]);
+      }).join(","),
+    );
+    return [CSV_COLUMNS.join(","), ...rows].join("\n");
+  }
+
+  /**
+   * Builds a standalone, printable HTML report.
+   *
+   * @param {Object} [options={}]
+   * @param {string} [options.title="Fish Game Session Report"]
+   * @param {number} [options.now=Date.now()] - Report time
+   * @param {string|null} [options.seed=null] - Session seed, for replay
+   * @returns {string} Complete HTML document
+   */
+  toReportHtml(options = {}) {
+    const title = options.title ?? "Fish Game Session Report";
+    const summary = this.getSummary(options.now);
+    const seconds = (ms) => (ms == null ? "–" : `${(ms / 1000).toFixed(1)} s`);
+    const time = (ms) => (ms == null ? "–" : new Date(ms).toLocaleTimeString());
+    const percent =
+      summary.collectionRate == null
+        ? "–"
+        : `${Math.round(summary.collectionRate * 100)}%`;
+    const byRole =
+      Object.entries(summary.collectedBy)
+        .map(([role, count]) => `${role}: ${count}`)
+        .join(", ") || "–";
+
+    const stats = [
+      ["Started", new Date(summary.startedAt).toLocaleString()],
+      ["Duration", seconds(summary.durationMs)],
+      ["Stars shown", summary.spawned],
+      ["Stars collected", summary.collected],
+      ["Stars cleared", summary.removed],
+      ["Collection rate", percent],
+      ["Mean time to collect", seconds(summary.meanTimeToCollectMs)],
+      ["Median time to collect", seconds(summary.medianTimeToCollectMs)],
+      [
+        "Mean path per star",
+        summary.meanPathLength == null
+          ? "–"
+          : `${summary.meanPathLength.toFixed(2)} screens`,
+      ],
+      ["Collected by", byRole],
+      ["Points", summary.points],
+    ];
+    if (options.seed) stats.push(["Seed", options.seed]);
+
+    const statRows = stats
+      .map(
+        ([label, value]) =>
+          `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`,
+      )
+      .join("\n");
+
+    const reactions = this.getReactionAverages();
+    const reactionRows = (byKey) =>
+      Object.entries(byKey)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, avg]) =>
+          [
+            key,
+            seconds(avg.reactionTimeMs),
+            seconds(avg.movementOnsetMs),
+            avg.samples,
+          ]
+            .map((v) => `<td>${escapeHtml(v)}</td>`)
+            .join(""),
+        )
+        .map((cells) => `<tr>${cells}</tr>`)
+        .join("\n");
+    const reactionHeader = (label) =>
+      `<tr><th>${label}</th><th>Reaction time</th>` +
+      `<th>Movement onset</th><th>Samples</th></tr>`;
+
+    const logRows = this.getRecords()
+      .map((r) =>
+        [
+          r.cell,
+          r.type,
+          time(r.spawnedAt),
+          r.outcome,
+          r.by ?? "–",
+          seconds(r.timeToCollectMs),
+          seconds(r.reactionTimeMs),
+          seconds(r.movementOnsetMs),
+          r.pathLength == null ? "–" : r.pathLength.toFixed(2),
+        ]
+          .map((v) => `<td>${escapeHtml(v)}</td>`)
+          .join(""),
+      )
+      .map((cells) => `<tr>${cells}</tr>`)
+      .join("\n");
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 2em; color: #222; }
+  h1 { font-size: 1.5em; }
+  table { border-collapse: collapse; margin-bottom: 2em; }
+  th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: left; }
+  .stats th { background: #f4f4f4; }
+  @media print { button { display: none; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<button onclick="window.print()">Print</button>
+<h2>Summary</h2>
+<table class="stats">
+${statRows}
+</table>
+<h2>Reaction Times (rolling average of last ${this.reactionWindow})</h2>
+<table>
+${reactionHeader("Region")}
+${reactionRows(reactions.byRegion)}
+</table>
+<table>
+${reactionHeader("Cell")}
+${reactionRows(reactions.byCell)}
+</table>
+<h2>Star Log</h2>
+<table>
+<tr><th>Cell</th><th>Type</th><th>Shown</th><th>Outcome</th><th>By</th><th>Time to collect</th><th>Reaction time</th><th>Movement onset</th><th>Path (screens)</th></tr>
+${logRows}
+</table>
+</body>
+</html>`;
+  }
+}
+
+export default SessionMetrics;
+export { SessionMetrics };
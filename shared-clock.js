@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Shared Clock - Session Time Agreed by Every Client
+ *
+ * Star paths, star lifetimes, keyboard/gamepad movement and switch scanning
+ * are synced as records that each client evaluates against "now". Machine
+ * clocks are routinely off by seconds, so a raw `Date.now()` would put a
+ * moving star (or the fish) in different places on each screen. Every
+ * synced timestamp is therefore in shared time: the real host's clock.
+ *
+ * Other clients estimate their offset from the host with a ping/reply
+ * exchange over Firebase, NTP style:
+ * 1. The client writes a ping `{ id, sentAt }` (its local time).
+ * 2. The host answers with `{ id, sentAt, hostAt }` (the host's time).
+ * 3. On receipt at local time `receivedAt`, the offset is
+ *    `hostAt - (sentAt + receivedAt) / 2`, assuming equal delays each way.
+ *
+ * The reply with the shortest round trip among the recent ones wins, since
+ * its delays were least able to skew the estimate.
+ *
+ * Like SessionMetrics, this module has no Firebase dependency; the
+ * controller carries pings and replies.
+ *
+ * @module SharedClock
+ */
+
+// Recent replies kept for picking the best estimate
+const MAX_SAMPLES = 8;
+
+/**
+ * SharedClock - Offset-corrected clock shared by host and participant.
+ *
+ * @class
+ * @example
+ * // Participant
+ * const clock = new SharedClock();
+ * firebaseSet("clockSync/participant", clock.createPing());
+ * // ...host replies with SharedClock.reply(ping)...
+ * clock.handleReply(reply);
+ * clock.now(); // host time
+ */
+class SharedClock {
+  /**
+   * Creates a new SharedClock instance.
+   *
+   * @constructor
+   * @param {Object} [options={}] - Configuration options
+   * @param {boolean} [options.isReference=false] - This client's clock is
+   *   the reference (the real host): offset stays 0
+   * @param {number} [options.maxSamples=8] - Replies kept for the estimate
+   */
+  constructor({ isReference = false, maxSamples = MAX_SAMPLES } = {}) {
+    this.isReference = isReference;
+    this.maxSamples = maxSamples;
+
+    this._offsetMs = 0;
+    this._samples = []; // { offsetMs, rttMs }, oldest first
+    this._pendingPing = null;
+    this._pingCounter = 0;
+  }
+
+  /**
+   * Estimated shared time minus local time (ms).
+   * @returns {number}
+   */
+  get offsetMs() {
+    return this._offsetMs;
+  }
+
+  /**
+   * Replies used so far (capped at maxSamples).
+   * @returns {number}
+   */
+  get sampleCount() {
+    return this._samples.length;
+  }
+
+  /**
+   * Whether `now()` can be trusted: the reference, or at least one reply
+   * has arrived.
+   * @returns {boolean}
+   */
+  get isSynced() {
+    return this.isReference || this._samples.length > 0;
+  }
+
+  /**
+   * Current shared time.
+   * @param {number} [localNow=Date.now()] - Local time (ms since epoch)
+   * @returns {number} Shared time (ms since epoch, host clock)
+   */
+  now(localNow = Date.now()) {
+    return localNow + this._offsetMs;
+  }
+
+  /**
+   * Starts a sync exchange.
+   * @param {number} [localNow=Date.now()] - Local send time
+   * @returns {{id: string, sentAt: number}} Ping record to write
+   */
+  createPing(localNow = Date.now()) {
+    this._pingCounter += 1;
+    this._pendingPing = {
+      id: `${localNow.toString(36)}-${this._pingCounter}`,
+      sentAt: localNow,
+    };
+    return { ...this._pendingPing };
+  }
+
+  /**
+   * Host side: answers a ping with the host's current time.
+   * @param {Object} ping - `{ id, sentAt }`
+   * @param {number} [hostNow=Date.now()] - Host time
+   * @returns {{id: string, sentAt: number, hostAt: number}|null} Reply, or
+   *   null if the record is not an unanswered ping
+   */
+  static reply(ping, hostNow = Date.now()) {
+    if (!ping || typeof ping !== "object") return null;
+    if (typeof ping.id !== "string" || !Number.isFinite(ping.sentAt)) {
+      return null;
+    }
+    if (ping.hostAt != null) return null; // Already answered
+    return { id: ping.id, sentAt: ping.sentAt, hostAt: hostNow };
+  }
+
+  /**
+   * Updates the offset from the host's reply to our latest ping.
+   * @param {Object} reply - `{ id, sentAt, hostAt }`
+   * @param {number} [receivedAt=Date.now()] - Local receive time
+   * @returns {boolean} Whether the reply was used
+   */
+  handleReply(reply, receivedAt = Date.now()) {
+    const pending = this._pendingPing;
+    if (this.isReference || !pending || !reply) return false;
+    if (reply.id !== pending.id || !Number.isFinite(reply.hostAt)) {
+      return false;
+    }
+    this._pendingPing = null;
+
+    const rttMs = Math.max(0, receivedAt - pending.sentAt);
+    const offsetMs = reply.hostAt - (pending.sentAt + receivedAt) / 2;
+    this._samples.push({ offsetMs, rttMs });
+    if (this._samples.length > this.maxSamples) this._samples.shift();
+
+    const best = this._samples.reduce((a, b) => (b.rttMs < a.rttMs ? b : a));
+    this._offsetMs = Math.round(best.offsetMs);
+    return true;
+  }
+}
+
+export default SharedClock;
+export { SharedClock };
@@ -0,0 +1,355 @@
+/**
+ * @fileoverview Sound Engine - WebAudio Feedback for the Fish Game
+ *
+ * Synthesizes all game sounds at runtime with the WebAudio API, so no audio
+ * assets need to be loaded. Provides short one-shot cues for gameplay events
+ * and a continuous swim tone whose pitch follows the fish speed.
+ *
+ * ## Sounds
+ * - Star spawn: soft rising chime
+ * - Star collect: bright two-note arpeggio
+ * - Star remove: short falling blip (sync cleanup, no score)
+ * - Mode change: two-tone cue (up for multiplayer, down for single-player)
+ * - Turn change: falling two-note chime on a turn-taking handover
+ * - Swim: filtered triangle tone, pitch and loudness follow speed (0-1)
+ *
+ * ## Autoplay Policy
+ * Browsers only allow audio after a user gesture. The AudioContext is created
+ * lazily and resumed on the first pointer or key press; calls made before
+ * that are ignored silently.
+ *
+ * @module SoundEngine
+ */
+
+// Minimum time (ms) between two plays of the same cue, so a whole
+// generation of stars spawning in one frame doesn't stack into a blast
+const CUE_THROTTLE_MS = 60;
+
+// Swim tone range (Hz) mapped from speed 0-1
+const SWIM_FREQ_MIN = 110;
+const SWIM_FREQ_MAX = 330;
+
+/**
+ * SoundEngine - WebAudio based sound effects and swim tone.
+ *
+ * @class
+ * @example
+ * const sound = new SoundEngine({ volume: 0.75 });
+ * sound.playStarCollect();
+ * sound.setSwimSpeed(0.4);
+ */
+class SoundEngine {
+  /**
+   * Creates a new SoundEngine instance.
+   *
+   * @constructor
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.volume=0.75] - Master volume (0-1)
+   * @param {boolean} [options.muted=false] - Start muted
+   */
+  constructor(options = {}) {
+    this._volume = this._clampVolume(options.volume ?? 0.75);
+    this._muted = options.muted === true;
+
+    /** @type {AudioContext|null} Created lazily after a user gesture */
+    this._ctx = null;
+    this._master = null;
+    this._swim = null;
+    this._swimSpeed = 0;
+    this._lastCueAt = new Map();
+
+    this._onUserGesture = () => this.resume();
+    window.addEventListener("pointerdown", this._onUserGesture);
+    window.addEventListener("keydown", this._onUserGesture);
+  }
+
+  /**
+   * Whether sound output is currently muted.
+   * @returns {boolean}
+   */
+  get muted() {
+    return this._muted;
+  }
+
+  /**
+   * Current master volume (0-1).
+   * @returns {number}
+   */
+  get volume() {
+    return this._volume;
+  }
+
+  // ==========================================================================
+  // CONTEXT LIFECYCLE
+  // ==========================================================================
+
+  /**
+   * Creates (if needed) and resumes the AudioContext.
+   * Safe to call repeatedly; used as the user-gesture unlock handler.
+   */
+  resume() {
+    if (!this._ctx) {
+      const AudioCtx = window.AudioContext || window.webkitAudioContext;
+      if (!AudioCtx) return;
+
+      this._ctx = new AudioCtx();
+      this._master = this._ctx.createGain();
+      this._master.gain.value = this._effectiveVolume();
+      this._master.connect(this._ctx.destination);
+      this._startSwim();
+    }
+
+    if (this._ctx.state === "suspended") {
+      this._ctx.resume().catch(() => {});
+    }
+  }
+
+  /**
+   * Whether the context exists and is running.
+   * @returns {boolean}
+   * @private
+   */
+  _isRunning() {
+    return !!this._ctx && this._ctx.state === "running";
+  }
+
+  // ==========================================================================
+  // VOLUME
+  // ==========================================================================
+
+  /**
+   * Sets master volume.
+   * @param {number} volume - Volume 0-1
+   */
+  setVolume(volume) {
+    this._volume = this._clampVolume(volume);
+    this._applyMasterGain();
+  }
+
+  /**
+   * Mutes or unmutes all output (cues and swim tone).
+   * @param {boolean} muted
+   */
+  setMuted(muted) {
+    this._muted = muted === true;
+    this._applyMasterGain();
+  }
+
+  _clampVolume(volume) {
+    const n = Number(volume);
+    return Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : 0.75;
+  }
+
+  _effectiveVolume() {
+    return this._muted ? 0 : this._volume;
+  }
+
+  _applyMasterGain() {
+    if (!this._master) return;
+    // Short ramp avoids clicks when toggling mute
+    this._master.gain.setTargetAtTime(
+      this._effectiveVolume(),
+      this._ctx.currentTime,
+      0.02,
+    );
+  }
+
+  // ==========================================================================
+  // ONE-SHOT CUES
+  // ==========================================================================
+
+  /** Plays the star spawn chime. */
+  playStarSpawn() {
+    if (!this._shouldPlay("spawn")) return;
+    this._playTone({ freq: 660, endFreq: 990, duration: 0.18, gain: 0.12 });
+  }
+
+  /** Plays the star collect arpeggio. */
+  playStarCollect() {
+    if (!this._shouldPlay("collect")) return;
+    this._playTone({ freq: 784, duration: 0.12, gain: 0.25, type: "square" });
+    this._playTone({
+      freq: 1175,
+      duration: 0.22,
+      gain: 0.22,
+      type: "square",
+      delay: 0.08,
+    });
+  }
+
+  /** Plays the star removal blip (sync cleanup, no score). */
+  playStarRemove() {
+    if (!this._shouldPlay("remove")) return;
+    this._playTone({ freq: 440, endFreq: 220, duration: 0.16, gain: 0.1 });
+  }
+
+  /**
+   * Plays the game mode change cue.
+   * @param {boolean} isMultiplayer - New mode; rising cue for multiplayer
+   */
+  playModeChange(isMultiplayer) {
+    if (!this._shouldPlay("mode")) return;
+    const [first, second] = isMultiplayer ? [523, 784] : [784, 523];
+    this._playTone({ freq: first, duration: 0.15, gain: 0.18 });
+    this._playTone({ freq: second, duration: 0.25, gain: 0.18, delay: 0.15 });
+  }
+
+  /** Plays the turn handover cue (two quick notes, like a doorbell). */
+  playTurnChange() {
+    if (!this._shouldPlay("turn")) return;
+    this._playTone({ freq: 880, duration: 0.14, gain: 0.16, type: "triangle" });
+    this._playTone({
+      freq: 659,
+      duration: 0.3,
+      gain: 0.16,
+      type: "triangle",
+      delay: 0.16,
+    });
+  }
+
+  /** Plays the end-of-round fanfare (rising major arpeggio). */
+  playRoundComplete() {
+    if (!this._shouldPlay("round")) return;
+    [523, 659, 784, 1047].forEach((freq, i) => {
+      this._playTone({
+        freq,
+        duration: i === 3 ? 0.45 : 0.16,
+        gain: 0.2,
+        type: "triangle",
+        delay: i * 0.12,
+      });
+    });
+  }
+
+  /**
+   * Checks context state and per-cue throttle.
+   * @param {string} name - Cue name
+   * @returns {boolean} True if the cue should play now
+   * @private
+   */
+  _shouldPlay(name) {
+    if (!this._isRunning() || this._muted) return false;
+
+    const now = performance.now();
+    const last = this._lastCueAt.get(name) || 0;
+    if (now - last < CUE_THROTTLE_MS) return false;
+
+    this._lastCueAt.set(name, now);
+    return true;
+  }
+
+  /**
+   * Plays a single enveloped oscillator tone.
+   *
+   * @param {Object} tone
+   * @param {number} tone.freq - Start frequency (Hz)
+   * @param {number} [tone.endFreq] - End frequency for a glide (Hz)
+   * @param {number} tone.duration - Length in seconds
+   * @param {number} [tone.gain=0.2] - Peak gain
+   * @param {OscillatorType} [tone.type="sine"] - Oscillator waveform
+   * @param {number} [tone.delay=0] - Start delay in seconds
+   * @private
+   */
+  _playTone({ freq, endFreq, duration, gain = 0.2, type = "sine", delay = 0 }) {
+    const ctx = this._ctx;
+    const start = ctx.currentTime + delay;
+    const end = start + duration;
+
+    const osc = ctx.createOscillator();
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, start);
+    if (endFreq) osc.frequency.exponentialRampToValueAtTime(endFreq, end);
+
+    // Fast attack, exponential decay
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(0.0001, start);
+    env.gain.exponentialRampToValueAtTime(gain, start + 0.01);
+    env.gain.exponentialRampToValueAtTime(0.0001, end);
+
+    osc.connect(env);
+    env.connect(this._master);
+    osc.start(start);
+    osc.stop(end + 0.02);
+    osc.onended = () => env.disconnect();
+  }
+
+  // ==========================================================================
+  // SWIM TONE
+  // ==========================================================================
+
+  /**
+   * Sets the fish speed driving the swim tone.
+   * Faster = higher pitch and louder; 0 fades the tone out.
+   * @param {number} speed - Normalized speed (0-1)
+   */
+  setSwimSpeed(speed) {
+    const n = Number(speed);
+    this._swimSpeed = Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : 0;
+    if (!this._swim) return;
+
+    const t = this._ctx.currentTime;
+    const freq =
+      SWIM_FREQ_MIN + (SWIM_FREQ_MAX - SWIM_FREQ_MIN) * this._swimSpeed;
+    this._swim.osc.frequency.setTargetAtTime(freq, t, 0.08);
+    this._swim.filter.frequency.setTargetAtTime(freq * 4, t, 0.08);
+    this._swim.gain.gain.setTargetAtTime(0.05 * this._swimSpeed, t, 0.1);
+  }
+
+  /**
+   * Creates the continuous swim voice (runs for the engine's lifetime).
+   * A slow LFO wobbles the pitch for a "bubbly" underwater feel.
+   * @private
+   */
+  _startSwim() {
+    const ctx = this._ctx;
+
+    const osc = ctx.createOscillator();
+    osc.type = "triangle";
+    osc.frequency.value = SWIM_FREQ_MIN;
+
+    const lfo = ctx.createOscillator();
+    lfo.frequency.value = 5;
+    const lfoDepth = ctx.createGain();
+    lfoDepth.gain.value = 6;
+    lfo.connect(lfoDepth);
+    lfoDepth.connect(osc.frequency);
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = "lowpass";
+    filter.frequency.value = SWIM_FREQ_MIN * 4;
+
+    const gain = ctx.createGain();
+    gain.gain.value = 0;
+
+    osc.connect(filter);
+    filter.connect(gain);
+    gain.connect(this._master);
+    osc.start();
+    lfo.start();
+
+    this._swim = { osc, lfo, filter, gain };
+    this.setSwimSpeed(this._swimSpeed);
+  }
+
+  /**
+   * Stops all audio and releases the AudioContext.
+   */
+  destroy() {
+    window.removeEventListener("pointerdown", this._onUserGesture);
+    window.removeEventListener("keydown", this._onUserGesture);
+
+    if (this._swim) {
+      this._swim.osc.stop();
+      this._swim.lfo.stop();
+      this._swim = null;
+    }
+    if (this._ctx) {
+      this._ctx.close().catch(() => {});
+      this._ctx = null;
+      this._master = null;
+    }
+  }
+}
+
+export default SoundEngine;
+export { SoundEngine };
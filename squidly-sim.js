@@ -0,0 +1,492 @@
+/**
+ * @fileoverview Squidly Simulator - Local Stand-in for the Squidly Platform API
+ *
+ * The game talks to a global `SquidlyAPI` and reads a global `session_info`,
+ * both of which only exist inside the Squidly platform. This module provides
+ * an in-repo replacement so the game can run on one machine with two browser
+ * tabs acting as host and participant.
+ *
+ * ## Activation
+ * The simulator only installs itself when the page URL carries a `sim`
+ * parameter AND no real `SquidlyAPI` is present:
+ * - `index.html?sim=host` - host tab
+ * - `index.html?sim=participant` - participant tab
+ *
+ * It must be loaded before `app.js` (see index.html), because `FishGame`
+ * reads `session_info` when its module is evaluated.
+ *
+ * ## What is simulated
+ * - **Firebase key store**: in-memory tree addressed by "/" paths, replicated
+ *   between tabs over a BroadcastChannel. `firebaseOnValue` fires for the
+ *   key itself, its ancestors, and its descendants, like Firebase `onValue`.
+ * - **session_info**: `{ user: "host" | "participant" }` from the URL.
+ * - **Session info listener**: `participantActive` follows whether a
+ *   participant tab is open (presence heartbeats).
+ * - **Cursor listener**: each tab's mouse position is forwarded to all tabs
+ *   in that tab's screen pixels, tagged with its user.
+ * - **Sidebar icons**: `setIcon`/`removeIcon` render a fake sidebar.
+ * - **access-button**: a minimal element that fires `access-click` on click.
+ *
+ * @module SquidlySimulator
+ */
+
+const CHANNEL_NAME = "squidly-sim";
+
+// How long a new tab waits for a state snapshot from open tabs before
+// delivering initial values (prevents a reloaded host from re-writing defaults)
+const SNAPSHOT_WAIT_MS = 200;
+
+// Presence heartbeat and expiry for participantActive
+const PRESENCE_INTERVAL_MS = 1000;
+const PRESENCE_TIMEOUT_MS = 5000;
+
+/**
+ * Splits a key into path segments, ignoring empty segments.
+ * @param {string} key - Slash-separated path
+ * @returns {string[]}
+ */
+function splitPath(key) {
+  return String(key).split("/").filter((part) => part.length > 0);
+}
+
+/**
+ * Whether one path is equal to, or nested inside, the other.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+function pathsOverlap(a, b) {
+  const len = Math.min(a.length, b.length);
+  for (let i = 0; i < len; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * SquidlySimulator - In-browser fake of the Squidly platform API.
+ *
+ * @class
+ */
+class SquidlySimulator {
+  /**
+   * @constructor
+   * @param {string} user - "host" or "participant"
+   */
+  constructor(user) {
+    this.user = user === "participant" ? "participant" : "host";
+    this.tabId = `${this.user}-${Math.random().toString(36).slice(2, 8)}`;
+
+    this._tree = {};
+    this._valueListeners = new Set();
+    this._cursorListeners = new Set();
+    this._sessionListeners = new Set();
+    this._presence = new Map(); // tabId -> { user, lastSeen }
+    this._participantActive = false;
+
+    this._icons = new Map(); // key -> { x, y, options, element }
+    this._sidebarElement = null;
+
+    this._ready = false;
+    this._readyCallbacks = [];
+
+    this._channel = new BroadcastChannel(CHANNEL_NAME);
+    this._channel.onmessage = (event) => this._onMessage(event.data);
+  }
+
+  /**
+   * Installs globals and starts cross-tab sync.
+   */
+  install() {
+    window.session_info = { user: this.user };
+    window.SquidlyAPI = this._createApi();
+
+    this._defineAccessButton();
+    this._startCursorForwarding();
+    this._startPresence();
+
+    // Ask open tabs for the current state, then go live either way
+    this._post({ type: "hello" });
+    setTimeout(() => this._markReady(), SNAPSHOT_WAIT_MS);
+
+    console.log(`[SquidlySim] Installed as ${this.user} (${this.tabId})`);
+  }
+
+  /**
+   * Builds the object exposed as `window.SquidlyAPI`.
+   * @returns {Object}
+   * @private
+   */
+  _createApi() {
+    return {
+      firebaseSet: (key, value) => this.set(key, value),
+      firebaseOnValue: (key, callback, options) =>
+        this.onValue(key, callback, options),
+      addCursorListener: (callback) => {
+        this._cursorListeners.add(callback);
+      },
+      addSessionInfoListener: (callback) => {
+        this._sessionListeners.add(callback);
+        callback(this._sessionInfo());
+      },
+      setIcon: (x, y, options, callback) =>
+        this._setIcon(x, y, options, callback),
+      removeIcon: (key) => this._removeIcon(key),
+
+      // Debug helpers (not part of the real API)
+      simulator: {
+        dump: () => JSON.parse(JSON.stringify(this._tree)),
+        reset: () => {
+          this._applySet([], null);
+          this._post({ type: "set", path: [], value: null });
+        },
+      },
+    };
+  }
+
+  // ==========================================================================
+  // KEY STORE
+  // ==========================================================================
+
+  /**
+   * Reads the value at a path.
+   * @param {string[]} path
+   * @returns {*} Value or null when missing
+   */
+  get(path) {
+    let node = this._tree;
+    for (const part of path) {
+      if (node == null || typeof node !== "object" || !(part in node)) {
+        return null;
+      }
+      node = node[part];
+    }
+    return node ?? null;
+  }
+
+  /**
+   * Writes a value locally and replicates it to other tabs.
+   * Null/undefined deletes the key, like Firebase `set(ref, null)`.
+   * @param {string} key - Slash-separated path
+   * @param {*} value - JSON-serializable value
+   */
+  set(key, value) {
+    const path = splitPath(key);
+    const clean =
+      value === undefined ? null : JSON.parse(JSON.stringify(value));
+    this._applySet(path, clean);
+    this._post({ type: "set", path, value: clean });
+  }
+
+  /**
+   * Subscribes to a key. Fires once with the current value (after the
+   * initial snapshot sync) and then whenever the data under the key changes.
+   *
+   * @param {string} key - Slash-separated path
+   * @param {Function} callback - Receives the value (null when missing)
+   * @param {Object} [options] - { onlyOnce: boolean }
+   * @returns {Function} Unsubscribe function
+   */
+  onValue(key, callback, options = {}) {
+    const listener = {
+      path: splitPath(key),
+      callback,
+      onlyOnce: options?.onlyOnce === true,
+      lastJson: undefined,
+    };
+    this._valueListeners.add(listener);
+
+    this._whenReady(() => this._notify(listener));
+    return () => this._valueListeners.delete(listener);
+  }
+
+  _applySet(path, value) {
+    if (path.length === 0) {
+      this._tree = value && typeof value === "object" ? value : {};
+    } else {
+      let node = this._tree;
+      for (const part of path.slice(0, -1)) {
+        if (node[part] == null || typeof node[part] !== "object") {
+          node[part] = {};
+        }
+        node = node[part];
+      }
+      const leaf = path[path.length - 1];
+      if (value === null) {
+        delete node[leaf];
+        this._pruneEmpty(path.slice(0, -1));
+      } else {
+        node[leaf] = value;
+      }
+    }
+
+    if (!this._ready) return;
+    this._valueListeners.forEach((listener) => {
+      if (pathsOverlap(listener.path, path)) this._notify(listener);
+    });
+  }
+
+  /**
+   * Removes empty parent objects left behind by a delete (Firebase never
+   * stores empty nodes).
+   * @private
+   */
+  _pruneEmpty(path) {
+    for (let depth = path.length; depth > 0; depth--) {
+      const parentPath = path.slice(0, depth - 1);
+      const parent = parentPath.length ? this.get(parentPath) : this._tree;
+      const key = path[depth - 1];
+      const child = parent?.[key];
+      const isEmpty =
+        child && typeof child === "object" && Object.keys(child).length === 0;
+      if (isEmpty) {
+        delete parent[key];
+      } else {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Fires a listener if its value changed since it last fired.
+   * @private
+   */
+  _notify(listener) {
+    const value = this.get(listener.path);
+    const json = JSON.stringify(value);
+    if (json === listener.lastJson) return;
+    listener.lastJson = json;
+
+    if (listener.onlyOnce) this._valueListeners.delete(listener);
+
+    // Hand out a copy so callers can't mutate the store
+    listener.callback(value === null ? null : JSON.parse(json));
+  }
+
+  _whenReady(fn) {
+    if (this._ready) {
+      setTimeout(fn, 0);
+    } else {
+      this._readyCallbacks.push(fn);
+    }
+  }
+
+  _markReady() {
+    if (this._ready) return;
+    this._ready = true;
+    this._readyCallbacks.forEach((fn) => fn());
+    this._readyCallbacks = [];
+  }
+
+  // ==========================================================================
+  // CROSS-TAB MESSAGING
+  // ==========================================================================
+
+  _post(message) {
+    this._channel.postMessage({ ...message, from: this.tabId });
+  }
+
+  _onMessage(message) {
+    if (!message || message.from === this.tabId) return;
+
+    switch (message.type) {
+      case "hello":
+        // Only answer once we hold real state ourselves
+        if (this._ready) {
+          this._post({ type: "snapshot", to: message.from, tree: this._tree });
+        }
+        break;
+
+      case "snapshot":
+        if (message.to === this.tabId && !this._ready) {
+          this._tree = message.tree || {};
+          this._markReady();
+        }
+        break;
+
+      case "set":
+        this._applySet(message.path, message.value);
+        break;
+
+      case "cursor":
+        this._emitCursor(message.data);
+        break;
+
+      case "presence":
+        this._presence.set(message.from, {
+          user: message.user,
+          lastSeen: performance.now(),
+        });
+        this._updateParticipantActive();
+        break;
+
+      case "bye":
+        this._presence.delete(message.from);
+        this._updateParticipantActive();
+        break;
+    }
+  }
+
+  // ==========================================================================
+  // CURSOR & SESSION
+  // ==========================================================================
+
+  _startCursorForwarding() {
+    let pending = null;
+
+    window.addEventListener("mousemove", (event) => {
+      const shouldSchedule = pending === null;
+      pending = { user: this.user, x: event.clientX, y: event.clientY };
+      if (!shouldSchedule) return;
+
+      // Coalesce to one event per frame, like the platform's cursor stream
+      requestAnimationFrame(() => {
+        const data = pending;
+        pending = null;
+        this._emitCursor(data);
+        this._post({ type: "cursor", data });
+      });
+    });
+  }
+
+  _emitCursor(data) {
+    this._cursorListeners.forEach((callback) => callback({ ...data }));
+  }
+
+  _startPresence() {
+    const beat = () => {
+      this._post({ type: "presence", user: this.user });
+      this._updateParticipantActive();
+    };
+    beat();
+    setInterval(beat, PRESENCE_INTERVAL_MS);
+
+    window.addEventListener("beforeunload", () => this._post({ type: "bye" }));
+  }
+
+  _updateParticipantActive() {
+    const now = performance.now();
+    let active = this.user === "participant";
+
+    for (const [tabId, info] of this._presence.entries()) {
+      if (now - info.lastSeen > PRESENCE_TIMEOUT_MS) {
+        this._presence.delete(tabId);
+      } else if (info.user === "participant") {
+        active = true;
+      }
+    }
+
+    if (active === this._participantActive) return;
+    this._participantActive = active;
+    const info = this._sessionInfo();
+    this._sessionListeners.forEach((callback) => callback(info));
+  }
+
+  _sessionInfo() {
+    return { user: this.user, participantActive: this._participantActive };
+  }
+
+  // ==========================================================================
+  // FAKE SIDEBAR
+  // ==========================================================================
+
+  _setIcon(x, y, options = {}, callback) {
+    const key = `${x}-${y}`;
+    this._removeIcon(key);
+
+    const element = document.createElement("button");
+    element.textContent = options.displayValue || options.symbol || key;
+    element.title = `${options.symbol || ""} (${x}, ${y})`;
+    Object.assign(element.style, {
+      order: String(y * 100 + x),
+      padding: "8px 6px",
+      border: "1px solid rgba(255, 255, 255, 0.2)",
+      borderRadius: "8px",
+      background: "#3a3737",
+      color: "#cac9c4",
+      font: "12px Arial, sans-serif",
+      cursor: "pointer",
+    });
+    element.addEventListener("click", () => {
+      if (typeof callback === "function") callback();
+    });
+
+    this._getSidebar().appendChild(element);
+    this._icons.set(key, { x, y, options, element });
+    return key;
+  }
+
+  _removeIcon(key) {
+    const icon = this._icons.get(key);
+    if (!icon) return;
+    icon.element.remove();
+    this._icons.delete(key);
+  }
+
+  _getSidebar() {
+    if (this._sidebarElement) return this._sidebarElement;
+
+    const sidebar = document.createElement("div");
+    sidebar.id = "squidly-sim-sidebar";
+    Object.assign(sidebar.style, {
+      position: "fixed",
+      top: "0",
+      left: "0",
+      bottom: "0",
+      width: "120px",
+      display: "flex",
+      flexDirection: "column",
+      gap: "6px",
+      padding: "10px 8px",
+      boxSizing: "border-box",
+      overflowY: "auto",
+      background: "#252222ab",
+      zIndex: "10000",
+    });
+
+    const label = document.createElement("div");
+    label.textContent = `SIM: ${this.user}`;
+    Object.assign(label.style, {
+      order: "-1",
+      color: this.user === "host" ? "#5ad3ff" : "#ff4a53",
+      font: "bold 12px Arial, sans-serif",
+      textAlign: "center",
+    });
+    sidebar.appendChild(label);
+
+    document.body.appendChild(sidebar);
+    this._sidebarElement = sidebar;
+    return sidebar;
+  }
+
+  /**
+   * Registers a minimal `access-button` element (normally provided by the
+   * platform) that turns mouse clicks into `access-click` events.
+   * @private
+   */
+  _defineAccessButton() {
+    if (customElements.get("access-button")) return;
+
+    customElements.define(
+      "access-button",
+      class extends HTMLElement {
+        connectedCallback() {
+          if (this._simBound) return;
+          this._simBound = true;
+          this.addEventListener("click", () => {
+            this.dispatchEvent(new CustomEvent("access-click"));
+          });
+        }
+      },
+    );
+  }
+}
+
+// Bootstrap: only with ?sim=host|participant and no real platform API
+const simUser = new URLSearchParams(window.location.search).get("sim");
+if (simUser && typeof window.SquidlyAPI === "undefined") {
+  new SquidlySimulator(simUser).install();
+}
+
+export default SquidlySimulator;
+export { SquidlySimulator };
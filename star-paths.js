@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Star Paths - Moving Targets for Smooth-Pursuit Practice
+ *
+ * Describes how a moving star travels across the play area. Paths are plain
+ * data (numbers only, safe to store in Firebase) created once by the host
+ * and evaluated by every client against the shared session clock
+ * (shared-clock.js), so host and participant see a moving star in the same
+ * place at the same time even when their machine clocks disagree.
+ *
+ * All positions are normalized viewport coordinates (see coordinate-space.js)
+ * and all speeds are in normalized units per second.
+ *
+ * ## Path Types
+ * - `linear`: back and forth between two points
+ * - `circle`: loop around the star's cell
+ * - `figure8`: figure-eight around the star's cell
+ * - `random-walk`: closed loop through random waypoints
+ *
+ * All functions are pure; randomness comes from the `rng` argument.
+ *
+ * @module StarPaths
+ */
+
+/**
+ * Supported path types
+ * @type {string[]}
+ */
+export const PATH_TYPES = ["linear", "circle", "figure8", "random-walk"];
+
+// Loop sizes (normalized units)
+const LOOP_RADIUS_MIN = 0.08;
+const LOOP_RADIUS_MAX = 0.15;
+const LINEAR_MIN_LENGTH = 0.25;
+const RANDOM_WALK_POINTS = 6;
+
+/**
+ * Rounds to 4 decimals to keep synced records small.
+ * @param {number} v
+ * @returns {number}
+ */
+function round4(v) {
+  return Math.round(v * 10000) / 10000;
+}
+
+/**
+ * Clamps a value to [min, max].
+ * @param {number} v
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+/**
+ * Returns a random point inside the bounds.
+ * @param {function(): number} rng
+ * @param {{left: number, right: number, top: number, bottom: number}} bounds
+ * @returns {{x: number, y: number}}
+ */
+function randomPoint(rng, bounds) {
+  return {
+    x: bounds.left + rng() * (bounds.right - bounds.left),
+    y: bounds.top + rng() * (bounds.bottom - bounds.top),
+  };
+}
+
+/**
+ * Creates path data for a star.
+ *
+ * @param {string} type - One of PATH_TYPES
+ * @param {{x: number, y: number}} origin - Star's resting position (normalized)
+ * @param {Object} options
+ * @param {number} options.speed - Travel speed (normalized units/s)
+ * @param {number} options.startedAt - Path start time (ms since epoch)
+ * @param {function(): number} options.rng - Random source in [0, 1)
+ * @param {{left: number, right: number, top: number, bottom: number}} options.bounds
+ *   Area the star must stay inside
+ * @returns {Object|null} Path record, or null for an unknown type
+ */
+export function createStarPath(
+  type,
+  origin,
+  { speed, startedAt, rng, bounds },
+) {
+  const base = { type, speed: round4(speed), t0: Math.round(startedAt) };
+  const width = bounds.right - bounds.left;
+  const height = bounds.bottom - bounds.top;
+
+  switch (type) {
+    case "linear": {
+      // Pick an end point far enough away to be worth following
+      let end = randomPoint(rng, bounds);
+      for (let i = 0; i < 8; i++) {
+        const length = Math.hypot(end.x - origin.x, end.y - origin.y);
+        if (length >= LINEAR_MIN_LENGTH) break;
+        end = randomPoint(rng, bounds);
+      }
+      return {
+        ...base,
+        x0: round4(origin.x),
+        y0: round4(origin.y),
+        x1: round4(end.x),
+        y1: round4(end.y),
+      };
+    }
+
+    case "circle":
+    case "figure8": {
+      const maxRadius = Math.min(width, height) / 2;
+      const r = Math.min(
+        maxRadius,
+        LOOP_RADIUS_MIN + rng() * (LOOP_RADIUS_MAX - LOOP_RADIUS_MIN),
+      );
+      return {
+        ...base,
+        cx: round4(clamp(origin.x, bounds.left + r, bounds.right - r)),
+        cy: round4(clamp(origin.y, bounds.top + r, bounds.bottom - r)),
+        r: round4(r),
+        a0: round4(rng() * Math.PI * 2),
+        dir: rng() < 0.5 ? -1 : 1,
+      };
+    }
+
+    case "random-walk": {
+      const points = [round4(origin.x), round4(origin.y)];
+      for (let i = 1; i < RANDOM_WALK_POINTS; i++) {
+        const p = randomPoint(rng, bounds);
+        points.push(round4(p.x), round4(p.y));
+      }
+      return { ...base, points };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks that a synced path record can be evaluated.
+ * @param {*} path
+ * @returns {boolean}
+ */
+export function isValidPath(path) {
+  return (
+    !!path &&
+    typeof path === "object" &&
+    PATH_TYPES.includes(path.type) &&
+    Number.isFinite(path.speed) &&
+    Number.isFinite(path.t0)
+  );
+}
+
+/**
+ * Evaluates a path at a point in time.
+ *
+ * @param {Object} path - Path record from createStarPath
+ * @param {number} timeMs - Time (ms since epoch)
+ * @returns {{x: number, y: number}|null} Normalized position, or null if the
+ *   path is invalid
+ */
+export function evaluateStarPath(path, timeMs) {
+  if (!isValidPath(path)) return null;
+
+  const elapsed = Math.max(0, (timeMs - path.t0) / 1000);
+  const distance = elapsed * Math.max(0, path.speed);
+
+  switch (path.type) {
+    case "linear": {
+      const length = Math.hypot(path.x1 - path.x0, path.y1 - path.y0);
+      if (length === 0) return { x: path.x0, y: path.y0 };
+      // Ping-pong along the segment
+      const d = distance % (2 * length);
+      const t = (d <= length ? d : 2 * length - d) / length;
+      return {
+        x: path.x0 + (path.x1 - path.x0) * t,
+        y: path.y0 + (path.y1 - path.y0) * t,
+      };
+    }
+
+    case "circle": {
+      const angle = path.a0 + (path.dir * distance) / path.r;
+      return {
+        x: path.cx + path.r * Math.cos(angle),
+        y: path.cy + path.r * Math.sin(angle),
+      };
+    }
+
+    case "figure8": {
+      // Lemniscate of Gerono: two lobes side by side
+      const angle = path.a0 + (path.dir * distance) / path.r;
+      return {
+        x: path.cx + path.r * Math.sin(angle),
+        y: path.cy + path.r * Math.sin(angle) * Math.cos(angle),
+      };
+    }
+
+    case "random-walk": {
+      const pts = Array.from(path.points || []);
+      const count = Math.floor(pts.length / 2);
+      if (count === 0) return null;
+      if (count === 1) return { x: pts[0], y: pts[1] };
+
+      // Closed loop: segment lengths including last -> first
+      const lengths = [];
+      let total = 0;
+      for (let i = 0; i < count; i++) {
+        const j = (i + 1) % count;
+        const len = Math.hypot(
+          pts[j * 2] - pts[i * 2],
+          pts[j * 2 + 1] - pts[i * 2 + 1],
+        );
+        lengths.push(len);
+        total += len;
+      }
+      if (total === 0) return { x: pts[0], y: pts[1] };
+
+      let d = distance % total;
+      for (let i = 0; i < count; i++) {
+        if (d <= lengths[i] || i === count - 1) {
+          const j = (i + 1) % count;
+          const t = lengths[i] === 0 ? 0 : Math.min(1, d / lengths[i]);
+          // Ease in/out at waypoints so turns aren't abrupt
+          const s = t * t * (3 - 2 * t);
+          return {
+            x: pts[i * 2] + (pts[j * 2] - pts[i * 2]) * s,
+            y: pts[i * 2 + 1] + (pts[j * 2 + 1] - pts[i * 2 + 1]) * s,
+          };
+        }
+        d -= lengths[i];
+      }
+      return { x: pts[0], y: pts[1] };
+    }
+
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Switch Scanner - Scanning Input for Switch Users
+ *
+ * Steps a highlight across a list of targets (the star grid cells) at a
+ * fixed rate; a switch press selects the highlighted target. Switches are
+ * mapped from the keyboard (Space/Enter by default), which is how most
+ * switch interfaces present themselves to the browser.
+ *
+ * The highlighted index is derived from a clock and a synced scan start
+ * (`floor((now - start) / interval) % count`), so every client with the
+ * same start, interval and target count shows the same highlight without
+ * syncing each step. Pass the shared session clock: a raw `Date.now()`
+ * would put skewed clients on different cells.
+ *
+ * The scanner only reports indices; the caller maps them to cells and
+ * decides what a selection does.
+ *
+ * @module SwitchScanner
+ */
+
+/**
+ * SwitchScanner - Timed highlight stepping with switch selection.
+ *
+ * @class
+ * @example
+ * const scanner = new SwitchScanner({
+ *   onStep: (index) => highlightCell(index),
+ *   onSelect: (index) => swimToCell(index),
+ * });
+ * scanner.setTargetCount(16);
+ * scanner.setStartTime(startedAt);
+ * scanner.setInterval(1500);
+ * scanner.attach();
+ */
+class SwitchScanner {
+  /**
+   * Creates a new SwitchScanner instance.
+   *
+   * @constructor
+   * @param {Object} [options={}] - Configuration options
+   * @param {string[]} [options.keys=["Space", "Enter"]] - `KeyboardEvent.code`
+   *   values that count as a switch press
+   * @param {Function|null} [options.onStep=null] - Called with the new index
+   *   (or -1 when scanning stops) whenever the highlight moves
+   * @param {Function|null} [options.onSelect=null] - Called with the
+   *   highlighted index on a switch press
+   * @param {Function} [options.clock=Date.now] - Clock the highlight steps
+   *   on (ms since epoch); pass the shared session clock
+   */
+  constructor({
+    keys = ["Space", "Enter"],
+    onStep = null,
+    onSelect = null,
+    clock = Date.now,
+  } = {}) {
+    this.keys = keys;
+    this.onStep = onStep;
+    this.onSelect = onSelect;
+
+    this._clock = clock;
+    this._startedAt = 0;
+    this._intervalMs = 0;
+    this._count = 0;
+    this._index = -1;
+    this._timer = null;
+    this._target = null;
+    this._onKeyDown = (event) => this._handleKeyDown(event);
+  }
+
+  /**
+   * Whether scanning is running (interval set and at least one target).
+   * @returns {boolean}
+   */
+  get isActive() {
+    return this._intervalMs > 0 && this._count > 0;
+  }
+
+  /**
+   * Sets the scan rate.
+   * @param {number} ms - Time per highlight step (0 = stop scanning)
+   */
+  setInterval(ms) {
+    const n = Number(ms);
+    this._intervalMs = Number.isFinite(n) && n > 0 ? n : 0;
+    this._restart();
+  }
+
+  /**
+   * Sets when scanning started; the highlight is on the first target at
+   * this time.
+   * @param {number} ms - Start time on the scanner's clock (ms since epoch)
+   */
+  setStartTime(ms) {
+    const n = Number(ms);
+    this._startedAt = Number.isFinite(n) ? n : 0;
+    this._restart();
+  }
+
+  /**
+   * Sets how many targets the highlight steps through.
+   * @param {number} count - Number of targets
+   */
+  setTargetCount(count) {
+    const n = Math.floor(Number(count));
+    this._count = Number.isFinite(n) && n > 0 ? n : 0;
+    this._restart();
+  }
+
+  /**
+   * Highlighted index at a point in time.
+   * @param {number} [nowMs=this._clock()] - Time (ms since epoch)
+   * @returns {number} Target index, or -1 when not scanning
+   */
+  getIndex(nowMs = this._clock()) {
+    if (!this.isActive) return -1;
+    const steps = Math.floor((nowMs - this._startedAt) / this._intervalMs);
+    return ((steps % this._count) + this._count) % this._count;
+  }
+
+  /**
+   * Selects the highlighted target, as if the switch was pressed.
+   * @returns {number} Selected index, or -1 when not scanning
+   */
+  press() {
+    const index = this.getIndex();
+    if (index >= 0 && typeof this.onSelect === "function") {
+      this.onSelect(index);
+    }
+    return index;
+  }
+
+  /**
+   * Starts listening for switch keys.
+   * @param {EventTarget} [target=window] - Element receiving key events
+   */
+  attach(target = window) {
+    this.detach();
+    this._target = target;
+    target.addEventListener("keydown", this._onKeyDown);
+  }
+
+  /**
+   * Stops listening for switch keys.
+   */
+  detach() {
+    if (this._target) {
+      this._target.removeEventListener("keydown", this._onKeyDown);
+      this._target = null;
+    }
+  }
+
+  /**
+   * Stops scanning and key handling.
+   */
+  destroy() {
+    this.detach();
+    this._intervalMs = 0;
+    this._restart();
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   * @private
+   */
+  _handleKeyDown(event) {
+    if (!this.isActive || !this.keys.includes(event.code)) return;
+    if (event.repeat || event.altKey || event.ctrlKey || event.metaKey) return;
+
+    // Leave typing and button activation alone
+    const tag = event.target?.tagName;
+    if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+    if (tag === "BUTTON" || event.target?.isContentEditable) return;
+
+    event.preventDefault(); // Space would scroll the page
+    this.press();
+  }
+
+  /**
+   * Reschedules stepping after the interval or target count changed.
+   * @private
+   */
+  _restart() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._step();
+  }
+
+  /**
+   * Reports the current index and schedules the next step on the next
+   * interval boundary, so clients stay in step.
+   * @private
+   */
+  _step() {
+    const index = this.getIndex();
+    if (index !== this._index) {
+      this._index = index;
+      if (typeof this.onStep === "function") this.onStep(index);
+    }
+    if (!this.isActive) return;
+
+    const elapsed = this._clock() - this._startedAt;
+    const intoStep =
+      ((elapsed % this._intervalMs) + this._intervalMs) % this._intervalMs;
+    const delay = this._intervalMs - intoStep;
+    this._timer = setTimeout(() => this._step(), delay + 1);
+  }
+}
+
+export default SwitchScanner;
+export { SwitchScanner };